@@ -1,6 +1,9 @@
 const { supabaseClient } = require('../config/supabase');
 const { getPaginationParams, paginatedResponse } = require('../utils/pagination');
-const { formatDate } = require('../utils/helpers');
+const { getGymSettings } = require('../services/settingsService');
+const { getTrialVisits } = require('../services/trialService');
+const { ACTIVITY_TYPES, logEnquiryActivity } = require('../services/enquiryService');
+const { formatDate, getZonedRange } = require('../utils/helpers');
 
 /**
  * Get attendance records with pagination and filtering
@@ -71,7 +74,7 @@ const recordAttendance = async (req, res, next) => {
     // Check if member exists and belongs to the gym
     const { data: member, error: memberError } = await supabaseClient
       .from('members')
-      .select('id')
+      .select('id, status')
       .eq('id', member_id)
       .eq('gym_id', gym_id)
       .single();
@@ -83,6 +86,24 @@ const recordAttendance = async (req, res, next) => {
       });
     }
     
+    // Frozen members cannot check in
+    const { data: freezes } = await supabaseClient
+      .from('member_freezes')
+      .select('id')
+      .eq('member_id', member_id)
+      .eq('gym_id', gym_id)
+      .eq('status', 'active')
+      .lte('start_date', date)
+      .gte('end_date', date)
+      .limit(1);
+    
+    if (member.status === 'frozen' || (freezes && freezes.length > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Member is frozen on this date and cannot be marked for attendance'
+      });
+    }
+    
     // Check if attendance already recorded for the date
     const { data: existingAttendance, error: attendanceError } = await supabaseClient
       .from('attendance')
@@ -179,13 +200,36 @@ const recordBatchAttendance = async (req, res, next) => {
       });
     }
     
+    // Skip members who are frozen on this date
+    const { data: freezes, error: freezesError } = await supabaseClient
+      .from('member_freezes')
+      .select('member_id')
+      .eq('gym_id', gym_id)
+      .eq('status', 'active')
+      .lte('start_date', date)
+      .gte('end_date', date);
+    
+    if (freezesError) {
+      return res.status(400).json({
+        success: false,
+        message: freezesError.message
+      });
+    }
+    
+    const frozenMemberIds = new Set(freezes.map(freeze => freeze.member_id));
+    const skippedMembers = attendanceData
+      .filter(item => frozenMemberIds.has(item.member_id))
+      .map(item => item.member_id);
+    
     // Prepare attendance records
-    const attendanceRecords = attendanceData.map(item => ({
-      member_id: item.member_id,
-      date,
-      status: item.status,
-      gym_id
-    }));
+    const attendanceRecords = attendanceData
+      .filter(item => !frozenMemberIds.has(item.member_id))
+      .map(item => ({
+        member_id: item.member_id,
+        date,
+        status: item.status,
+        gym_id
+      }));
     
     // Insert or update attendance records
     const { data, error } = await supabaseClient
@@ -208,7 +252,8 @@ const recordBatchAttendance = async (req, res, next) => {
       data: { 
         date,
         batch_id,
-        recordCount: attendanceRecords.length
+        recordCount: attendanceRecords.length,
+        skippedFrozenMembers: skippedMembers
       }
     });
   } catch (error) {
@@ -216,6 +261,278 @@ const recordBatchAttendance = async (req, res, next) => {
   }
 };
 
+/**
+ * Check a prospect in on their trial pass. The visit counts against the
+ * trial's visits and shows with the gym's other visits.
+ * @route POST /api/attendance/trial-check-in
+ */
+const recordTrialCheckIn = async (req, res, next) => {
+  try {
+    const { trial_pass_id, checked_in_at = new Date().toISOString() } = req.body;
+    const gym_id = req.user.gym_id;
+    
+    // Check if trial pass exists and belongs to the gym
+    const { data: trial, error: trialError } = await supabaseClient
+      .from('trial_passes')
+      .select(`
+        id,
+        status,
+        start_date,
+        end_date,
+        visit_limit,
+        enquiries(id, name)
+      `)
+      .eq('id', trial_pass_id)
+      .eq('gym_id', gym_id)
+      .single();
+    
+    if (trialError || !trial) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trial pass not found'
+      });
+    }
+    
+    // The trial must be running on the gym's local date of the visit
+    const settings = await getGymSettings(gym_id);
+    const visitDate = formatDate(checked_in_at, settings.timezone);
+    const visits = (await getTrialVisits(gym_id, [trial.id]))[trial.id];
+    
+    let reason = null;
+    
+    if (trial.status !== 'active') {
+      reason = `Trial pass is ${trial.status}`;
+    } else if (visitDate < trial.start_date) {
+      reason = `Trial starts on ${trial.start_date}`;
+    } else if (visitDate > trial.end_date) {
+      reason = `Trial ended on ${trial.end_date}`;
+    } else if (trial.visit_limit && visits.visits_used >= trial.visit_limit) {
+      reason = `All ${trial.visit_limit} trial visits have been used`;
+    }
+    
+    if (reason) {
+      return res.status(403).json({
+        success: false,
+        message: reason,
+        data: { trial_pass_id: trial.id, name: trial.enquiries.name }
+      });
+    }
+    
+    if (visits.open_visit_id) {
+      return res.status(409).json({
+        success: false,
+        message: 'Already checked in',
+        data: { trial_pass_id: trial.id, visit_id: visits.open_visit_id }
+      });
+    }
+    
+    const { data, error } = await supabaseClient
+      .from('check_ins')
+      .insert([{
+        gym_id,
+        trial_pass_id: trial.id,
+        checked_in_at,
+        source: 'staff'
+      }])
+      .select()
+      .single();
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    await logEnquiryActivity(gym_id, trial.enquiries.id, {
+      activity_type: ACTIVITY_TYPES.TRIAL_VISIT,
+      details: { trial_pass_id: trial.id, visit_id: data.id, visit_number: visits.visits_used + 1 }
+    }, req.user.id);
+    
+    res.status(201).json({
+      success: true,
+      message: `Welcome, ${trial.enquiries.name}`,
+      data: {
+        ...data,
+        name: trial.enquiries.name,
+        visits_used: visits.visits_used + 1,
+        visits_left: trial.visit_limit ? trial.visit_limit - visits.visits_used - 1 : null,
+        end_date: trial.end_date
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get check-in visits with pagination and filtering
+ * @route GET /api/attendance/visits
+ */
+const getVisits = async (req, res, next) => {
+  try {
+    const { member_id, trial_pass_id, trials, date, open } = req.query;
+    const pagination = getPaginationParams(req);
+    const gym_id = req.user.gym_id;
+    
+    // Build query
+    let query = supabaseClient
+      .from('check_ins')
+      .select(`
+        *,
+        members(id, name),
+        trial_passes(id, enquiries(id, name))
+      `, { count: 'exact' })
+      .eq('gym_id', gym_id);
+    
+    // Apply filters
+    if (member_id) {
+      query = query.eq('member_id', member_id);
+    }
+    
+    if (trial_pass_id) {
+      query = query.eq('trial_pass_id', trial_pass_id);
+    }
+    
+    if (trials === 'true') {
+      query = query.not('trial_pass_id', 'is', null);
+    } else if (trials === 'false') {
+      query = query.not('member_id', 'is', null);
+    }
+    
+    // A day runs midnight to midnight in the gym's timezone
+    if (date) {
+      const settings = await getGymSettings(gym_id);
+      const range = getZonedRange(date, date, settings.timezone);
+      query = query
+        .gte('checked_in_at', range.start)
+        .lt('checked_in_at', range.end);
+    }
+    
+    if (open === 'true') {
+      query = query.is('checked_out_at', null);
+    }
+    
+    // Apply pagination
+    const { data, error, count } = await query
+      .range(pagination.startIndex, pagination.startIndex + pagination.limit - 1)
+      .order('checked_in_at', { ascending: false });
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      ...paginatedResponse(data, count, pagination)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check a member out of an open visit
+ * @route POST /api/attendance/visits/:id/check-out
+ */
+const checkOutVisit = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { checked_out_at = new Date().toISOString() } = req.body;
+    const gym_id = req.user.gym_id;
+    
+    // Check if visit exists and belongs to the gym
+    const { data: visit, error: findError } = await supabaseClient
+      .from('check_ins')
+      .select('id, checked_in_at, checked_out_at')
+      .eq('id', id)
+      .eq('gym_id', gym_id)
+      .single();
+    
+    if (findError || !visit) {
+      return res.status(404).json({
+        success: false,
+        message: 'Visit not found'
+      });
+    }
+    
+    if (visit.checked_out_at) {
+      return res.status(400).json({
+        success: false,
+        message: 'Visit is already closed'
+      });
+    }
+    
+    if (new Date(checked_out_at) < new Date(visit.checked_in_at)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-out time cannot be before check-in time'
+      });
+    }
+    
+    const { data, error } = await supabaseClient
+      .from('check_ins')
+      .update({ checked_out_at, check_out_source: 'staff' })
+      .eq('id', id)
+      .eq('gym_id', gym_id)
+      .select()
+      .single();
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Member checked out successfully',
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Close all of the gym's open visits, e.g. at closing time
+ * @route POST /api/attendance/visits/close-open
+ */
+const closeOpenVisits = async (req, res, next) => {
+  try {
+    const { checked_out_at = new Date().toISOString() } = req.body;
+    const gym_id = req.user.gym_id;
+    
+    // Only visits that started before the check-out time can be closed at it
+    const { data, error } = await supabaseClient
+      .from('check_ins')
+      .update({ checked_out_at, check_out_source: 'staff' })
+      .eq('gym_id', gym_id)
+      .is('checked_out_at', null)
+      .lte('checked_in_at', checked_out_at)
+      .select('id');
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Open visits closed successfully',
+      data: { closedCount: data.length, checked_out_at }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get attendance report for a specific period
  * @route GET /api/attendance/report
@@ -299,5 +616,9 @@ module.exports = {
   getAttendance,
   recordAttendance,
   recordBatchAttendance,
+  recordTrialCheckIn,
+  getVisits,
+  checkOutVisit,
+  closeOpenVisits,
   getAttendanceReport
 };
\ No newline at end of file
@@ -0,0 +1,228 @@
+const { supabaseClient } = require('../config/supabase');
+const { getPaginationParams, paginatedResponse } = require('../utils/pagination');
+const { getGymSettings } = require('../services/settingsService');
+const { getToday } = require('../utils/helpers');
+
+/**
+ * Get all charges with open amounts, with pagination and filtering
+ * @route GET /api/charges
+ */
+const getAllCharges = async (req, res, next) => {
+  try {
+    const { member_id, charge_type, start_date, end_date, open } = req.query;
+    const pagination = getPaginationParams(req);
+    const gym_id = req.user.gym_id;
+
+    // Build query
+    let query = supabaseClient
+      .from('charge_balances')
+      .select(`
+        *,
+        members!inner(id, name, phone)
+      `, { count: 'exact' })
+      .eq('gym_id', gym_id);
+
+    // Apply filters
+    if (member_id) {
+      query = query.eq('member_id', member_id);
+    }
+
+    if (charge_type) {
+      query = query.eq('charge_type', charge_type);
+    }
+
+    if (start_date) {
+      query = query.gte('charge_date', start_date);
+    }
+
+    if (end_date) {
+      query = query.lte('charge_date', end_date);
+    }
+
+    if (open === 'true') {
+      query = query.gt('open_amount', 0);
+    }
+
+    // Apply pagination
+    const { data, error, count } = await query
+      .range(pagination.startIndex, pagination.startIndex + pagination.limit - 1)
+      .order('charge_date', { ascending: false });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      ...paginatedResponse(data, count, pagination)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Bill a charge to a member
+ * @route POST /api/charges
+ */
+const createCharge = async (req, res, next) => {
+  try {
+    const {
+      member_id, charge_type, description, amount, service_id, plan_id
+    } = req.body;
+    const gym_id = req.user.gym_id;
+    const settings = await getGymSettings(gym_id);
+    const charge_date = req.body.charge_date || getToday(settings.timezone);
+
+    // Check if member exists and belongs to the gym
+    const { data: member, error: memberError } = await supabaseClient
+      .from('members')
+      .select('id')
+      .eq('id', member_id)
+      .eq('gym_id', gym_id)
+      .single();
+
+    if (memberError || !member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    let chargeAmount = amount;
+    let chargeDescription = description;
+
+    // Service charges default to the service's name and price
+    if (service_id) {
+      const { data: service, error: serviceError } = await supabaseClient
+        .from('services')
+        .select('id, name, price')
+        .eq('id', service_id)
+        .eq('gym_id', gym_id)
+        .single();
+
+      if (serviceError || !service) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid service selected'
+        });
+      }
+
+      chargeAmount = amount ?? Number(service.price);
+      chargeDescription = description || service.name;
+    }
+
+    // Plan charges default to the plan's name and price
+    if (plan_id) {
+      const { data: plan, error: planError } = await supabaseClient
+        .from('plans')
+        .select('id, name, price')
+        .eq('id', plan_id)
+        .eq('gym_id', gym_id)
+        .single();
+
+      if (planError || !plan) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid plan selected'
+        });
+      }
+
+      chargeAmount = chargeAmount ?? Number(plan.price);
+      chargeDescription = chargeDescription || plan.name;
+    }
+
+    if (chargeAmount === undefined || chargeAmount === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Amount is required'
+      });
+    }
+
+    const { data, error } = await supabaseClient
+      .from('charges')
+      .insert([{
+        gym_id,
+        member_id,
+        charge_type,
+        description: chargeDescription,
+        amount: chargeAmount,
+        charge_date,
+        service_id,
+        plan_id,
+        created_by: req.user.id
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Charge created successfully',
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a charge; payments applied to it are re-applied to other open charges
+ * @route DELETE /api/charges/:id
+ */
+const deleteCharge = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const gym_id = req.user.gym_id;
+
+    // Check if charge exists and belongs to the gym
+    const { data: existingCharge, error: findError } = await supabaseClient
+      .from('charges')
+      .select('id')
+      .eq('id', id)
+      .eq('gym_id', gym_id)
+      .single();
+
+    if (findError || !existingCharge) {
+      return res.status(404).json({
+        success: false,
+        message: 'Charge not found'
+      });
+    }
+
+    const { error } = await supabaseClient
+      .from('charges')
+      .delete()
+      .eq('id', id)
+      .eq('gym_id', gym_id);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Charge deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAllCharges,
+  createCharge,
+  deleteCharge
+};
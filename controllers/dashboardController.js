@@ -0,0 +1,23 @@
+const { getGymDashboard } = require('../services/dashboardService');
+
+/**
+ * Get the owner's dashboard: KPIs for today and this month against last
+ * month, with 12-month trends
+ * @route GET /api/dashboard
+ */
+const getDashboard = async (req, res, next) => {
+  try {
+    const data = await getGymDashboard(req.user.gym_id);
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getDashboard
+};
@@ -1,6 +1,34 @@
 const { supabaseClient } = require('../config/supabase');
 const { getPaginationParams, paginatedResponse } = require('../utils/pagination');
-const { getWhatsAppLink } = require('../utils/helpers');
+const { getWhatsAppLink, calculateExpiryDate, addDays, formatDate, getToday } = require('../utils/helpers');
+const {
+  ACTIVITY_TYPES,
+  logEnquiryActivity,
+  getAssignableUser,
+  normalizePhone,
+  sendEnquiryAcknowledgement
+} = require('../services/enquiryService');
+const { getGymSettings } = require('../services/settingsService');
+const { getTrialVisits, closeEnquiryTrials } = require('../services/trialService');
+const { recordAdmission, removeMember } = require('../services/memberService');
+
+/**
+ * Find an enquiry that belongs to the gym
+ * @param {string} id - Enquiry ID
+ * @param {string} gym_id - Gym ID
+ * @param {string} [columns] - Columns to select
+ * @returns {Promise<Object|null>} Enquiry, or null if not found
+ */
+const findEnquiry = async (id, gym_id, columns = 'id') => {
+  const { data, error } = await supabaseClient
+    .from('enquiries')
+    .select(columns)
+    .eq('id', id)
+    .eq('gym_id', gym_id)
+    .single();
+
+  return error ? null : data;
+};
 
 /**
  * Get all enquiries with pagination and filtering
@@ -8,14 +36,22 @@ const { getWhatsAppLink } = require('../utils/helpers');
  */
 const getAllEnquiries = async (req, res, next) => {
   try {
-    const { status, search } = req.query;
+    const { status, stage, source, campaign, assigned_to, overdue, search } = req.query;
     const pagination = getPaginationParams(req);
     const gym_id = req.user.gym_id;
     
+    // Only enquiries with a pending follow-up past its due time, found by
+    // joining their follow-ups
+    const onlyOverdue = overdue === 'true';
+
     // Build query
     let query = supabaseClient
       .from('enquiries')
-      .select('*', { count: 'exact' })
+      .select(`
+        *,
+        assignee:assigned_to(id, name)
+        ${onlyOverdue ? ', overdue_follow_ups:enquiry_follow_ups!inner(id)' : ''}
+      `, { count: 'exact' })
       .eq('gym_id', gym_id);
     
     // Apply filters
@@ -23,6 +59,32 @@ const getAllEnquiries = async (req, res, next) => {
       query = query.eq('status', status);
     }
     
+    if (stage) {
+      query = query.in('stage', stage.split(','));
+    }
+    
+    if (source) {
+      query = query.in('source', source.split(','));
+    }
+    
+    if (campaign) {
+      query = query.eq('campaign', campaign);
+    }
+    
+    if (assigned_to === 'unassigned') {
+      query = query.is('assigned_to', null);
+    } else if (assigned_to === 'me') {
+      query = query.eq('assigned_to', req.user.id);
+    } else if (assigned_to) {
+      query = query.eq('assigned_to', assigned_to);
+    }
+    
+    if (onlyOverdue) {
+      query = query
+        .eq('overdue_follow_ups.status', 'pending')
+        .lt('overdue_follow_ups.due_at', new Date().toISOString());
+    }
+    
     if (search) {
       query = query.or(`name.ilike.%${search}%,phone.ilike.%${search}%,email.ilike.%${search}%`);
     }
@@ -39,11 +101,33 @@ const getAllEnquiries = async (req, res, next) => {
       });
     }
     
-    // Add WhatsApp links to the response
-    const enquiriesWithLinks = data.map(enquiry => ({
-      ...enquiry,
-      whatsapp_link: getWhatsAppLink(enquiry.phone)
-    }));
+    // Next pending follow-up of each enquiry on the page
+    const { data: followUps, error: followUpsError } = await supabaseClient
+      .from('enquiry_follow_ups')
+      .select('id, enquiry_id, due_at, note, assigned_to')
+      .in('enquiry_id', data.map(enquiry => enquiry.id))
+      .eq('status', 'pending')
+      .order('due_at', { ascending: true });
+    
+    if (followUpsError) {
+      return res.status(400).json({
+        success: false,
+        message: followUpsError.message
+      });
+    }
+    
+    const now = new Date();
+    
+    // Add WhatsApp links and next follow-ups to the response
+    const enquiriesWithLinks = data.map(({ overdue_follow_ups, ...enquiry }) => {
+      const nextFollowUp = followUps.find(followUp => followUp.enquiry_id === enquiry.id) || null;
+      return {
+        ...enquiry,
+        whatsapp_link: getWhatsAppLink(enquiry.phone),
+        next_follow_up: nextFollowUp,
+        is_overdue: Boolean(nextFollowUp && new Date(nextFollowUp.due_at) < now)
+      };
+    });
     
     res.status(200).json({
       success: true,
@@ -65,7 +149,11 @@ const getEnquiryById = async (req, res, next) => {
     
     const { data, error } = await supabaseClient
       .from('enquiries')
-      .select('*')
+      .select(`
+        *,
+        assignee:assigned_to(id, name),
+        follow_ups:enquiry_follow_ups(*)
+      `)
       .eq('id', id)
       .eq('gym_id', gym_id)
       .single();
@@ -77,6 +165,8 @@ const getEnquiryById = async (req, res, next) => {
       });
     }
     
+    data.follow_ups.sort((a, b) => new Date(a.due_at) - new Date(b.due_at));
+    
     // Add WhatsApp link
     const enquiryWithLink = {
       ...data,
@@ -98,12 +188,19 @@ const getEnquiryById = async (req, res, next) => {
  */
 const createEnquiry = async (req, res, next) => {
   try {
-    const { name, phone, email, message, status = 'open' } = req.body;
+    const { name, phone, email, message, source, campaign, assigned_to } = req.body;
     const gym_id = req.user.gym_id;
     
+    if (assigned_to && !(await getAssignableUser(gym_id, assigned_to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Assignee must be an admin or staff member of this gym'
+      });
+    }
+    
     const { data, error } = await supabaseClient
       .from('enquiries')
-      .insert([{ name, phone, email, message, status, gym_id }])
+      .insert([{ name, phone: normalizePhone(phone), email, message, source, campaign, stage: 'new', assigned_to, gym_id }])
       .select()
       .single();
     
@@ -114,6 +211,12 @@ const createEnquiry = async (req, res, next) => {
       });
     }
     
+    await logEnquiryActivity(gym_id, data.id, {
+      activity_type: ACTIVITY_TYPES.CREATED,
+      to_stage: data.stage,
+      details: assigned_to ? { assigned_to } : null
+    }, req.user.id);
+    
     res.status(201).json({
       success: true,
       message: 'Enquiry created successfully',
@@ -124,6 +227,90 @@ const createEnquiry = async (req, res, next) => {
   }
 };
 
+/**
+ * Take an enquiry from a gym's website form. Bots that fill in the honeypot
+ * get the same reply but nothing is saved, and a number that enquired within
+ * the gym's duplicate window is added to its open enquiry instead.
+ * @route POST /api/public/gyms/:gym/enquiries
+ */
+const createPublicEnquiry = async (req, res, next) => {
+  try {
+    const { message, source = 'website', campaign, website_url } = req.body;
+    // Validation checks the form but doesn't change it, so tidy it here
+    const name = req.body.name.trim();
+    const email = req.body.email ? req.body.email.trim() : null;
+    const phone = normalizePhone(req.body.phone);
+    const gym_id = req.gym.gym_id;
+    const received = {
+      success: true,
+      message: 'Thank you, your enquiry has been received'
+    };
+    
+    if (website_url) {
+      return res.status(201).json(received);
+    }
+    
+    const settings = await getGymSettings(gym_id);
+    
+    if (settings.enquiry_duplicate_window_hours > 0) {
+      const windowStart = new Date(Date.now() - settings.enquiry_duplicate_window_hours * 60 * 60 * 1000);
+      
+      const { data: duplicate, error: duplicateError } = await supabaseClient
+        .from('enquiries')
+        .select('id')
+        .eq('gym_id', gym_id)
+        .eq('phone', phone)
+        .eq('status', 'open')
+        .gte('created_at', windowStart.toISOString())
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+      
+      if (duplicateError) {
+        throw duplicateError;
+      }
+      
+      if (duplicate) {
+        await logEnquiryActivity(gym_id, duplicate.id, {
+          activity_type: ACTIVITY_TYPES.RESUBMITTED,
+          note: message,
+          details: { name, email, source, campaign }
+        });
+        
+        return res.status(201).json(received);
+      }
+    }
+    
+    const { data, error } = await supabaseClient
+      .from('enquiries')
+      .insert([{ name, phone, email, message, source, campaign, stage: 'new', gym_id }])
+      .select()
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    await logEnquiryActivity(gym_id, data.id, {
+      activity_type: ACTIVITY_TYPES.CREATED,
+      to_stage: data.stage,
+      details: { via: 'public_form' }
+    });
+    
+    if (settings.enquiry_auto_ack && email) {
+      try {
+        await sendEnquiryAcknowledgement(gym_id, settings, data);
+      } catch (ackError) {
+        console.error(`Error acknowledging enquiry ${data.id}:`, ackError);
+      }
+    }
+    
+    res.status(201).json(received);
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Update an enquiry
  * @route PUT /api/enquiries/:id
@@ -131,7 +318,7 @@ const createEnquiry = async (req, res, next) => {
 const updateEnquiry = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { name, phone, email, message, status } = req.body;
+    const { name, phone, email, message, source, campaign } = req.body;
     const gym_id = req.user.gym_id;
     
     // Check if enquiry exists and belongs to the gym
@@ -154,10 +341,11 @@ const updateEnquiry = async (req, res, next) => {
       .from('enquiries')
       .update({ 
         name, 
-        phone, 
+        phone: phone && normalizePhone(phone), 
         email, 
         message, 
-        status,
+        source,
+        campaign,
         updated_at: new Date().toISOString()
       })
       .eq('id', id)
@@ -230,7 +418,92 @@ const deleteEnquiry = async (req, res, next) => {
 };
 
 /**
- * Change enquiry status
+ * Move an enquiry to another stage of the pipeline. Lost leads need a reason;
+ * closing a lead (won or lost) cancels its pending follow-ups.
+ * @route PATCH /api/enquiries/:id/stage
+ */
+const changeEnquiryStage = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { stage, lost_reason, note } = req.body;
+    const gym_id = req.user.gym_id;
+
+    // Check if enquiry exists and belongs to the gym
+    const existingEnquiry = await findEnquiry(id, gym_id, 'id, stage');
+
+    if (!existingEnquiry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Enquiry not found'
+      });
+    }
+
+    if (existingEnquiry.stage === stage) {
+      return res.status(400).json({
+        success: false,
+        message: `Enquiry is already ${stage}`
+      });
+    }
+
+    // Update enquiry stage; status follows the stage
+    const { data, error } = await supabaseClient
+      .from('enquiries')
+      .update({
+        stage,
+        lost_reason: stage === 'lost' ? lost_reason : null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .eq('gym_id', gym_id)
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (['won', 'lost'].includes(stage)) {
+      const { error: cancelError } = await supabaseClient
+        .from('enquiry_follow_ups')
+        .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+        .eq('enquiry_id', id)
+        .eq('status', 'pending');
+
+      if (cancelError) {
+        console.error(`Error cancelling follow-ups of enquiry ${id}:`, cancelError);
+      }
+
+      try {
+        await closeEnquiryTrials(gym_id, id, stage === 'won' ? 'converted' : 'cancelled');
+      } catch (trialError) {
+        console.error(`Error closing trials of enquiry ${id}:`, trialError);
+      }
+    }
+
+    await logEnquiryActivity(gym_id, id, {
+      activity_type: ACTIVITY_TYPES.STAGE_CHANGED,
+      from_stage: existingEnquiry.stage,
+      to_stage: stage,
+      note: stage === 'lost' ? [lost_reason, note].filter(Boolean).join(' - ') : note
+    }, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Enquiry stage updated successfully',
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Open or close an enquiry, for clients from before the pipeline. Reopening a
+ * won or lost lead moves it back to new; closing an open one marks it lost.
+ * An enquiry already in the asked-for state is left as it is.
  * @route PATCH /api/enquiries/:id/status
  */
 const changeEnquiryStatus = async (req, res, next) => {
@@ -238,51 +511,983 @@ const changeEnquiryStatus = async (req, res, next) => {
     const { id } = req.params;
     const { status } = req.body;
     const gym_id = req.user.gym_id;
-    
+
     if (!status || !['open', 'closed'].includes(status)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid status value. Must be open or closed.'
       });
     }
-    
+
     // Check if enquiry exists and belongs to the gym
-    const { data: existingEnquiry, error: findError } = await supabaseClient
-      .from('enquiries')
-      .select('id')
-      .eq('id', id)
-      .eq('gym_id', gym_id)
-      .single();
-    
-    if (findError || !existingEnquiry) {
+    const existingEnquiry = await findEnquiry(id, gym_id, '*');
+
+    if (!existingEnquiry) {
       return res.status(404).json({
         success: false,
         message: 'Enquiry not found'
       });
     }
-    
-    // Update enquiry status
+
+    if (existingEnquiry.status === status) {
+      return res.status(200).json({
+        success: true,
+        message: 'Enquiry status updated successfully',
+        data: existingEnquiry
+      });
+    }
+
+    req.body = status === 'open'
+      ? { stage: 'new' }
+      : { stage: 'lost', lost_reason: 'Closed' };
+
+    return changeEnquiryStage(req, res, next);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Assign an enquiry to a staff member, or unassign it with null
+ * @route PATCH /api/enquiries/:id/assign
+ */
+const assignEnquiry = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { assigned_to } = req.body;
+    const gym_id = req.user.gym_id;
+
+    // Check if enquiry exists and belongs to the gym
+    const existingEnquiry = await findEnquiry(id, gym_id, 'id, assigned_to');
+
+    if (!existingEnquiry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Enquiry not found'
+      });
+    }
+
+    if (assigned_to && !(await getAssignableUser(gym_id, assigned_to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Assignee must be an admin or staff member of this gym'
+      });
+    }
+
     const { data, error } = await supabaseClient
       .from('enquiries')
-      .update({ 
-        status,
+      .update({
+        assigned_to,
         updated_at: new Date().toISOString()
       })
       .eq('id', id)
       .eq('gym_id', gym_id)
-      .select()
+      .select(`
+        *,
+        assignee:assigned_to(id, name)
+      `)
       .single();
-    
+
     if (error) {
       return res.status(400).json({
         success: false,
         message: error.message
       });
     }
-    
+
+    await logEnquiryActivity(gym_id, id, {
+      activity_type: ACTIVITY_TYPES.ASSIGNED,
+      details: { from: existingEnquiry.assigned_to, to: assigned_to }
+    }, req.user.id);
+
     res.status(200).json({
       success: true,
-      message: 'Enquiry status updated successfully',
+      message: assigned_to ? 'Enquiry assigned successfully' : 'Enquiry unassigned successfully',
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Minutes after which a conversion that never finished stops holding its
+ * enquiry, so the enquiry can be converted again
+ */
+const CONVERSION_CLAIM_MINUTES = 5;
+
+/**
+ * Claim an enquiry for conversion. Only one conversion gets the claim, and
+ * none once the enquiry has a member.
+ * @param {string} id - Enquiry ID
+ * @param {string} gym_id - Gym ID
+ * @returns {Promise<boolean>} Whether the claim was taken
+ */
+const claimEnquiryConversion = async (id, gym_id) => {
+  const staleBefore = new Date(Date.now() - CONVERSION_CLAIM_MINUTES * 60 * 1000).toISOString();
+
+  const { data, error } = await supabaseClient
+    .from('enquiries')
+    .update({ converting_at: new Date().toISOString() })
+    .eq('id', id)
+    .eq('gym_id', gym_id)
+    .is('member_id', null)
+    .or(`converting_at.is.null,converting_at.lt.${staleBefore}`)
+    .select('id');
+
+  if (error) {
+    throw error;
+  }
+
+  return data.length > 0;
+};
+
+/**
+ * Let go of an enquiry's conversion claim after the conversion failed
+ * @param {string} id - Enquiry ID
+ * @param {string} gym_id - Gym ID
+ */
+const releaseEnquiryConversion = async (id, gym_id) => {
+  const { error } = await supabaseClient
+    .from('enquiries')
+    .update({ converting_at: null })
+    .eq('id', id)
+    .eq('gym_id', gym_id)
+    .is('member_id', null);
+
+  if (error) {
+    console.error(`Error releasing conversion of enquiry ${id}:`, error);
+  }
+};
+
+/**
+ * Convert an enquiry into a member: create the member from the enquiry's
+ * details, bill the joining charges and admission payment as for a new
+ * member, link the member to the enquiry and mark the enquiry won. The
+ * enquiry is claimed first, and a member that can't be billed or linked is
+ * removed again, so a conversion either happens once or not at all.
+ * @route POST /api/enquiries/:id/convert
+ */
+const convertEnquiry = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const {
+      plan_id, batch_id, joinDate, email, dob, gender,
+      admission_fees, discount_value, amount_paid, payment_method
+    } = req.body;
+    const gym_id = req.user.gym_id;
+
+    // Check if enquiry exists and belongs to the gym
+    const enquiry = await findEnquiry(id, gym_id, 'id, name, phone, email, stage, member_id');
+
+    if (!enquiry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Enquiry not found'
+      });
+    }
+
+    if (enquiry.member_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enquiry has already been converted into a member'
+      });
+    }
+
+    // Fetch plan and duration
+    const { data: planData, error: planError } = await supabaseClient
+      .from('plans')
+      .select('id, duration_in_months')
+      .eq('id', plan_id)
+      .eq('gym_id', gym_id)
+      .single();
+
+    if (planError || !planData) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid plan selected'
+      });
+    }
+
+    // Verify batch if provided
+    if (batch_id) {
+      const { data: batchData, error: batchError } = await supabaseClient
+        .from('batches')
+        .select('id')
+        .eq('id', batch_id)
+        .eq('gym_id', gym_id)
+        .single();
+
+      if (batchError || !batchData) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid batch selected'
+        });
+      }
+    }
+
+    if (!(await claimEnquiryConversion(id, gym_id))) {
+      return res.status(409).json({
+        success: false,
+        message: 'Enquiry has already been converted into a member, or is being converted'
+      });
+    }
+
+    const planEndDate = calculateExpiryDate(joinDate, planData.duration_in_months);
+
+    // An empty email means the member has none of their own, so the
+    // enquiry's is used
+    const memberEmail = email === undefined || email === '' ? enquiry.email || null : email;
+
+    const { data: member, error: memberError } = await supabaseClient
+      .from('members')
+      .insert([{
+        name: enquiry.name,
+        phone: enquiry.phone,
+        email: memberEmail,
+        dob,
+        gender,
+        status: 'active',
+        plan_id,
+        batch_id,
+        gym_id,
+        join_date: new Date(joinDate).toISOString(),
+        plan_end_date: planEndDate.toISOString(),
+        discount_value,
+        admission_fees
+      }])
+      .select()
+      .single();
+
+    if (memberError) {
+      await releaseEnquiryConversion(id, gym_id);
+      return res.status(400).json({
+        success: false,
+        message: memberError.message
+      });
+    }
+
+    let data;
+    try {
+      // Bill the joining charges and record the admission payment against them
+      await recordAdmission(member.id, gym_id, {
+        admission_fees,
+        plan_id,
+        discount_value,
+        amount_paid,
+        payment_method,
+        created_by: req.user.id
+      });
+
+      const { data: linkedEnquiry, error: linkError } = await supabaseClient
+        .from('enquiries')
+        .update({
+          stage: 'won',
+          lost_reason: null,
+          member_id: member.id,
+          converted_at: new Date().toISOString(),
+          converting_at: null,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', id)
+        .eq('gym_id', gym_id)
+        .is('member_id', null)
+        .select()
+        .single();
+
+      if (linkError) {
+        throw linkError;
+      }
+
+      data = linkedEnquiry;
+    } catch (conversionError) {
+      await removeMember(member.id, gym_id);
+      await releaseEnquiryConversion(id, gym_id);
+      throw conversionError;
+    }
+
+    const { error: cancelError } = await supabaseClient
+      .from('enquiry_follow_ups')
+      .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+      .eq('enquiry_id', id)
+      .eq('status', 'pending');
+
+    if (cancelError) {
+      console.error(`Error cancelling follow-ups of enquiry ${id}:`, cancelError);
+    }
+
+    try {
+      await closeEnquiryTrials(gym_id, id, 'converted');
+    } catch (trialError) {
+      console.error(`Error closing trials of enquiry ${id}:`, trialError);
+    }
+
+    await logEnquiryActivity(gym_id, id, {
+      activity_type: ACTIVITY_TYPES.CONVERTED,
+      from_stage: enquiry.stage,
+      to_stage: 'won',
+      details: { member_id: member.id, plan_id }
+    }, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Enquiry converted into a member successfully',
+      data: {
+        enquiry: data,
+        member
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the gym's follow-up tasks across enquiries
+ * @route GET /api/enquiries/follow-ups
+ */
+const getAllFollowUps = async (req, res, next) => {
+  try {
+    const { status = 'pending', assigned_to, overdue, due_before } = req.query;
+    const pagination = getPaginationParams(req);
+    const gym_id = req.user.gym_id;
+
+    // Build query
+    let query = supabaseClient
+      .from('enquiry_follow_ups')
+      .select(`
+        *,
+        enquiries(id, name, phone, stage),
+        assignee:assigned_to(id, name)
+      `, { count: 'exact' })
+      .eq('gym_id', gym_id);
+
+    // Apply filters
+    if (status !== 'all') {
+      query = query.eq('status', status);
+    }
+
+    if (assigned_to === 'me') {
+      query = query.eq('assigned_to', req.user.id);
+    } else if (assigned_to) {
+      query = query.eq('assigned_to', assigned_to);
+    }
+
+    if (overdue === 'true') {
+      query = query.eq('status', 'pending').lt('due_at', new Date().toISOString());
+    }
+
+    if (due_before) {
+      query = query.lte('due_at', due_before);
+    }
+
+    // Apply pagination
+    const { data, error, count } = await query
+      .range(pagination.startIndex, pagination.startIndex + pagination.limit - 1)
+      .order('due_at', { ascending: true });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      ...paginatedResponse(data, count, pagination)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get an enquiry's follow-up tasks
+ * @route GET /api/enquiries/:id/follow-ups
+ */
+const getEnquiryFollowUps = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const gym_id = req.user.gym_id;
+
+    // Check if enquiry exists and belongs to the gym
+    if (!(await findEnquiry(id, gym_id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Enquiry not found'
+      });
+    }
+
+    const { data, error } = await supabaseClient
+      .from('enquiry_follow_ups')
+      .select(`
+        *,
+        assignee:assigned_to(id, name)
+      `)
+      .eq('enquiry_id', id)
+      .eq('gym_id', gym_id)
+      .order('due_at', { ascending: true });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Schedule a follow-up on an enquiry; it goes to the enquiry's assignee
+ * unless someone else is given
+ * @route POST /api/enquiries/:id/follow-ups
+ */
+const createFollowUp = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { due_at, note, assigned_to } = req.body;
+    const gym_id = req.user.gym_id;
+
+    // Check if enquiry exists and belongs to the gym
+    const enquiry = await findEnquiry(id, gym_id, 'id, status, assigned_to');
+
+    if (!enquiry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Enquiry not found'
+      });
+    }
+
+    if (enquiry.status === 'closed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot schedule a follow-up on a won or lost enquiry'
+      });
+    }
+
+    if (assigned_to && !(await getAssignableUser(gym_id, assigned_to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Assignee must be an admin or staff member of this gym'
+      });
+    }
+
+    const { data, error } = await supabaseClient
+      .from('enquiry_follow_ups')
+      .insert([{
+        gym_id,
+        enquiry_id: id,
+        due_at,
+        note,
+        assigned_to: assigned_to || enquiry.assigned_to,
+        created_by: req.user.id
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await logEnquiryActivity(gym_id, id, {
+      activity_type: ACTIVITY_TYPES.FOLLOW_UP_SCHEDULED,
+      note,
+      details: { follow_up_id: data.id, due_at }
+    }, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Follow-up scheduled successfully',
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a follow-up: reschedule, reassign, or mark it done or cancelled
+ * @route PATCH /api/enquiries/:id/follow-ups/:followUpId
+ */
+const updateFollowUp = async (req, res, next) => {
+  try {
+    const { id, followUpId } = req.params;
+    const { status, due_at, note, outcome, assigned_to } = req.body;
+    const gym_id = req.user.gym_id;
+
+    // Check if follow-up exists and belongs to the enquiry
+    const { data: followUp, error: findError } = await supabaseClient
+      .from('enquiry_follow_ups')
+      .select('id, status')
+      .eq('id', followUpId)
+      .eq('enquiry_id', id)
+      .eq('gym_id', gym_id)
+      .single();
+
+    if (findError || !followUp) {
+      return res.status(404).json({
+        success: false,
+        message: 'Follow-up not found'
+      });
+    }
+
+    if (followUp.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Follow-up is already ${followUp.status}`
+      });
+    }
+
+    if (assigned_to && !(await getAssignableUser(gym_id, assigned_to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Assignee must be an admin or staff member of this gym'
+      });
+    }
+
+    const changes = { due_at, note, outcome, assigned_to, updated_at: new Date().toISOString() };
+
+    if (status && status !== 'pending') {
+      Object.assign(changes, {
+        status,
+        completed_at: new Date().toISOString(),
+        completed_by: req.user.id
+      });
+    }
+
+    const { data, error } = await supabaseClient
+      .from('enquiry_follow_ups')
+      .update(changes)
+      .eq('id', followUpId)
+      .eq('gym_id', gym_id)
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (status === 'done' || status === 'cancelled') {
+      await logEnquiryActivity(gym_id, id, {
+        activity_type: status === 'done' ? ACTIVITY_TYPES.FOLLOW_UP_DONE : ACTIVITY_TYPES.FOLLOW_UP_CANCELLED,
+        note: outcome || note,
+        details: { follow_up_id: followUpId }
+      }, req.user.id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Follow-up updated successfully',
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add visit counts to trial passes
+ * @param {string} gym_id - Gym ID
+ * @param {Array<Object>} trials - Trial passes
+ * @returns {Promise<Array<Object>>} Trial passes with visits_used and visits_left
+ */
+const withTrialVisits = async (gym_id, trials) => {
+  const visits = await getTrialVisits(gym_id, trials.map(trial => trial.id));
+
+  return trials.map(trial => ({
+    ...trial,
+    visits_used: visits[trial.id].visits_used,
+    visits_left: trial.visit_limit ? Math.max(trial.visit_limit - visits[trial.id].visits_used, 0) : null
+  }));
+};
+
+/**
+ * Get the gym's trial passes across enquiries
+ * @route GET /api/enquiries/trials
+ */
+const getAllTrials = async (req, res, next) => {
+  try {
+    const { status = 'active', batch_id } = req.query;
+    const pagination = getPaginationParams(req);
+    const gym_id = req.user.gym_id;
+
+    // Build query
+    let query = supabaseClient
+      .from('trial_passes')
+      .select(`
+        *,
+        enquiries(id, name, phone, stage, assigned_to),
+        batches(id, name)
+      `, { count: 'exact' })
+      .eq('gym_id', gym_id);
+
+    // Apply filters
+    if (status !== 'all') {
+      query = query.eq('status', status);
+    }
+
+    if (batch_id) {
+      query = query.eq('batch_id', batch_id);
+    }
+
+    // Apply pagination
+    const { data, error, count } = await query
+      .range(pagination.startIndex, pagination.startIndex + pagination.limit - 1)
+      .order('end_date', { ascending: true });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      ...paginatedResponse(await withTrialVisits(gym_id, data), count, pagination)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get an enquiry's trial passes
+ * @route GET /api/enquiries/:id/trials
+ */
+const getEnquiryTrials = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const gym_id = req.user.gym_id;
+
+    // Check if enquiry exists and belongs to the gym
+    if (!(await findEnquiry(id, gym_id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Enquiry not found'
+      });
+    }
+
+    const { data, error } = await supabaseClient
+      .from('trial_passes')
+      .select(`
+        *,
+        batches(id, name)
+      `)
+      .eq('enquiry_id', id)
+      .eq('gym_id', gym_id)
+      .order('start_date', { ascending: false });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await withTrialVisits(gym_id, data)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Give an enquiry a free trial pass, valid for a number of days or until an
+ * end date and optionally for a number of visits. Moves a new or contacted
+ * lead to trial_booked.
+ * @route POST /api/enquiries/:id/trials
+ */
+const createTrial = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { days, visit_limit, batch_id, notes } = req.body;
+    const gym_id = req.user.gym_id;
+
+    // Check if enquiry exists and belongs to the gym
+    const enquiry = await findEnquiry(id, gym_id, 'id, stage, status');
+
+    if (!enquiry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Enquiry not found'
+      });
+    }
+
+    if (enquiry.status === 'closed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot give a trial to a won or lost enquiry'
+      });
+    }
+
+    if (batch_id) {
+      const { data: batch } = await supabaseClient
+        .from('batches')
+        .select('id')
+        .eq('id', batch_id)
+        .eq('gym_id', gym_id)
+        .maybeSingle();
+
+      if (!batch) {
+        return res.status(400).json({
+          success: false,
+          message: 'Batch not found'
+        });
+      }
+    }
+
+    // Trials start today in the gym's timezone unless given
+    const settings = await getGymSettings(gym_id);
+    const start_date = req.body.start_date || getToday(settings.timezone);
+    const end_date = req.body.end_date ||
+      formatDate(addDays(new Date(`${start_date}T00:00:00.000Z`), days - 1));
+
+    if (end_date < start_date) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must be on or after start date'
+      });
+    }
+
+    const { data, error } = await supabaseClient
+      .from('trial_passes')
+      .insert([{
+        gym_id,
+        enquiry_id: id,
+        batch_id,
+        start_date,
+        end_date,
+        visit_limit,
+        notes,
+        created_by: req.user.id
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === '23505' ? 'Enquiry already has an active trial' : error.message
+      });
+    }
+
+    await logEnquiryActivity(gym_id, id, {
+      activity_type: ACTIVITY_TYPES.TRIAL_CREATED,
+      note: notes,
+      details: { trial_pass_id: data.id, start_date, end_date, visit_limit: visit_limit || null, batch_id: batch_id || null }
+    }, req.user.id);
+
+    if (['new', 'contacted'].includes(enquiry.stage)) {
+      const { error: stageError } = await supabaseClient
+        .from('enquiries')
+        .update({ stage: 'trial_booked', updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .eq('gym_id', gym_id);
+
+      if (stageError) {
+        console.error(`Error moving enquiry ${id} to trial_booked:`, stageError);
+      } else {
+        await logEnquiryActivity(gym_id, id, {
+          activity_type: ACTIVITY_TYPES.STAGE_CHANGED,
+          from_stage: enquiry.stage,
+          to_stage: 'trial_booked'
+        }, req.user.id);
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Trial pass created successfully',
+      data: { ...data, visits_used: 0, visits_left: data.visit_limit }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update an active trial pass: extend it, change its visits or batch, or
+ * cancel it
+ * @route PATCH /api/enquiries/:id/trials/:trialId
+ */
+const updateTrial = async (req, res, next) => {
+  try {
+    const { id, trialId } = req.params;
+    const { status, end_date, visit_limit, batch_id, notes } = req.body;
+    const gym_id = req.user.gym_id;
+
+    // Check if trial pass exists and belongs to the enquiry
+    const { data: trial, error: findError } = await supabaseClient
+      .from('trial_passes')
+      .select('id, status, start_date')
+      .eq('id', trialId)
+      .eq('enquiry_id', id)
+      .eq('gym_id', gym_id)
+      .single();
+
+    if (findError || !trial) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trial pass not found'
+      });
+    }
+
+    if (trial.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: `Trial pass is already ${trial.status}`
+      });
+    }
+
+    if (end_date && end_date < trial.start_date) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must be on or after start date'
+      });
+    }
+
+    if (batch_id) {
+      const { data: batch } = await supabaseClient
+        .from('batches')
+        .select('id')
+        .eq('id', batch_id)
+        .eq('gym_id', gym_id)
+        .maybeSingle();
+
+      if (!batch) {
+        return res.status(400).json({
+          success: false,
+          message: 'Batch not found'
+        });
+      }
+    }
+
+    const changes = { end_date, visit_limit, batch_id, notes, updated_at: new Date().toISOString() };
+
+    if (status === 'cancelled') {
+      Object.assign(changes, { status, ended_at: new Date().toISOString() });
+    }
+
+    const { data, error } = await supabaseClient
+      .from('trial_passes')
+      .update(changes)
+      .eq('id', trialId)
+      .eq('gym_id', gym_id)
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (status === 'cancelled') {
+      await logEnquiryActivity(gym_id, id, {
+        activity_type: ACTIVITY_TYPES.TRIAL_CANCELLED,
+        note: notes,
+        details: { trial_pass_id: trialId }
+      }, req.user.id);
+    }
+
+    const [trialWithVisits] = await withTrialVisits(gym_id, [data]);
+
+    res.status(200).json({
+      success: true,
+      message: status === 'cancelled' ? 'Trial pass cancelled successfully' : 'Trial pass updated successfully',
+      data: trialWithVisits
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get an enquiry's activity timeline, newest first
+ * @route GET /api/enquiries/:id/activities
+ */
+const getEnquiryActivities = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const pagination = getPaginationParams(req);
+    const gym_id = req.user.gym_id;
+
+    // Check if enquiry exists and belongs to the gym
+    if (!(await findEnquiry(id, gym_id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Enquiry not found'
+      });
+    }
+
+    const { data, error, count } = await supabaseClient
+      .from('enquiry_activities')
+      .select(`
+        *,
+        user:created_by(id, name)
+      `, { count: 'exact' })
+      .eq('enquiry_id', id)
+      .eq('gym_id', gym_id)
+      .range(pagination.startIndex, pagination.startIndex + pagination.limit - 1)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      ...paginatedResponse(data, count, pagination)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Log a call, message, visit or note on an enquiry's timeline
+ * @route POST /api/enquiries/:id/activities
+ */
+const addEnquiryActivity = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { activity_type, note } = req.body;
+    const gym_id = req.user.gym_id;
+
+    // Check if enquiry exists and belongs to the gym
+    if (!(await findEnquiry(id, gym_id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Enquiry not found'
+      });
+    }
+
+    const data = await logEnquiryActivity(gym_id, id, { activity_type, note }, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Activity logged successfully',
       data
     });
   } catch (error) {
@@ -294,7 +1499,21 @@ module.exports = {
   getAllEnquiries,
   getEnquiryById,
   createEnquiry,
+  createPublicEnquiry,
   updateEnquiry,
   deleteEnquiry,
-  changeEnquiryStatus
+  changeEnquiryStage,
+  changeEnquiryStatus,
+  assignEnquiry,
+  convertEnquiry,
+  getAllFollowUps,
+  getEnquiryFollowUps,
+  createFollowUp,
+  updateFollowUp,
+  getAllTrials,
+  getEnquiryTrials,
+  createTrial,
+  updateTrial,
+  getEnquiryActivities,
+  addEnquiryActivity
 };
\ No newline at end of file
@@ -0,0 +1,224 @@
+const { supabaseClient } = require('../config/supabase');
+const { getPaginationParams, paginatedResponse } = require('../utils/pagination');
+const { getJob, getJobs } = require('../services/jobs');
+const { runJob, runDueRetries } = require('../services/jobs/runner');
+
+/**
+ * Get the registered background jobs with the gym's latest run of each
+ * @route GET /api/jobs
+ */
+const getAllJobs = async (req, res, next) => {
+  try {
+    const gym_id = req.user.gym_id;
+    const jobs = getJobs();
+
+    const { data: runs, error } = await supabaseClient
+      .from('job_runs')
+      .select('id, job_name, trigger, status, started_at, finished_at, error')
+      .eq('gym_id', gym_id)
+      .order('started_at', { ascending: false })
+      .limit(100);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: jobs.map(job => ({
+        name: job.name,
+        description: job.description,
+        schedule: job.schedule,
+        per_gym: Boolean(job.perGym),
+        max_attempts: job.maxAttempts || 1,
+        last_run: runs.find(run => run.job_name === job.name) || null
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the gym's background job runs with pagination and filtering
+ * @route GET /api/jobs/runs
+ */
+const getJobRuns = async (req, res, next) => {
+  try {
+    const { job_name, status, trigger } = req.query;
+    const pagination = getPaginationParams(req);
+    const gym_id = req.user.gym_id;
+
+    // Build query
+    let query = supabaseClient
+      .from('job_runs')
+      .select('id, job_name, trigger, triggered_by, status, attempt, max_attempts, retry_at, retry_of, started_at, finished_at, members_checked, members_updated, error', { count: 'exact' })
+      .eq('gym_id', gym_id);
+
+    // Apply filters
+    if (job_name) {
+      query = query.eq('job_name', job_name);
+    }
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    if (trigger) {
+      query = query.eq('trigger', trigger);
+    }
+
+    // Apply pagination
+    const { data, error, count } = await query
+      .range(pagination.startIndex, pagination.startIndex + pagination.limit - 1)
+      .order('started_at', { ascending: false });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      ...paginatedResponse(data, count, pagination)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a job run with the details it recorded
+ * @route GET /api/jobs/runs/:id
+ */
+const getJobRunById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const gym_id = req.user.gym_id;
+
+    const { data, error } = await supabaseClient
+      .from('job_runs')
+      .select('*')
+      .eq('id', id)
+      .eq('gym_id', gym_id)
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job run not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Run a per-gym job for the gym now
+ * @route POST /api/jobs/:name/run
+ */
+const triggerJob = async (req, res, next) => {
+  try {
+    const { name } = req.params;
+    const gym_id = req.user.gym_id;
+    const job = getJob(name);
+
+    // Jobs covering every gym at once can only be run by the scheduler
+    if (!job || !job.perGym) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const [run] = await runJob(name, {
+      gym_id,
+      trigger: 'manual',
+      triggered_by: req.user.id
+    });
+
+    if (run.status === 'skipped') {
+      return res.status(409).json({
+        success: false,
+        message: 'This job is already running'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: run.status === 'failed' ? 'Job run failed' : 'Job run completed',
+      data: run
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Run a job on behalf of an external scheduler, then any retries that are due
+ * @route GET /api/jobs/cron/:name
+ */
+const runCronJob = async (req, res, next) => {
+  try {
+    const { name } = req.params;
+
+    if (!getJob(name)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const runs = await runJob(name, { trigger: 'external' });
+    const retries = await runDueRetries();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        runs: runs.map(run => ({ id: run.id, gym_id: run.gym_id, status: run.status, error: run.error || null })),
+        retries: retries.map(run => ({ id: run.id, job_name: run.job_name, gym_id: run.gym_id, status: run.status }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Run retries of failed job runs that are due, on behalf of an external scheduler
+ * @route GET /api/jobs/cron/retries
+ */
+const runCronRetries = async (req, res, next) => {
+  try {
+    const retries = await runDueRetries();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        retries: retries.map(run => ({ id: run.id, job_name: run.job_name, gym_id: run.gym_id, status: run.status }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAllJobs,
+  getJobRuns,
+  getJobRunById,
+  triggerJob,
+  runCronJob,
+  runCronRetries
+};
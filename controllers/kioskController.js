@@ -0,0 +1,348 @@
+const crypto = require('crypto');
+const { supabaseClient } = require('../config/supabase');
+const { hashKioskKey } = require('../middleware/kioskAuth');
+const { getGymSettings } = require('../services/settingsService');
+const { formatDate, getToday, parseCheckInPayload } = require('../utils/helpers');
+
+/**
+ * Get the gym's kiosk devices
+ * @route GET /api/kiosk/devices
+ */
+const getDevices = async (req, res, next) => {
+  try {
+    const gym_id = req.user.gym_id;
+
+    const { data, error } = await supabaseClient
+      .from('kiosk_devices')
+      .select('id, name, duplicate_window_minutes, is_active, last_used_at, revoked_at, created_at')
+      .eq('gym_id', gym_id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Register a kiosk device; the device key is only returned here
+ * @route POST /api/kiosk/devices
+ */
+const createDevice = async (req, res, next) => {
+  try {
+    const { name, duplicate_window_minutes } = req.body;
+    const gym_id = req.user.gym_id;
+    const key = `kiosk_${crypto.randomBytes(24).toString('hex')}`;
+
+    const { data, error } = await supabaseClient
+      .from('kiosk_devices')
+      .insert([{
+        gym_id,
+        name,
+        key_hash: hashKioskKey(key),
+        duplicate_window_minutes,
+        created_by: req.user.id
+      }])
+      .select('id, name, duplicate_window_minutes, is_active, created_at')
+      .single();
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Kiosk device registered successfully. Store the key now, it will not be shown again.',
+      data: { ...data, key }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a kiosk device's name or duplicate check-in window
+ * @route PUT /api/kiosk/devices/:id
+ */
+const updateDevice = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, duplicate_window_minutes } = req.body;
+    const gym_id = req.user.gym_id;
+
+    const { data, error } = await supabaseClient
+      .from('kiosk_devices')
+      .update({ name, duplicate_window_minutes, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('gym_id', gym_id)
+      .select('id, name, duplicate_window_minutes, is_active, last_used_at, created_at')
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({
+        success: false,
+        message: 'Kiosk device not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Kiosk device updated successfully',
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke a kiosk device's key
+ * @route DELETE /api/kiosk/devices/:id
+ */
+const revokeDevice = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const gym_id = req.user.gym_id;
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabaseClient
+      .from('kiosk_devices')
+      .update({ is_active: false, revoked_at: now, updated_at: now })
+      .eq('id', id)
+      .eq('gym_id', gym_id)
+      .select('id')
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({
+        success: false,
+        message: 'Kiosk device not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Kiosk device revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Find the gym's member for a typed code or scanned QR payload
+ * @param {string} gym_id - Kiosk's gym ID
+ * @param {string} input - Check-in code or QR payload
+ * @returns {Promise<Object|null>} Member, or null if the code is unknown
+ */
+const findMemberByCode = async (gym_id, input) => {
+  const { gymId, code } = parseCheckInPayload(input);
+
+  // QR codes from another gym are treated like unknown codes
+  if (gymId && gymId !== gym_id) {
+    return null;
+  }
+
+  const { data: member, error } = await supabaseClient
+    .from('members')
+    .select('id, name, status, plan_end_date')
+    .eq('gym_id', gym_id)
+    .eq('check_in_code', code)
+    .single();
+
+  if (error || !member) {
+    return null;
+  }
+
+  return member;
+};
+
+/**
+ * Self check-in from a kiosk with a member code or scanned QR payload
+ * @route POST /api/kiosk/check-in
+ */
+const checkIn = async (req, res, next) => {
+  try {
+    const { gym_id, id: device_id, duplicate_window_minutes } = req.kiosk;
+    const member = await findMemberByCode(gym_id, req.body.code);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    const settings = await getGymSettings(gym_id);
+    const today = getToday(settings.timezone);
+
+    // A freeze that has started may not be reflected in the member's status yet
+    const { data: freezes, error: freezesError } = await supabaseClient
+      .from('member_freezes')
+      .select('id')
+      .eq('gym_id', gym_id)
+      .eq('member_id', member.id)
+      .eq('status', 'active')
+      .lte('start_date', today)
+      .gte('end_date', today)
+      .limit(1);
+
+    if (freezesError) {
+      return res.status(400).json({
+        success: false,
+        message: freezesError.message
+      });
+    }
+
+    // Refuse members who are not allowed in, with the reason shown on the kiosk
+    let reason = null;
+
+    if (member.status === 'inactive') {
+      reason = 'Membership is inactive';
+    } else if (member.status === 'frozen' || freezes.length > 0) {
+      reason = 'Membership is frozen';
+    } else if (!member.plan_end_date) {
+      reason = 'No active plan';
+    } else if (formatDate(member.plan_end_date) < today) {
+      reason = `Membership expired on ${formatDate(member.plan_end_date)}`;
+    }
+
+    if (reason) {
+      return res.status(403).json({
+        success: false,
+        message: reason,
+        data: { member_id: member.id, name: member.name }
+      });
+    }
+
+    // The duplicate window is checked under a lock on the member so two quick scans
+    // can't both get in; the check-in trigger marks the member present for the day
+    const { data: checkInRecord, error: checkInError } = await supabaseClient
+      .rpc('kiosk_check_in', {
+        p_gym_id: gym_id,
+        p_member_id: member.id,
+        p_device_id: device_id,
+        p_window_minutes: duplicate_window_minutes
+      });
+
+    if (checkInError && checkInError.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'Already checked in',
+        data: {
+          member_id: member.id,
+          name: member.name,
+          checked_in_at: checkInError.details
+        }
+      });
+    }
+
+    if (checkInError) {
+      return res.status(400).json({
+        success: false,
+        message: checkInError.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Welcome, ${member.name}`,
+      data: {
+        ...checkInRecord,
+        name: member.name,
+        plan_end_date: member.plan_end_date
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Self check-out from a kiosk, closing the member's open visit
+ * @route POST /api/kiosk/check-out
+ */
+const checkOut = async (req, res, next) => {
+  try {
+    const { gym_id } = req.kiosk;
+    const member = await findMemberByCode(gym_id, req.body.code);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    const { data: openVisits, error: openError } = await supabaseClient
+      .from('check_ins')
+      .select('id')
+      .eq('gym_id', gym_id)
+      .eq('member_id', member.id)
+      .is('checked_out_at', null)
+      .order('checked_in_at', { ascending: false })
+      .limit(1);
+
+    if (openError) {
+      return res.status(400).json({
+        success: false,
+        message: openError.message
+      });
+    }
+
+    if (openVisits.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No open visit to check out of',
+        data: { member_id: member.id, name: member.name }
+      });
+    }
+
+    const { data, error } = await supabaseClient
+      .from('check_ins')
+      .update({
+        checked_out_at: new Date().toISOString(),
+        check_out_source: 'kiosk'
+      })
+      .eq('id', openVisits[0].id)
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Goodbye, ${member.name}`,
+      data: { ...data, name: member.name }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getDevices,
+  createDevice,
+  updateDevice,
+  revokeDevice,
+  checkIn,
+  checkOut
+};
@@ -1,5 +1,13 @@
 const { supabaseClient, supabaseAdmin } = require('../config/supabase');
 const { getPaginationParams, paginatedResponse } = require('../utils/pagination');
+const { calculateExpiryDate, getToday, buildCheckInPayload } = require('../utils/helpers');
+const { generateInvoicePdf } = require('../utils/pdfGenerator');
+const { getMemberBalance } = require('../services/ledgerService');
+const { getGymSettings } = require('../services/settingsService');
+const { checkGymMemberStatus } = require('../services/memberStatusService');
+const { syncJoiningCharges, hasOpeningBalance, recordAdmission, removeMember } = require('../services/memberService');
+const { runJob } = require('../services/jobs/runner');
+const memberStatusJob = require('../services/jobs/memberStatusJob');
 
 /**
  * Get all members with pagination and filtering
@@ -211,38 +219,19 @@ const createMember = async (req, res, next) => {
       });
     }
 
-    // Always create a payment record for admission/plan on member creation
-    let plan_price = 0;
-    if (plan_id) {
-      const { data: planObj } = await supabaseClient
-        .from('plans')
-        .select('price')
-        .eq('id', plan_id)
-        .eq('gym_id', gym_id)
-        .single();
-      plan_price = planObj?.price || 0;
-    }
-    const paid = typeof amount_paid === 'number' ? amount_paid : 0;
-    const discount = typeof discount_value === 'number' ? discount_value : 0;
-    const total = (admission_fees || 0) + plan_price - discount;
-    const due = total - paid;
-    const admissionPayment = {
-      member_id: data.id,
-      amount_paid: paid,
-      total_amount: total,
-      due_amount: due > 0 ? due : 0,
-      payment_date: new Date().toISOString(),
-      payment_method: 'cash',
-      notes: 'Admission Fee',
-      gym_id,
-    };
-
-    const { error: paymentError } = await supabaseClient
-      .from('payments')
-      .insert([admissionPayment]);
-
-    if (paymentError) {
-      console.error('Error recording admission fee payment:', paymentError);
+    // Bill the joining charges and record the admission payment against them.
+    // A member the ledger doesn't know about is removed again.
+    try {
+      await recordAdmission(data.id, gym_id, {
+        admission_fees,
+        plan_id,
+        discount_value,
+        amount_paid,
+        created_by: req.user.id
+      });
+    } catch (admissionError) {
+      await removeMember(data.id, gym_id);
+      throw admissionError;
     }
 
     res.status(201).json({
@@ -269,7 +258,7 @@ const updateMember = async (req, res, next) => {
     // Check if member exists and belongs to the gym
     const { data: existingMember, error: findError } = await supabaseClient
       .from('members')
-      .select('id')
+      .select('id, plan_id, discount_value, admission_fees')
       .eq('id', id)
       .eq('gym_id', gym_id)
       .single();
@@ -281,6 +270,20 @@ const updateMember = async (req, res, next) => {
       });
     }
 
+    // Joining fees of members carried over from before the ledger are part of
+    // their opening balance and can't be billed again
+    const feesChanged =
+      (plan_id !== undefined && plan_id !== existingMember.plan_id) ||
+      (discount_value !== undefined && Number(discount_value) !== Number(existingMember.discount_value || 0)) ||
+      (admission_fees !== undefined && Number(admission_fees) !== Number(existingMember.admission_fees || 0));
+
+    if (feesChanged && await hasOpeningBalance(id, gym_id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This member\'s joining fees are part of their opening balance and cannot be changed. Add a charge or renew the membership instead.'
+      });
+    }
+
     // Verify new batch and plan belong to the same gym
     if (batch_id) {
       const { data: batchData, error: batchError } = await supabaseClient
@@ -361,7 +364,7 @@ const updateMember = async (req, res, next) => {
       });
     }
 
-    // Always upsert the admission/plan payment record on update
+    // Keep the joining charges and admission payment in line with the member
     let plan_price = 0;
     if (plan_id) {
       const { data: planObj } = await supabaseClient
@@ -370,43 +373,55 @@ const updateMember = async (req, res, next) => {
         .eq('id', plan_id)
         .eq('gym_id', gym_id)
         .single();
-      plan_price = planObj?.price || 0;
+      plan_price = Number(planObj?.price) || 0;
     }
     const paid = typeof amount_paid === 'number' ? amount_paid : 0;
     const discount = typeof discount_value === 'number' ? discount_value : 0;
-    const total = (admission_fees || 0) + plan_price - discount;
-    const due = total - paid;
+
+    await syncJoiningCharges(id, gym_id, {
+      admission_fees,
+      plan_id,
+      plan_price,
+      discount,
+      created_by: req.user.id
+    });
 
     // Find the existing admission fee payment
-    const { data: paymentRecord } = await supabaseClient
+    const { data: paymentRecord, error: paymentFindError } = await supabaseClient
       .from('payments')
       .select('id')
       .eq('member_id', id)
       .eq('notes', 'Admission Fee')
-      .single();
+      .eq('entry_type', 'payment')
+      .eq('status', 'completed')
+      .maybeSingle();
 
+    if (paymentFindError) {
+      throw paymentFindError;
+    }
+
+    let paymentError;
     if (paymentRecord) {
-      await supabaseClient
+      ({ error: paymentError } = await supabaseClient
         .from('payments')
-        .update({
-          amount_paid: paid,
-          total_amount: total,
-          due_amount: due > 0 ? due : 0
-        })
-        .eq('id', paymentRecord.id);
+        .update({ amount_paid: paid })
+        .eq('id', paymentRecord.id));
     } else {
-      await supabaseClient
+      const settings = await getGymSettings(gym_id);
+      ({ error: paymentError } = await supabaseClient
         .from('payments')
         .insert([{
           member_id: id,
           amount_paid: paid,
-          total_amount: total,
-          due_amount: due > 0 ? due : 0,
-          payment_date: new Date().toISOString(),
-          payment_method: 'cash',
+          payment_date: getToday(settings.timezone),
+          payment_method: settings.default_payment_method,
           notes: 'Admission Fee',
           gym_id
-        }]);
+        }]));
+    }
+
+    if (paymentError) {
+      throw paymentError;
     }
 
     res.status(200).json({
@@ -464,128 +479,546 @@ const deleteMember = async (req, res, next) => {
   }
 };
 
-const checkMemberStatus = async (req, res) => {
+/**
+ * Renew a member's plan and book the renewal payment
+ * @route POST /api/members/:id/renew
+ */
+const renewMembership = async (req, res, next) => {
   try {
-    const { gym_id } = req.user;
+    const { id } = req.params;
+    const {
+      plan_id,
+      start_mode = 'plan_end',
+      discount_value = 0,
+      amount_paid = 0,
+      notes
+    } = req.body;
+    const gym_id = req.user.gym_id;
+    const settings = await getGymSettings(gym_id);
+    const payment_method = req.body.payment_method || settings.default_payment_method;
+
+    // Check if member exists and belongs to the gym
+    const { data: member, error: findError } = await supabaseClient
+      .from('members')
+      .select('id, plan_id, plan_end_date')
+      .eq('id', id)
+      .eq('gym_id', gym_id)
+      .single();
+
+    if (findError || !member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    // Renew onto the requested plan, or the member's current plan
+    const renewalPlanId = plan_id || member.plan_id;
+    const { data: planData, error: planError } = await supabaseClient
+      .from('plans')
+      .select('id, duration_in_months, price')
+      .eq('id', renewalPlanId)
+      .eq('gym_id', gym_id)
+      .single();
+
+    if (!renewalPlanId || planError || !planData) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid plan selected'
+      });
+    }
+
+    const startDate = start_mode === 'today' || !member.plan_end_date
+      ? new Date(getToday(settings.timezone))
+      : new Date(member.plan_end_date);
+    const endDate = calculateExpiryDate(startDate, planData.duration_in_months);
+
+    const { data, error } = await supabaseClient.rpc('renew_membership', {
+      p_gym_id: gym_id,
+      p_member_id: id,
+      p_plan_id: planData.id,
+      p_start_mode: start_mode,
+      p_start_date: startDate.toISOString(),
+      p_end_date: endDate.toISOString(),
+      p_plan_price: Number(planData.price) || 0,
+      p_discount_value: discount_value,
+      p_amount_paid: amount_paid,
+      p_payment_method: payment_method,
+      p_notes: notes || 'Plan Renewal',
+      p_renewed_by: req.user.id
+    });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Membership renewed successfully',
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get renewal history for a member
+ * @route GET /api/members/:id/renewals
+ */
+const getMemberRenewals = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const pagination = getPaginationParams(req);
+    const gym_id = req.user.gym_id;
+
+    // Check if member exists and belongs to the gym
+    const { data: member, error: findError } = await supabaseClient
+      .from('members')
+      .select('id')
+      .eq('id', id)
+      .eq('gym_id', gym_id)
+      .single();
+
+    if (findError || !member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    const { data, error, count } = await supabaseClient
+      .from('membership_renewals')
+      .select(`
+        *,
+        plans:plan_id(id, name, duration_in_months, price),
+        payments:payment_id(id, amount_paid, due_amount, payment_date, payment_method)
+      `, { count: 'exact' })
+      .eq('member_id', id)
+      .eq('gym_id', gym_id)
+      .range(pagination.startIndex, pagination.startIndex + pagination.limit - 1)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      ...paginatedResponse(data, count, pagination)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get freeze periods for a member
+ * @route GET /api/members/:id/freezes
+ */
+const getMemberFreezes = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const gym_id = req.user.gym_id;
+
+    // Check if member exists and belongs to the gym
+    const { data: member, error: findError } = await supabaseClient
+      .from('members')
+      .select('id')
+      .eq('id', id)
+      .eq('gym_id', gym_id)
+      .single();
+
+    if (findError || !member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    const { data, error } = await supabaseClient
+      .from('member_freezes')
+      .select('*')
+      .eq('member_id', id)
+      .eq('gym_id', gym_id)
+      .order('start_date', { ascending: false });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a member's status and plan end date after a freeze changed them
+ * @param {string} id - Member ID
+ * @param {string} gym_id - Gym ID
+ * @returns {Promise<Object>} Member ({ id, status, plan_end_date })
+ */
+const getMemberPlanState = async (id, gym_id) => {
+  const { data, error } = await supabaseClient
+    .from('members')
+    .select('id, status, plan_end_date')
+    .eq('id', id)
+    .eq('gym_id', gym_id)
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * Freeze a member's plan and extend plan_end_date by the frozen days
+ * @route POST /api/members/:id/freezes
+ */
+const createMemberFreeze = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { start_date, end_date, reason } = req.body;
+    const gym_id = req.user.gym_id;
+
+    // Check if member exists and belongs to the gym
+    const { data: member, error: findError } = await supabaseClient
+      .from('members')
+      .select('id')
+      .eq('id', id)
+      .eq('gym_id', gym_id)
+      .single();
+
+    if (findError || !member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    // Record the freeze and push the plan end date out in one transaction
+    const { data: freeze, error: freezeError } = await supabaseClient.rpc('freeze_membership', {
+      p_gym_id: gym_id,
+      p_member_id: id,
+      p_start_date: start_date,
+      p_end_date: end_date,
+      p_reason: reason ?? null,
+      p_approved_by: req.user.id
+    });
+
+    if (freezeError) {
+      return res.status(400).json({
+        success: false,
+        message: freezeError.message
+      });
+    }
+
+    const updatedMember = await getMemberPlanState(id, gym_id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Membership frozen successfully',
+      data: {
+        freeze,
+        member: updatedMember
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a freeze and give back the days that were not used
+ * @route PATCH /api/members/:id/freezes/:freezeId/cancel
+ */
+const cancelMemberFreeze = async (req, res, next) => {
+  try {
+    const { id, freezeId } = req.params;
+    const gym_id = req.user.gym_id;
+
+    // Cancel the freeze and take back its unused days in one transaction
+    const { data: cancelledFreeze, error: cancelError } = await supabaseClient.rpc('cancel_membership_freeze', {
+      p_gym_id: gym_id,
+      p_member_id: id,
+      p_freeze_id: freezeId
+    });
+
+    if (cancelError) {
+      return res.status(cancelError.code === 'P0002' ? 404 : 400).json({
+        success: false,
+        message: cancelError.message
+      });
+    }
+
+    const updatedMember = await getMemberPlanState(id, gym_id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Freeze cancelled successfully',
+      data: {
+        freeze: cancelledFreeze,
+        member: updatedMember
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a member's check-in code and QR payload for the kiosk
+ * @route GET /api/members/:id/check-in-code
+ */
+const getMemberCheckInCode = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const gym_id = req.user.gym_id;
 
-    const { data: members, error: membersError } = await supabaseClient
+    const { data: member, error } = await supabaseClient
+      .from('members')
+      .select('id, name, check_in_code')
+      .eq('id', id)
+      .eq('gym_id', gym_id)
+      .single();
+
+    if (error || !member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        member_id: member.id,
+        name: member.name,
+        check_in_code: member.check_in_code,
+        qr_payload: buildCheckInPayload(gym_id, member.check_in_code)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Issue a new check-in code, e.g. when a member's card is lost
+ * @route POST /api/members/:id/check-in-code/regenerate
+ */
+const regenerateMemberCheckInCode = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const gym_id = req.user.gym_id;
+
+    // Check if member exists and belongs to the gym
+    const { data: member, error: findError } = await supabaseClient
+      .from('members')
+      .select('id')
+      .eq('id', id)
+      .eq('gym_id', gym_id)
+      .single();
+
+    if (findError || !member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    const { data: code, error: codeError } = await supabaseClient
+      .rpc('generate_check_in_code', { p_gym_id: gym_id });
+
+    if (codeError) {
+      return res.status(400).json({
+        success: false,
+        message: codeError.message
+      });
+    }
+
+    const { data, error } = await supabaseClient
+      .from('members')
+      .update({ check_in_code: code })
+      .eq('id', id)
+      .eq('gym_id', gym_id)
+      .select('id, name, check_in_code')
+      .single();
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Check-in code regenerated successfully',
+      data: {
+        member_id: data.id,
+        name: data.name,
+        check_in_code: data.check_in_code,
+        qr_payload: buildCheckInPayload(gym_id, data.check_in_code)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download an outstanding dues invoice for a member as PDF
+ * @route GET /api/members/:id/invoice
+ */
+const getMemberInvoice = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const gym_id = req.user.gym_id;
+
+    // Check if member exists and belongs to the gym
+    const { data: member, error: findError } = await supabaseClient
       .from('members')
       .select(`
         id,
         name,
-        status,
-        plan_id,
+        phone,
+        email,
         plan_end_date,
-        payments (
-          id,
-          amount_paid,
-          due_amount,
-          payment_date,
-          notes
-        )
+        plans:plan_id(id, name, price)
       `)
-      .eq('gym_id', gym_id);
+      .eq('id', id)
+      .eq('gym_id', gym_id)
+      .single();
 
-    if (membersError) {
-      throw membersError;
-    }
-
-    const today = new Date();
-    const updatedMembers = [];
-
-    for (const member of members) {
-      const planEndDate = new Date(member.plan_end_date);
-      const planPayments = (member.payments || []).filter(p => p.notes !== 'Admission Fee');
-      const latestPayment = planPayments
-        .sort((a, b) => new Date(b.payment_date).getTime() - new Date(a.payment_date).getTime())[0];
-
-      if (planEndDate < today) {
-        if (!latestPayment || latestPayment.due_amount > 0) {
-          if (member.status !== 'inactive') {
-            const { error: updateError } = await supabaseClient
-              .from('members')
-              .update({ status: 'inactive' })
-              .eq('id', member.id);
-
-            if (updateError) {
-              console.error(`Error updating member ${member.id}:`, updateError);
-              continue;
-            }
-
-            updatedMembers.push({
-              id: member.id,
-              name: member.name,
-              reason: 'Plan expired with unpaid dues, set to inactive'
-            });
-          }
-        } else if (latestPayment && latestPayment.due_amount === 0) {
-          const { data: planData, error: planError } = await supabaseClient
-            .from('plans')
-            .select('duration_in_months')
-            .eq('id', member.plan_id)
-            .single();
-
-          if (planError) {
-            console.error(`Error fetching plan for member ${member.id}:`, planError);
-            continue;
-          }
-
-          if (planData && planData.duration_in_months) {
-            const newPlanEndDate = new Date(planEndDate);
-            newPlanEndDate.setMonth(newPlanEndDate.getMonth() + planData.duration_in_months);
-
-            const { error: extendError } = await supabaseClient
-              .from('members')
-              .update({
-                plan_end_date: newPlanEndDate.toISOString(),
-                status: 'active'
-              })
-              .eq('id', member.id);
-
-            if (extendError) {
-              console.error(`Error extending plan_end_date for member ${member.id}:`, extendError);
-              continue;
-            }
-
-            updatedMembers.push({
-              id: member.id,
-              name: member.name,
-              reason: 'Plan extended after full payment, set to active',
-              new_plan_end_date: newPlanEndDate.toISOString()
-            });
-          }
-        }
-      } else {
-        if (member.status === 'inactive') {
-          if (latestPayment && latestPayment.due_amount === 0) {
-            const { error: reactivateError } = await supabaseClient
-              .from('members')
-              .update({ status: 'active' })
-              .eq('id', member.id);
-
-            if (reactivateError) {
-              console.error(`Error reactivating member ${member.id}:`, reactivateError);
-              continue;
-            }
-
-            updatedMembers.push({
-              id: member.id,
-              name: member.name,
-              reason: 'All dues paid and plan valid, set to active'
-            });
-          }
-        }
-      }
+    if (findError || !member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    // Charges that are still open on the ledger
+    const ledger = await getMemberBalance(gym_id, id);
+    const openCharges = ledger.charges.filter(charge => Number(charge.open_amount) > 0);
+    const total_due = openCharges.reduce((sum, charge) => sum + Number(charge.open_amount), 0);
+
+    if (total_due <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Member has no outstanding dues'
+      });
+    }
+
+    // Get gym details for the invoice header
+    const { data: gym, error: gymError } = await supabaseClient
+      .from('users')
+      .select('gym_name, country, email, phone')
+      .eq('id', gym_id)
+      .single();
+
+    if (gymError || !gym) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gym profile not found'
+      });
+    }
+
+    const settings = await getGymSettings(gym_id);
+
+    // Numbered after the latest open charge, so downloading again gives the same
+    // invoice until a new charge is added
+    const latestCharge = openCharges.reduce((latest, charge) => (
+      charge.charge_date > latest.charge_date ||
+      (charge.charge_date === latest.charge_date && charge.id > latest.id)
+        ? charge
+        : latest
+    ));
+    const invoice_number = `INV-${latestCharge.charge_date.replace(/-/g, '')}-${latestCharge.id.slice(0, 8).toUpperCase()}`;
+
+    const pdf = await generateInvoicePdf({
+      gym,
+      member,
+      plan: member.plans,
+      invoice_number,
+      items: openCharges.map(charge => ({
+        date: charge.charge_date,
+        description: charge.description || charge.charge_type,
+        total_amount: charge.amount,
+        amount_paid: charge.amount_allocated,
+        due_amount: charge.open_amount
+      })),
+      total_due,
+      currency: settings.currency,
+      timezone: settings.timezone
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${invoice_number}.pdf`);
+    res.send(pdf);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check every member against the gym's status rules: freezes, expiry with
+ * unpaid dues after the grace period, auto-renewal of paid plans and
+ * reactivation. With dry_run the changes are returned without being applied;
+ * otherwise the run is recorded in the gym's job history.
+ * @route POST /api/members/check-status
+ */
+const checkMemberStatus = async (req, res) => {
+  try {
+    const { gym_id } = req.user;
+    const dryRun = req.query.dry_run === 'true' || req.body?.dry_run === true;
+
+    if (dryRun) {
+      const data = await checkGymMemberStatus(gym_id, { dryRun });
+
+      return res.json({
+        success: true,
+        message: 'Member status check dry run completed, no changes applied',
+        data
+      });
+    }
+
+    const [run] = await runJob(memberStatusJob.name, {
+      gym_id,
+      trigger: 'manual',
+      triggered_by: req.user.id
+    });
+
+    if (run.status === 'skipped') {
+      return res.status(409).json({
+        success: false,
+        message: 'A member status check is already running'
+      });
+    }
+
+    if (run.status === 'failed') {
+      throw new Error(run.error);
     }
 
     res.json({
       success: true,
       message: 'Member status check completed',
-      data: {
-        updatedMembers,
-        totalChecked: members.length,
-        totalUpdated: updatedMembers.length
-      }
+      data: run.details
     });
   } catch (error) {
     console.error('Error checking member status:', error);
@@ -603,5 +1036,13 @@ module.exports = {
   createMember,
   updateMember,
   deleteMember,
+  renewMembership,
+  getMemberRenewals,
+  getMemberFreezes,
+  createMemberFreeze,
+  cancelMemberFreeze,
+  getMemberInvoice,
+  getMemberCheckInCode,
+  regenerateMemberCheckInCode,
   checkMemberStatus
 };
\ No newline at end of file
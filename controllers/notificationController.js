@@ -0,0 +1,398 @@
+const { supabaseClient } = require('../config/supabase');
+const { getPaginationParams, paginatedResponse } = require('../utils/pagination');
+const { PLACEHOLDERS, DEFAULT_TEMPLATES } = require('../services/notificationTemplates');
+
+/**
+ * Get sent and failed notifications with pagination and filtering
+ * @route GET /api/notifications
+ */
+const getAllNotifications = async (req, res, next) => {
+  try {
+    const { member_id, channel, status, event_type, start_date, end_date } = req.query;
+    const pagination = getPaginationParams(req);
+    const gym_id = req.user.gym_id;
+
+    // Build query
+    let query = supabaseClient
+      .from('notifications')
+      .select(`
+        *,
+        members(id, name, phone)
+      `, { count: 'exact' })
+      .eq('gym_id', gym_id);
+
+    // Apply filters
+    if (member_id) {
+      query = query.eq('member_id', member_id);
+    }
+
+    if (channel) {
+      query = query.eq('channel', channel);
+    }
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    if (event_type) {
+      query = query.eq('event_type', event_type);
+    }
+
+    if (start_date) {
+      query = query.gte('created_at', start_date);
+    }
+
+    if (end_date) {
+      query = query.lte('created_at', `${end_date}T23:59:59.999Z`);
+    }
+
+    // Apply pagination
+    const { data, error, count } = await query
+      .range(pagination.startIndex, pagination.startIndex + pagination.limit - 1)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      ...paginatedResponse(data, count, pagination)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get notifications sent to a member
+ * @route GET /api/notifications/member/:memberId
+ */
+const getMemberNotifications = async (req, res, next) => {
+  try {
+    const { memberId } = req.params;
+    const pagination = getPaginationParams(req);
+    const gym_id = req.user.gym_id;
+
+    // Check if member exists and belongs to the gym
+    const { data: member, error: memberError } = await supabaseClient
+      .from('members')
+      .select('id')
+      .eq('id', memberId)
+      .eq('gym_id', gym_id)
+      .single();
+
+    if (memberError || !member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    const { data, error, count } = await supabaseClient
+      .from('notifications')
+      .select('*', { count: 'exact' })
+      .eq('gym_id', gym_id)
+      .eq('member_id', memberId)
+      .range(pagination.startIndex, pagination.startIndex + pagination.limit - 1)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      ...paginatedResponse(data, count, pagination)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a notification by ID
+ * @route GET /api/notifications/:id
+ */
+const getNotificationById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const gym_id = req.user.gym_id;
+
+    const { data, error } = await supabaseClient
+      .from('notifications')
+      .select(`
+        *,
+        members(id, name, phone, email),
+        notification_templates(id, event_type, channel)
+      `)
+      .eq('id', id)
+      .eq('gym_id', gym_id)
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the gym's message templates, with the built-in defaults and placeholders
+ * @route GET /api/notifications/templates
+ */
+const getTemplates = async (req, res, next) => {
+  try {
+    const gym_id = req.user.gym_id;
+
+    const { data, error } = await supabaseClient
+      .from('notification_templates')
+      .select('*')
+      .eq('gym_id', gym_id)
+      .order('event_type', { ascending: true });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        templates: data,
+        defaults: DEFAULT_TEMPLATES,
+        placeholders: PLACEHOLDERS.map(name => `{{${name}}}`)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a message template by ID
+ * @route GET /api/notifications/templates/:id
+ */
+const getTemplateById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const gym_id = req.user.gym_id;
+
+    const { data, error } = await supabaseClient
+      .from('notification_templates')
+      .select('*')
+      .eq('id', id)
+      .eq('gym_id', gym_id)
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a message template for an event and channel
+ * @route POST /api/notifications/templates
+ */
+const createTemplate = async (req, res, next) => {
+  try {
+    const { event_type, channel, subject, body, is_active } = req.body;
+    const gym_id = req.user.gym_id;
+
+    // Only one template per event and channel
+    const { data: existingTemplate } = await supabaseClient
+      .from('notification_templates')
+      .select('id')
+      .eq('gym_id', gym_id)
+      .eq('event_type', event_type)
+      .eq('channel', channel)
+      .maybeSingle();
+
+    if (existingTemplate) {
+      return res.status(400).json({
+        success: false,
+        message: 'A template for this event and channel already exists'
+      });
+    }
+
+    const { data, error } = await supabaseClient
+      .from('notification_templates')
+      .insert([{ gym_id, event_type, channel, subject, body, is_active }])
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Template created successfully',
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a message template
+ * @route PUT /api/notifications/templates/:id
+ */
+const updateTemplate = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { event_type, channel, subject, body, is_active } = req.body;
+    const gym_id = req.user.gym_id;
+
+    // Check if template exists and belongs to the gym
+    const { data: existingTemplate, error: findError } = await supabaseClient
+      .from('notification_templates')
+      .select('id')
+      .eq('id', id)
+      .eq('gym_id', gym_id)
+      .single();
+
+    if (findError || !existingTemplate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    // Another template may already cover the new event and channel
+    const { data: conflictingTemplate } = await supabaseClient
+      .from('notification_templates')
+      .select('id')
+      .eq('gym_id', gym_id)
+      .eq('event_type', event_type)
+      .eq('channel', channel)
+      .neq('id', id)
+      .maybeSingle();
+
+    if (conflictingTemplate) {
+      return res.status(400).json({
+        success: false,
+        message: 'A template for this event and channel already exists'
+      });
+    }
+
+    const { data, error } = await supabaseClient
+      .from('notification_templates')
+      .update({
+        event_type,
+        channel,
+        subject,
+        body,
+        is_active,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .eq('gym_id', gym_id)
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Template updated successfully',
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a message template; the built-in default is used again
+ * @route DELETE /api/notifications/templates/:id
+ */
+const deleteTemplate = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const gym_id = req.user.gym_id;
+
+    // Check if template exists and belongs to the gym
+    const { data: existingTemplate, error: findError } = await supabaseClient
+      .from('notification_templates')
+      .select('id')
+      .eq('id', id)
+      .eq('gym_id', gym_id)
+      .single();
+
+    if (findError || !existingTemplate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    const { error } = await supabaseClient
+      .from('notification_templates')
+      .delete()
+      .eq('id', id)
+      .eq('gym_id', gym_id);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Template deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAllNotifications,
+  getMemberNotifications,
+  getNotificationById,
+  getTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate
+};
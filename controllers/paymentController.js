@@ -1,7 +1,10 @@
 const { supabaseClient } = require('../config/supabase');
 const { getPaginationParams, paginatedResponse } = require('../utils/pagination');
-const { calculateDueAmount } = require('../utils/helpers');
-const ExcelJS = require('exceljs');
+const { getMemberBalance: getLedgerBalance, getLedgerSummary } = require('../services/ledgerService');
+const { getGymSettings } = require('../services/settingsService');
+const { generateReceiptPdf } = require('../utils/pdfGenerator');
+const { getToday } = require('../utils/helpers');
+const { sendReport } = require('../services/exportService');
 
 /**
  * Get all payments with pagination and filtering
@@ -98,12 +101,13 @@ const getPaymentById = async (req, res, next) => {
 const createPayment = async (req, res, next) => {
   try {
     const { 
-      member_id, amount_paid, total_amount, 
-      payment_date = new Date().toISOString(), 
-      payment_method = 'cash',
+      member_id, amount_paid, charge_id,
       notes 
     } = req.body;
     const gym_id = req.user.gym_id;
+    const settings = await getGymSettings(gym_id);
+    const payment_method = req.body.payment_method || settings.default_payment_method;
+    const payment_date = req.body.payment_date || getToday(settings.timezone);
     
     // Check if member exists and belongs to the gym
     const { data: member, error: memberError } = await supabaseClient
@@ -120,23 +124,37 @@ const createPayment = async (req, res, next) => {
       });
     }
     
-    // Calculate due amount
-    const due_amount = calculateDueAmount(total_amount, amount_paid);
+    // Check the charge being paid belongs to the member
+    if (charge_id) {
+      const { data: charge, error: chargeError } = await supabaseClient
+        .from('charges')
+        .select('id')
+        .eq('id', charge_id)
+        .eq('member_id', member_id)
+        .eq('gym_id', gym_id)
+        .single();
+      
+      if (chargeError || !charge) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid charge selected'
+        });
+      }
+    }
     
-    // Create payment record
-    const { data, error } = await supabaseClient
+    // Create payment record; the ledger applies it to open charges
+    const { data: inserted, error } = await supabaseClient
       .from('payments')
       .insert([{ 
         member_id, 
         amount_paid, 
-        total_amount, 
-        due_amount,
+        charge_id,
         payment_date,
         payment_method,
         notes,
         gym_id
       }])
-      .select()
+      .select('id')
       .single();
     
     if (error) {
@@ -146,6 +164,20 @@ const createPayment = async (req, res, next) => {
       });
     }
     
+    // Re-read the row to pick up the ledger's total and due amounts
+    const { data, error: fetchError } = await supabaseClient
+      .from('payments')
+      .select('*')
+      .eq('id', inserted.id)
+      .single();
+    
+    if (fetchError) {
+      return res.status(400).json({
+        success: false,
+        message: fetchError.message
+      });
+    }
+    
     res.status(201).json({
       success: true,
       message: 'Payment recorded successfully',
@@ -165,7 +197,7 @@ const updatePayment = async (req, res, next) => {
     const { id } = req.params;
     const { 
       amount_paid, 
-      total_amount, 
+      charge_id,
       payment_date,
       payment_method,
       notes 
@@ -175,7 +207,7 @@ const updatePayment = async (req, res, next) => {
     // Check if payment exists and belongs to the gym
     const { data: existingPayment, error: findError } = await supabaseClient
       .from('payments')
-      .select('id')
+      .select('id, member_id, entry_type, status, amount_paid, charge_id, receipt_number')
       .eq('id', id)
       .eq('gym_id', gym_id)
       .single();
@@ -187,25 +219,79 @@ const updatePayment = async (req, res, next) => {
       });
     }
     
-    // Calculate due amount
-    const due_amount = calculateDueAmount(total_amount, amount_paid);
+    // Refunds, voids and voided payments are part of the audit trail
+    if (existingPayment.entry_type !== 'payment' || existingPayment.status === 'voided') {
+      return res.status(400).json({
+        success: false,
+        message: 'Refunds, voids and voided payments cannot be edited'
+      });
+    }
     
-    // Update payment
-    const { data, error } = await supabaseClient
+    const amountChanged = amount_paid !== undefined && Number(amount_paid) !== Number(existingPayment.amount_paid);
+    const chargeChanged = charge_id !== undefined && charge_id !== existingPayment.charge_id;
+    
+    // A receipt has been given for this amount
+    if (amountChanged && existingPayment.receipt_number) {
+      return res.status(400).json({
+        success: false,
+        message: 'The amount of a receipted payment cannot be changed; void it and record a new payment instead'
+      });
+    }
+    
+    // Refunds are measured against the amount and charge they were made on
+    if (amountChanged || chargeChanged) {
+      const { count: reversals, error: reversalError } = await supabaseClient
+        .from('payments')
+        .select('id', { count: 'exact', head: true })
+        .eq('reversal_of', id)
+        .eq('gym_id', gym_id);
+      
+      if (reversalError) {
+        return res.status(400).json({
+          success: false,
+          message: reversalError.message
+        });
+      }
+      
+      if (reversals > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'The amount and charge of a refunded payment cannot be changed; void it and record a new payment instead'
+        });
+      }
+    }
+    
+    // Check the charge being paid belongs to the member
+    if (charge_id) {
+      const { data: charge, error: chargeError } = await supabaseClient
+        .from('charges')
+        .select('id')
+        .eq('id', charge_id)
+        .eq('member_id', existingPayment.member_id)
+        .eq('gym_id', gym_id)
+        .single();
+      
+      if (chargeError || !charge) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid charge selected'
+        });
+      }
+    }
+    
+    // Update payment; the ledger re-applies the member's payments
+    const { error } = await supabaseClient
       .from('payments')
       .update({ 
         amount_paid, 
-        total_amount, 
-        due_amount,
+        charge_id,
         payment_date,
         payment_method,
         notes,
         updated_at: new Date().toISOString()
       })
       .eq('id', id)
-      .eq('gym_id', gym_id)
-      .select()
-      .single();
+      .eq('gym_id', gym_id);
     
     if (error) {
       return res.status(400).json({
@@ -214,6 +300,20 @@ const updatePayment = async (req, res, next) => {
       });
     }
     
+    // Re-read the row to pick up the ledger's total and due amounts
+    const { data, error: fetchError } = await supabaseClient
+      .from('payments')
+      .select('*')
+      .eq('id', id)
+      .single();
+    
+    if (fetchError) {
+      return res.status(400).json({
+        success: false,
+        message: fetchError.message
+      });
+    }
+    
     res.status(200).json({
       success: true,
       message: 'Payment updated successfully',
@@ -225,12 +325,13 @@ const updatePayment = async (req, res, next) => {
 };
 
 /**
- * Delete a payment
- * @route DELETE /api/payments/:id
+ * Refund part or all of a payment
+ * @route POST /api/payments/:id/refund
  */
-const deletePayment = async (req, res, next) => {
+const refundPayment = async (req, res, next) => {
   try {
     const { id } = req.params;
+    const { amount, payment_method, reason } = req.body;
     const gym_id = req.user.gym_id;
     
     // Check if payment exists and belongs to the gym
@@ -248,12 +349,16 @@ const deletePayment = async (req, res, next) => {
       });
     }
     
-    // Delete payment
-    const { error } = await supabaseClient
-      .from('payments')
-      .delete()
-      .eq('id', id)
-      .eq('gym_id', gym_id);
+    // Book the refund as a reversing entry
+    const { data, error } = await supabaseClient
+      .rpc('refund_payment', {
+        p_payment_id: id,
+        p_gym_id: gym_id,
+        p_amount: amount ?? null,
+        p_payment_method: payment_method ?? null,
+        p_reason: reason,
+        p_user_id: req.user.id
+      });
     
     if (error) {
       return res.status(400).json({
@@ -262,9 +367,10 @@ const deletePayment = async (req, res, next) => {
       });
     }
     
-    res.status(200).json({
+    res.status(201).json({
       success: true,
-      message: 'Payment deleted successfully'
+      message: 'Payment refunded successfully',
+      data
     });
   } catch (error) {
     next(error);
@@ -272,34 +378,38 @@ const deletePayment = async (req, res, next) => {
 };
 
 /**
- * Get payment summary
- * @route GET /api/payments/summary
+ * Void a payment
+ * @route POST /api/payments/:id/void
  */
-const getPaymentSummary = async (req, res, next) => {
+const voidPayment = async (req, res, next) => {
   try {
-    const { start_date, end_date } = req.query;
+    const { id } = req.params;
+    const { reason } = req.body || {};
     const gym_id = req.user.gym_id;
     
-    // Build query
-    let query = supabaseClient
+    // Check if payment exists and belongs to the gym
+    const { data: existingPayment, error: findError } = await supabaseClient
       .from('payments')
-      .select(`
-        total_amount,
-        amount_paid,
-        due_amount
-      `)
-      .eq('gym_id', gym_id);
-    
-    // Apply date filters
-    if (start_date) {
-      query = query.gte('payment_date', start_date);
-    }
+      .select('id')
+      .eq('id', id)
+      .eq('gym_id', gym_id)
+      .single();
     
-    if (end_date) {
-      query = query.lte('payment_date', end_date);
+    if (findError || !existingPayment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
     }
     
-    const { data, error } = await query;
+    // Reverse the payment; the original row is kept and marked voided
+    const { data, error } = await supabaseClient
+      .rpc('void_payment', {
+        p_payment_id: id,
+        p_gym_id: gym_id,
+        p_reason: reason || 'Voided',
+        p_user_id: req.user.id
+      });
     
     if (error) {
       return res.status(400).json({
@@ -308,17 +418,37 @@ const getPaymentSummary = async (req, res, next) => {
       });
     }
     
-    // Calculate summary
-    const summary = data.reduce((acc, payment) => {
-      acc.total_amount += Number(payment.total_amount) || 0;
-      acc.amount_paid += Number(payment.amount_paid) || 0;
-      acc.due_amount += Number(payment.due_amount) || 0;
-      return acc;
-    }, { total_amount: 0, amount_paid: 0, due_amount: 0 });
+    res.status(200).json({
+      success: true,
+      message: 'Payment voided successfully',
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get payment summary
+ * @route GET /api/payments/summary
+ */
+const getPaymentSummary = async (req, res, next) => {
+  try {
+    const { start_date, end_date } = req.query;
+    const gym_id = req.user.gym_id;
+    
+    // Billed and due come from charges, collected from payments
+    const ledger = await getLedgerSummary(gym_id, { start_date, end_date });
     
     res.status(200).json({
       success: true,
-      data: summary
+      data: {
+        total_amount: ledger.total_billed,
+        amount_paid: ledger.total_received,
+        due_amount: ledger.total_due,
+        refunded_amount: ledger.total_refunded,
+        voided_amount: ledger.total_voided
+      }
     });
   } catch (error) {
     next(error);
@@ -377,7 +507,42 @@ const getMemberPayments = async (req, res, next) => {
 };
 
 /**
- * Export payments to Excel
+ * Get member balance from the ledger
+ * @route GET /api/payments/member/:memberId/balance
+ */
+const getMemberBalance = async (req, res, next) => {
+  try {
+    const { memberId } = req.params;
+    const gym_id = req.user.gym_id;
+    
+    // Check if member exists and belongs to the gym
+    const { data: member, error: memberError } = await supabaseClient
+      .from('members')
+      .select('id')
+      .eq('id', memberId)
+      .eq('gym_id', gym_id)
+      .single();
+    
+    if (memberError || !member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+    
+    const data = await getLedgerBalance(gym_id, memberId);
+    
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Export payments, as Excel unless another ?format= is given
  * @route GET /api/payments/export
  */
 const exportPaymentsToExcel = async (req, res, next) => {
@@ -412,49 +577,121 @@ const exportPaymentsToExcel = async (req, res, next) => {
       });
     }
     
-    // Create a new workbook and worksheet
-    const workbook = new ExcelJS.Workbook();
-    const worksheet = workbook.addWorksheet('Payments');
-    
-    // Add headers
-    worksheet.columns = [
-      { header: 'Date', key: 'date', width: 20 },
-      { header: 'Member Name', key: 'memberName', width: 30 },
-      { header: 'Phone', key: 'phone', width: 15 },
-      { header: 'Total Amount', key: 'totalAmount', width: 15 },
-      { header: 'Amount Paid', key: 'amountPaid', width: 15 },
-      { header: 'Due Amount', key: 'dueAmount', width: 15 },
-      { header: 'Payment Method', key: 'paymentMethod', width: 15 },
-      { header: 'Status', key: 'status', width: 15 },
-      { header: 'Notes', key: 'notes', width: 30 }
-    ];
-    
-    // Add rows
-    payments.forEach(payment => {
-      worksheet.addRow({
-        date: new Date(payment.payment_date).toLocaleDateString(),
+    await sendReport(req, res, {
+      filename: 'payments',
+      title: 'Payments',
+      subtitle: start_date || end_date ? `${start_date || 'start'} to ${end_date || 'today'}` : undefined,
+      columns: [
+        { key: 'date', header: 'Date', type: 'date' },
+        { key: 'memberName', header: 'Member Name', width: 1.5 },
+        { key: 'phone', header: 'Phone' },
+        { key: 'receiptNumber', header: 'Receipt No.' },
+        { key: 'totalAmount', header: 'Total Amount', type: 'money' },
+        { key: 'amountPaid', header: 'Amount Paid', type: 'money' },
+        { key: 'dueAmount', header: 'Due Amount', type: 'money' },
+        { key: 'paymentMethod', header: 'Payment Method' },
+        { key: 'entryType', header: 'Type' },
+        { key: 'status', header: 'Status' },
+        { key: 'reversalOf', header: 'Reverses Payment', width: 2 },
+        { key: 'reason', header: 'Reason', width: 1.5 },
+        { key: 'notes', header: 'Notes', width: 1.5 }
+      ],
+      rows: payments.map(payment => ({
+        date: payment.payment_date,
         memberName: payment.members.name,
         phone: payment.members.phone,
+        receiptNumber: payment.receipt_number,
         totalAmount: payment.total_amount,
         amountPaid: payment.amount_paid,
         dueAmount: payment.due_amount,
         paymentMethod: payment.payment_method,
+        entryType: payment.entry_type,
         status: payment.status,
+        reversalOf: payment.reversal_of,
+        reason: payment.reason,
         notes: payment.notes
-      });
+      })),
+      defaultFormat: 'xlsx'
     });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download a payment receipt as PDF
+ * @route GET /api/payments/:id/receipt
+ */
+const getPaymentReceipt = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const gym_id = req.user.gym_id;
+    
+    // Check if payment exists and belongs to the gym
+    const { data: payment, error: findError } = await supabaseClient
+      .from('payments')
+      .select(`
+        *,
+        members!inner(id, name, phone, email, plans:plan_id(id, name))
+      `)
+      .eq('id', id)
+      .eq('gym_id', gym_id)
+      .single();
+    
+    if (findError || !payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
     
-    // Style the header row
-    worksheet.getRow(1).font = { bold: true };
-    worksheet.getRow(1).alignment = { vertical: 'middle', horizontal: 'center' };
+    // Issue the receipt number on first print, reuse it on reprints
+    const settings = await getGymSettings(gym_id);
+    const { data: receiptNumber, error: receiptError } = await supabaseClient
+      .rpc('assign_receipt_number', {
+        p_payment_id: id,
+        p_gym_id: gym_id,
+        p_prefix: settings.receipt_prefix
+      });
+    
+    if (receiptError) {
+      return res.status(400).json({
+        success: false,
+        message: receiptError.message
+      });
+    }
     
-    // Set response headers
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', 'attachment; filename=payments.xlsx');
+    if (!payment.receipt_number) {
+      payment.receipt_number = receiptNumber;
+      payment.receipt_issued_at = new Date().toISOString();
+    }
+    
+    // Get gym details for the receipt header
+    const { data: gym, error: gymError } = await supabaseClient
+      .from('users')
+      .select('gym_name, country, email, phone')
+      .eq('id', gym_id)
+      .single();
+    
+    if (gymError || !gym) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gym profile not found'
+      });
+    }
+    
+    const pdf = await generateReceiptPdf({
+      gym,
+      payment,
+      member: payment.members,
+      plan: payment.members.plans,
+      currency: settings.currency,
+      timezone: settings.timezone
+    });
     
-    // Write to response
-    await workbook.xlsx.write(res);
-    res.end();
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=receipt_${payment.receipt_number}.pdf`);
+    res.send(pdf);
   } catch (error) {
     next(error);
   }
@@ -465,8 +702,11 @@ module.exports = {
   getPaymentById,
   createPayment,
   updatePayment,
-  deletePayment,
+  refundPayment,
+  voidPayment,
   getPaymentSummary,
   getMemberPayments,
-  exportPaymentsToExcel
+  getMemberBalance,
+  exportPaymentsToExcel,
+  getPaymentReceipt
 };
\ No newline at end of file
@@ -1,6 +1,34 @@
-const { supabaseClient } = require('../config/supabase');
 const moment = require('moment');
-const { Parser } = require('json2csv');
+const { supabaseClient } = require('../config/supabase');
+const { getGymSettings } = require('../services/settingsService');
+const { gymQuery, fetchAllRows, findGymMember } = require('../services/gymDataService');
+const { sendReport } = require('../services/exportService');
+const reportService = require('../services/reportService');
+const { MEMBER_COLUMNS, CURRENCY_COLUMN, toMemberRow } = reportService;
+const { ENQUIRY_STAGES } = require('../services/enquiryService');
+const { getToday, getZonedParts, getZonedRange } = require('../utils/helpers');
+
+const PAYMENT_COLUMNS = [
+  { key: 'payment_date', header: 'Date', type: 'date' },
+  { key: 'receipt_number', header: 'Receipt No.' },
+  { key: 'total_amount', header: 'Total Amount', type: 'money' },
+  { key: 'amount_paid', header: 'Amount Paid', type: 'money' },
+  { key: 'due_amount', header: 'Due Amount', type: 'money' },
+  { key: 'payment_method', header: 'Payment Method' },
+  { key: 'entry_type', header: 'Type' },
+  { key: 'status', header: 'Status' },
+  { key: 'reason', header: 'Reason', width: 1.5 },
+  { key: 'notes', header: 'Notes', width: 1.5 },
+  { key: 'id', header: 'ID', width: 2 }
+];
+
+const ATTENDANCE_COLUMNS = [
+  { key: 'date', header: 'Date', type: 'date' },
+  { key: 'status', header: 'Status' },
+  { key: 'check_in_at', header: 'Check-in', width: 1.5 },
+  { key: 'check_out_at', header: 'Check-out', width: 1.5 },
+  { key: 'visit_minutes', header: 'Minutes', type: 'number' }
+];
 
 /**
  * Get expiring memberships
@@ -31,41 +59,16 @@ const getExpiringMembers = async (req, res) => {
         days = { start: 1, end: 3 };
     }
     
-    const today = moment().startOf('day');
-    const endDate = moment().add(days.end, 'days').endOf('day');
-    const startDate = moment().add(days.start - 1, 'days').startOf('day');
-    
-    const { data: members, error } = await supabaseClient
-      .from('members')
-      .select(`
-        *,
-        plans:plan_id (
-          id,
-          name,
-          price
-        )
-      `)
-      .eq('status', 'active')
-      .eq('gym_id', gym_id)
-      .gte('plan_end_date', startDate.toISOString())
-      .lte('plan_end_date', endDate.toISOString())
-      .order('plan_end_date', { ascending: true });
-
+    const report = await reportService.getExpiringMembersReport(gym_id, days);
     
-    if (error) {
-      throw error;
+    if (req.query.format) {
+      return sendReport(req, res, {
+        ...report.export,
+        filename: `expiring_memberships_${timeframe || '3days'}`
+      });
     }
     
-    // Calculate days remaining for each member
-    const membersWithDaysRemaining = members.map(member => {
-      const daysRemaining = moment(member.plan_end_date).diff(today, 'days');
-      return {
-        ...member,
-        days_remaining: daysRemaining
-      };
-    });
-    
-    res.json(membersWithDaysRemaining);
+    res.json(report.members);
   } catch (error) {
     console.error('Error fetching expiring members:', error);
     res.status(500).json({ error: 'Failed to fetch expiring members' });
@@ -78,19 +81,18 @@ const getExpiringMembers = async (req, res) => {
  */
 const getBirthdayMembers = async (req, res) => {
   try {
-    const today = moment();
-    const thirtyDaysFromNow = moment().add(30, 'days');
-    
-    const { data: members, error } = await supabaseClient
-      .from('members')
-      .select(`
-        *,
-        plans:plan_id (
-          id,
-          name,
-          price
-        )
-      `)
+    const gym_id = req.user.gym_id;
+    const settings = await getGymSettings(gym_id);
+    const today = moment.utc(getToday(settings.timezone));
+    
+    const { data: members, error } = await gymQuery(gym_id, 'members', `
+      *,
+      plans:plan_id (
+        id,
+        name,
+        price
+      )
+    `)
       .eq('status', 'active')
       .not('dob', 'is', null);
     
@@ -101,8 +103,8 @@ const getBirthdayMembers = async (req, res) => {
     // Filter and calculate days until birthday
     const upcomingBirthdays = members
       .map(member => {
-        const birthday = moment(member.dob);
-        const nextBirthday = moment(birthday).year(today.year());
+        const birthday = moment.utc(member.dob);
+        const nextBirthday = moment.utc(birthday).year(today.year());
         
         // If birthday has passed this year, get next year's birthday
         if (nextBirthday.isBefore(today)) {
@@ -119,6 +121,23 @@ const getBirthdayMembers = async (req, res) => {
       .filter(member => member.days_until_birthday <= 30)
       .sort((a, b) => a.days_until_birthday - b.days_until_birthday);
     
+    if (req.query.format) {
+      return sendReport(req, res, {
+        filename: 'upcoming_birthdays',
+        title: 'Upcoming Birthdays',
+        subtitle: 'Next 30 days',
+        columns: [
+          { key: 'name', header: 'Name', width: 1.5 },
+          { key: 'phone', header: 'Phone' },
+          { key: 'email', header: 'Email', width: 1.5 },
+          { key: 'dob', header: 'Date of Birth', type: 'date' },
+          { key: 'days_until_birthday', header: 'Days Until Birthday', type: 'number' },
+          { key: 'plan_name', header: 'Plan' }
+        ],
+        rows: upcomingBirthdays.map(member => toMemberRow(member, settings))
+      });
+    }
+    
     res.json(upcomingBirthdays);
   } catch (error) {
     console.error('Error fetching birthday members:', error);
@@ -132,86 +151,50 @@ const getBirthdayMembers = async (req, res) => {
  */
 const getPaymentStatusReport = async (req, res, next) => {
   try {
-    const gym_id = req.user.gym_id;
-    
-    // Get all members with their plan and payment information
-    const { data: members, error: memberError } = await supabaseClient
-      .from('members')
-      .select(`
-        id,
-        name,
-        plans:plan_id (
-          id,
-          name,
-          price
-        )
-      `)
-      .eq('status', 'active')
-      .eq('gym_id', gym_id);
+    const report = await reportService.getPaymentStatusReport(req.user.gym_id);
     
-    if (memberError) {
-      return res.status(400).json({
-        success: false,
-        message: memberError.message
-      });
+    if (req.query.format) {
+      return sendReport(req, res, report.export);
     }
     
-    // Get the last payment for each member
-    const memberIds = members.map(member => member.id);
-    const { data: payments, error: paymentError } = await supabaseClient
-      .from('payments')
-      .select('member_id, amount_paid, total_amount, due_amount, payment_date')
-      .in('member_id', memberIds)
-      .eq('gym_id', gym_id)
-      .order('payment_date', { ascending: false });
+    res.status(200).json({
+      success: true,
+      data: {
+        summary: report.summary,
+        members: report.members
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get attendance summary report
+ * @route GET /api/reports/attendance-summary
+ */
+const getAttendanceSummaryReport = async (req, res, next) => {
+  try {
+    const { start_date, end_date } = req.query;
     
-    if (paymentError) {
+    if (!start_date || !end_date) {
       return res.status(400).json({
         success: false,
-        message: paymentError.message
+        message: 'Start date and end date are required'
       });
     }
     
-    // Group payments by member
-    const paymentsByMember = payments.reduce((acc, payment) => {
-      if (!acc[payment.member_id]) {
-        acc[payment.member_id] = [];
-      }
-      acc[payment.member_id].push(payment);
-      return acc;
-    }, {});
+    const report = await reportService.getAttendanceSummaryReport(req.user.gym_id, { start_date, end_date });
     
-    // Build the report
-    const report = members.map(member => {
-      const memberPayments = paymentsByMember[member.id] || [];
-      const lastPayment = memberPayments.length > 0 ? memberPayments[0] : null;
-      
-      return {
-        member_id: member.id,
-        member_name: member.name,
-        plan_name: member.plans?.name || 'No Plan',
-        plan_price: member.plans?.price || 0,
-        last_payment_date: lastPayment?.payment_date || null,
-        due_amount: lastPayment?.due_amount || 0,
-        payment_status: !lastPayment ? 'no_payment' :
-                        lastPayment.due_amount > 0 ? 'partial' : 'paid'
-      };
-    });
-    console.log(report)
-    // Summary statistics
-    const summary = {
-      total_members: report.length,
-      fully_paid: report.filter(item => item.payment_status === 'paid').length,
-      partial_payment: report.filter(item => item.payment_status === 'partial').length,
-      no_payment: report.filter(item => item.payment_status === 'no_payment').length,
-      total_dues: report.reduce((sum, item) => sum + item.due_amount, 0)
-    };
+    if (req.query.format) {
+      return sendReport(req, res, report.export);
+    }
     
     res.status(200).json({
       success: true,
       data: {
-        summary,
-        members: report
+        summary: report.summary,
+        members: report.members
       }
     });
   } catch (error) {
@@ -220,10 +203,10 @@ const getPaymentStatusReport = async (req, res, next) => {
 };
 
 /**
- * Get attendance summary report
- * @route GET /api/reports/attendance-summary
+ * Get peak hours report: visits per hour of day for each weekday
+ * @route GET /api/reports/peak-hours
  */
-const getAttendanceSummaryReport = async (req, res, next) => {
+const getPeakHoursReport = async (req, res, next) => {
   try {
     const { start_date, end_date } = req.query;
     const gym_id = req.user.gym_id;
@@ -235,87 +218,281 @@ const getAttendanceSummaryReport = async (req, res, next) => {
       });
     }
     
-    // Get all active members
-    const { data: members, error: memberError } = await supabaseClient
-      .from('members')
-      .select('id, name, batch_id')
-      .eq('status', 'active')
-      .eq('gym_id', gym_id);
+    const settings = await getGymSettings(gym_id);
+    const range = getZonedRange(start_date, end_date, settings.timezone);
     
-    if (memberError) {
+    const { data: visits, error } = await gymQuery(gym_id, 'check_ins', 'checked_in_at, duration_minutes, check_out_source')
+      .gte('checked_in_at', range.start)
+      .lt('checked_in_at', range.end);
+    
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: memberError.message
+        message: error.message
       });
     }
     
-    // Get attendance records for the date range
-    const { data: attendance, error: attendanceError } = await supabaseClient
-      .from('attendance')
-      .select('member_id, date, status')
-      .eq('gym_id', gym_id)
-      .gte('date', start_date)
-      .lte('date', end_date)
-      .in('member_id', members.map(m => m.id));
+    // 7 x 24 grid of visit counts in the gym's local time, Sunday first
+    const grid = Array.from({ length: 7 }, () => Array(24).fill(0));
+    visits.forEach(visit => {
+      const checkedInAt = getZonedParts(visit.checked_in_at, settings.timezone);
+      grid[checkedInAt.weekday][checkedInAt.hour]++;
+    });
+    
+    const weekdays = grid.map((hours, day) => ({
+      weekday: day,
+      weekday_name: moment().day(day).format('dddd'),
+      total_visits: hours.reduce((sum, count) => sum + count, 0),
+      hours
+    }));
+    
+    const hourly_totals = Array.from({ length: 24 }, (_, hour) =>
+      grid.reduce((sum, hours) => sum + hours[hour], 0)
+    );
+    
+    let peak = null;
+    grid.forEach((hours, day) => {
+      hours.forEach((count, hour) => {
+        if (count > 0 && (!peak || count > peak.visits)) {
+          peak = { weekday: day, weekday_name: weekdays[day].weekday_name, hour, visits: count };
+        }
+      });
+    });
+    
+    // Auto-closed visits have no real check-out, so leave them out of durations
+    const timedVisits = visits.filter(visit =>
+      visit.duration_minutes !== null && visit.check_out_source !== 'auto'
+    );
+    
+    if (req.query.format) {
+      return sendReport(req, res, {
+        filename: `peak_hours_${start_date}_${end_date}`,
+        title: 'Peak Hours',
+        subtitle: `${start_date} to ${end_date}, visits per hour (${settings.timezone})`,
+        columns: [
+          { key: 'weekday_name', header: 'Day', width: 2 },
+          { key: 'total_visits', header: 'Total', type: 'number', width: 1.2 },
+          ...Array.from({ length: 24 }, (_, hour) => ({
+            key: `h${String(hour).padStart(2, '0')}`,
+            header: String(hour).padStart(2, '0'),
+            type: 'number'
+          }))
+        ],
+        rows: weekdays.map(day => ({
+          weekday_name: day.weekday_name,
+          total_visits: day.total_visits,
+          ...day.hours.reduce((acc, count, hour) => {
+            acc[`h${String(hour).padStart(2, '0')}`] = count;
+            return acc;
+          }, {})
+        }))
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        date_range: {
+          start_date,
+          end_date
+        },
+        timezone: settings.timezone,
+        total_visits: visits.length,
+        open_visits: visits.filter(visit => visit.duration_minutes === null).length,
+        average_visit_minutes: timedVisits.length > 0
+          ? timedVisits.reduce((sum, visit) => sum + visit.duration_minutes, 0) / timedVisits.length
+          : 0,
+        peak,
+        hourly_totals,
+        weekdays
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the median of a list of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number|null} Median, or null for an empty list
+ */
+const median = (values) => {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Get lead funnel report: how far enquiries made in a period got through the
+ * pipeline, overall and by source and campaign, with conversion rates, time to
+ * conversion, revenue from converted members and why leads were lost
+ * @route GET /api/reports/lead-funnel
+ */
+const getLeadFunnelReport = async (req, res, next) => {
+  try {
+    const { start_date, end_date, source, campaign } = req.query;
+    const gym_id = req.user.gym_id;
     
-    if (attendanceError) {
+    if (!start_date || !end_date) {
       return res.status(400).json({
         success: false,
-        message: attendanceError.message
+        message: 'Start date and end date are required'
       });
     }
     
-    // Group attendance by member
-    const attendanceByMember = attendance.reduce((acc, record) => {
-      if (!acc[record.member_id]) {
-        acc[record.member_id] = {
-          present: 0,
-          absent: 0,
-          total: 0
-        };
-      }
-      acc[record.member_id][record.status]++;
-      acc[record.member_id].total++;
-      return acc;
-    }, {});
+    const settings = await getGymSettings(gym_id);
+    const range = getZonedRange(start_date, end_date, settings.timezone);
     
-    // Build the report
-    const report = members.map(member => {
-      const memberAttendance = attendanceByMember[member.id] || { present: 0, absent: 0, total: 0 };
+    // Each enquiry comes with the stages it moved into, to find how far lost
+    // leads got. Enquiries are read a page at a time.
+    const enquiries = await fetchAllRows(() => {
+      let query = gymQuery(gym_id, 'enquiries', `
+        id, stage, source, campaign, lost_reason, member_id, created_at, converted_at,
+        stage_changes:enquiry_activities(to_stage)
+      `)
+        .gte('created_at', range.start)
+        .lt('created_at', range.end)
+        .not('stage_changes.to_stage', 'is', null)
+        .order('id', { ascending: true });
       
-      return {
-        member_id: member.id,
-        member_name: member.name,
-        batch_id: member.batch_id,
-        present_count: memberAttendance.present,
-        absent_count: memberAttendance.absent,
-        total_records: memberAttendance.total,
-        attendance_percentage: memberAttendance.total > 0 
-          ? (memberAttendance.present / memberAttendance.total) * 100 
-          : 0
-      };
+      if (source) {
+        query = query.eq('source', source);
+      }
+      
+      if (campaign) {
+        query = query.eq('campaign', campaign);
+      }
+      
+      return query;
     });
     
-    // Summary statistics
-    const summary = {
-      date_range: {
-        start_date,
-        end_date
-      },
-      total_members: members.length,
-      overall_attendance_percentage: 
-        attendance.length > 0 
-          ? (attendance.filter(a => a.status === 'present').length / attendance.length) * 100 
+    // Everything converted members have paid so far, net of refunds and voids
+    const revenueByMember = {};
+    if (enquiries.some(enquiry => enquiry.member_id)) {
+      const revenues = await fetchAllRows(() => supabaseClient
+        .rpc('gym_member_revenue', { p_gym_id: gym_id })
+        .order('member_id', { ascending: true }));
+      
+      revenues.forEach(row => {
+        revenueByMember[row.member_id] = Number(row.revenue) || 0;
+      });
+    }
+    
+    // Lost is off the path; every other stage counts everything that got at least that far
+    const funnelStages = ENQUIRY_STAGES.filter(stage => stage !== 'lost');
+    const furthestStage = {};
+    const reachStage = (enquiryId, stage) => {
+      const index = funnelStages.indexOf(stage);
+      if (index > (furthestStage[enquiryId] ?? -1)) {
+        furthestStage[enquiryId] = index;
+      }
+    };
+    
+    enquiries.forEach(enquiry => reachStage(enquiry.id, enquiry.stage === 'lost' ? 'new' : enquiry.stage));
+    enquiries.forEach(enquiry => enquiry.stage_changes.forEach(change => reachStage(enquiry.id, change.to_stage)));
+    
+    const summarise = (group) => {
+      const won = group.filter(enquiry => enquiry.stage === 'won');
+      const lost = group.filter(enquiry => enquiry.stage === 'lost');
+      const daysToConversion = won
+        .filter(enquiry => enquiry.converted_at)
+        .map(enquiry => (new Date(enquiry.converted_at) - new Date(enquiry.created_at)) / (1000 * 60 * 60 * 24));
+      const medianDays = median(daysToConversion);
+      
+      return {
+        total_enquiries: group.length,
+        open: group.length - won.length - lost.length,
+        won: won.length,
+        lost: lost.length,
+        converted_members: group.filter(enquiry => enquiry.member_id).length,
+        conversion_rate: group.length > 0
+          ? Math.round((won.length / group.length) * 10000) / 100
           : 0,
-      members_with_perfect_attendance: report.filter(r => r.attendance_percentage === 100 && r.total_records > 0).length,
-      members_with_poor_attendance: report.filter(r => r.attendance_percentage < 50 && r.total_records > 0).length
+        median_days_to_conversion: medianDays === null ? null : Math.round(medianDays * 10) / 10,
+        revenue: group.reduce((sum, enquiry) => sum + (revenueByMember[enquiry.member_id] || 0), 0)
+      };
     };
     
+    const groupBy = (keyOf) => enquiries.reduce((acc, enquiry) => {
+      const key = keyOf(enquiry);
+      if (!acc[key]) acc[key] = [];
+      acc[key].push(enquiry);
+      return acc;
+    }, {});
+    
+    const stages = funnelStages.map((stage, index) => ({
+      stage,
+      current: enquiries.filter(enquiry => enquiry.stage === stage).length,
+      reached: enquiries.filter(enquiry => furthestStage[enquiry.id] >= index).length
+    }));
+    
+    const bySource = Object.entries(groupBy(enquiry => enquiry.source || 'unknown'))
+      .map(([enquirySource, group]) => ({
+        source: enquirySource,
+        ...summarise(group),
+        stages: ENQUIRY_STAGES.reduce((acc, stage) => {
+          acc[stage] = group.filter(enquiry => enquiry.stage === stage).length;
+          return acc;
+        }, {})
+      }))
+      .sort((a, b) => b.total_enquiries - a.total_enquiries);
+    
+    const byCampaign = Object.entries(groupBy(enquiry => `${enquiry.source || 'unknown'}\u0000${enquiry.campaign || ''}`))
+      .filter(([key]) => !key.endsWith('\u0000'))
+      .map(([key, group]) => ({
+        source: key.split('\u0000')[0],
+        campaign: key.split('\u0000')[1],
+        ...summarise(group)
+      }))
+      .sort((a, b) => b.total_enquiries - a.total_enquiries);
+    
+    const lostReasons = enquiries
+      .filter(enquiry => enquiry.stage === 'lost')
+      .reduce((acc, enquiry) => {
+        const reason = enquiry.lost_reason || 'Not recorded';
+        acc[reason] = (acc[reason] || 0) + 1;
+        return acc;
+      }, {});
+    
+    if (req.query.format) {
+      return sendReport(req, res, {
+        filename: `lead_funnel_${start_date}_${end_date}`,
+        title: 'Lead Funnel by Source',
+        subtitle: `Enquiries made ${start_date} to ${end_date}`,
+        columns: [
+          { key: 'source', header: 'Source' },
+          { key: 'total_enquiries', header: 'Enquiries', type: 'number' },
+          { key: 'open', header: 'Open', type: 'number' },
+          { key: 'won', header: 'Won', type: 'number' },
+          { key: 'lost', header: 'Lost', type: 'number' },
+          { key: 'converted_members', header: 'Members', type: 'number' },
+          { key: 'conversion_rate', header: 'Conversion', type: 'percent' },
+          { key: 'median_days_to_conversion', header: 'Median Days', type: 'number' },
+          { key: 'revenue', header: 'Revenue', type: 'money' }
+        ],
+        rows: [...bySource, { source: 'All sources', ...summarise(enquiries) }]
+      });
+    }
+    
     res.status(200).json({
       success: true,
       data: {
-        summary,
-        members: report
+        date_range: {
+          start_date,
+          end_date
+        },
+        currency: settings.currency,
+        ...summarise(enquiries),
+        stages,
+        by_source: bySource,
+        by_campaign: byCampaign,
+        lost_reasons: Object.entries(lostReasons)
+          .map(([reason, count]) => ({ reason, count }))
+          .sort((a, b) => b.count - a.count)
       }
     });
   } catch (error) {
@@ -330,7 +507,6 @@ const getAttendanceSummaryReport = async (req, res, next) => {
 const getFinancialSummaryReport = async (req, res, next) => {
   try {
     const { start_date, end_date } = req.query;
-    const gym_id = req.user.gym_id;
     
     if (!start_date || !end_date) {
       return res.status(400).json({
@@ -339,128 +515,85 @@ const getFinancialSummaryReport = async (req, res, next) => {
       });
     }
     
-    // Get payments for the period
-    const { data: payments, error: paymentError } = await supabaseClient
-      .from('payments')
-      .select('amount_paid, total_amount, due_amount, payment_date, payment_method')
-      .eq('gym_id', gym_id)
-      .gte('payment_date', start_date)
-      .lte('payment_date', end_date);
+    const report = await reportService.getFinancialSummaryReport(req.user.gym_id, { start_date, end_date });
+    
+    if (req.query.format) {
+      return sendReport(req, res, report.export);
+    }
     
-    if (paymentError) {
+    res.status(200).json({
+      success: true,
+      data: report.data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get retention report: join cohorts and how many of them stayed in the
+ * months after, monthly churn, membership lifetime and lifetime value per
+ * plan. Cohorts are the join months from start_date to end_date, by default
+ * the last 12 months.
+ * @route GET /api/reports/retention
+ */
+const getRetentionReport = async (req, res, next) => {
+  try {
+    const gym_id = req.user.gym_id;
+    const settings = await getGymSettings(gym_id);
+    const today = getToday(settings.timezone);
+    const {
+      start_date = moment.utc(today).startOf('month').subtract(11, 'months').format('YYYY-MM-DD'),
+      end_date = today
+    } = req.query;
+    
+    if (!moment.utc(start_date, 'YYYY-MM-DD', true).isValid() || !moment.utc(end_date, 'YYYY-MM-DD', true).isValid()) {
       return res.status(400).json({
         success: false,
-        message: paymentError.message
+        message: 'Start date and end date must be YYYY-MM-DD'
       });
     }
     
-    // Get expenses for the period
-    const { data: expenses, error: expenseError } = await supabaseClient
-      .from('expenses')
-      .select('amount, date, category')
-      .eq('gym_id', gym_id)
-      .gte('date', start_date)
-      .lte('date', end_date);
-    
-    if (expenseError) {
+    if (start_date > end_date) {
       return res.status(400).json({
         success: false,
-        message: expenseError.message
+        message: 'Start date must be on or before end date'
       });
     }
     
-    // Calculate payment statistics
-    const paymentStats = payments.reduce((acc, payment) => {
-      acc.total_received += Number(payment.amount_paid) || 0;
-      acc.total_billed += Number(payment.total_amount) || 0;
-      acc.total_due += Number(payment.due_amount) || 0;
-      
-      // Group by payment method
-      const method = payment.payment_method || 'cash';
-      if (!acc.payment_methods[method]) {
-        acc.payment_methods[method] = 0;
-      }
-      acc.payment_methods[method] += Number(payment.amount_paid) || 0;
-      
-      return acc;
-    }, { 
-      total_received: 0, 
-      total_billed: 0, 
-      total_due: 0,
-      payment_methods: {}
-    });
+    const report = await reportService.getRetentionReport(gym_id, { start_date, end_date });
     
-    // Calculate expense statistics
-    const expenseStats = expenses.reduce((acc, expense) => {
-      acc.total_expenses += Number(expense.amount) || 0;
-      
-      // Group by category
-      const category = expense.category || 'Uncategorized';
-      if (!acc.categories[category]) {
-        acc.categories[category] = 0;
-      }
-      acc.categories[category] += Number(expense.amount) || 0;
-      
-      return acc;
-    }, { 
-      total_expenses: 0,
-      categories: {}
-    });
-    
-    // Calculate net profit
-    const net_profit = paymentStats.total_received - expenseStats.total_expenses;
+    if (req.query.format) {
+      return sendReport(req, res, report.export);
+    }
     
     res.status(200).json({
       success: true,
-      data: {
-        period: {
-          start_date,
-          end_date
-        },
-        revenue: {
-          total_received: paymentStats.total_received,
-          total_billed: paymentStats.total_billed,
-          total_due: paymentStats.total_due,
-          payment_methods: Object.entries(paymentStats.payment_methods).map(([method, amount]) => ({
-            method,
-            amount
-          }))
-        },
-        expenses: {
-          total: expenseStats.total_expenses,
-          categories: Object.entries(expenseStats.categories).map(([category, amount]) => ({
-            category,
-            amount
-          }))
-        },
-        summary: {
-          net_profit,
-          collection_rate: paymentStats.total_billed > 0 
-            ? (paymentStats.total_received / paymentStats.total_billed) * 100 
-            : 0
-        }
-      }
+      data: report.data
     });
   } catch (error) {
     next(error);
   }
 };
 
-// Download reports
+/**
+ * Download a member list: all, active, inactive or with a partial payment.
+ * CSV unless another ?format= is given.
+ * @route GET /api/reports/download/:type
+ */
 const downloadReport = async (req, res) => {
   try {
     const { type } = req.params;
+    const gym_id = req.user.gym_id;
     // 1. Fetch members (active/inactive as needed)
-    let query = supabaseClient
-      .from('members')
-      .select(`
-        *,
-        plans:plan_id (
-          id,
-          name,
-          price
-        )
-      `);
+    let query = gymQuery(gym_id, 'members', `
+      *,
+      plans:plan_id (
+        id,
+        name,
+        price
+      )
+    `);
 
     if (type === 'active') query = query.eq('status', 'active');
     if (type === 'inactive') query = query.eq('status', 'inactive');
@@ -473,9 +606,7 @@ const downloadReport = async (req, res) => {
     const memberIds = members.map(m => m.id);
     let payments = [];
     if (memberIds.length > 0) {
-      const { data: paymentsData, error: paymentError } = await supabaseClient
-        .from('payments')
-        .select('member_id, due_amount, payment_date')
+      const { data: paymentsData, error: paymentError } = await gymQuery(gym_id, 'payments', 'member_id, due_amount, payment_date')
         .in('member_id', memberIds)
         .order('payment_date', { ascending: false });
       if (paymentError) throw paymentError;
@@ -506,154 +637,120 @@ const downloadReport = async (req, res) => {
       filteredMembers = membersWithStatus.filter(m => m.payment_status === 'partial');
     }
 
-    // 6. Prepare data for CSV (same as before)
-    const fields = [
-      'id',
-      'name',
-      'phone',
-      'email',
-      'dob',
-      'status',
-      'plan_end_date',
-      'payment_status',
-      'plan_name',
-      'plan_price'
-    ];
-    
-    const data = filteredMembers.map(member => ({
-      id: member.id,
-      name: member.name,
-      phone: member.phone,
-      email: member.email,
-      dob: member.dob,
-      status: member.status,
-      plan_end_date: member.plan_end_date,
-      payment_status: member.payment_status,
-      plan_name: member.plans?.name || '',
-      plan_price: member.plans?.price || 0
-    }));
-    
-    // Convert to CSV
-    const csv = fields.join(',') + '\n' +
-      data.map(row => 
-        fields.map(field => {
-          const value = row[field];
-          return typeof value === 'string' && value.includes(',') 
-            ? `"${value}"` 
-            : value;
-        }).join(',')
-      ).join('\n');
-    
-    // Set headers for CSV download
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename=${type}_members_report.csv`);
-    
-    res.send(csv);
+    const settings = await getGymSettings(gym_id);
+    await sendReport(req, res, {
+      filename: `${type}_members_report`,
+      title: `${type.charAt(0).toUpperCase()}${type.slice(1)} Members`,
+      columns: [...MEMBER_COLUMNS, { key: 'payment_status', header: 'Payment Status' }, CURRENCY_COLUMN],
+      rows: filteredMembers.map(member => toMemberRow(member, settings)),
+      defaultFormat: 'csv'
+    });
   } catch (error) {
     console.error('Error generating report:', error);
     res.status(500).json({ error: 'Failed to generate report' });
   }
 };
 
-// Download single member profile report
+/**
+ * Download a member's profile. CSV unless another ?format= is given.
+ * @route GET /api/reports/download/member/:memberId/profile
+ */
 const downloadMemberProfile = async (req, res) => {
   try {
     const { memberId } = req.params;
-    const { data: member, error } = await supabaseClient
-      .from('members')
-      .select(`*, plans:plan_id(id, name, price)`)
-      .eq('id', memberId)
-      .single();
-    if (error || !member) throw error || new Error('Member not found');
-    const fields = ['id', 'name', 'phone', 'email', 'dob', 'status', 'plan_end_date', 'plan_name', 'plan_price'];
-    const data = [{
-      id: member.id,
-      name: member.name,
-      phone: member.phone,
-      email: member.email,
-      dob: member.dob,
-      status: member.status,
-      plan_end_date: member.plan_end_date,
-      plan_name: member.plans?.name || '',
-      plan_price: member.plans?.price || 0
-    }];
-    const csv = fields.join(',') + '\n' + data.map(row => fields.map(f => row[f]).join(',')).join('\n');
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename=member_${memberId}_profile.csv`);
-    res.send(csv);
+    const gym_id = req.user.gym_id;
+    const member = await findGymMember(gym_id, memberId, `*, plans:plan_id(id, name, price)`);
+    if (!member) return res.status(404).json({ error: 'Member not found' });
+    const settings = await getGymSettings(gym_id);
+    await sendReport(req, res, {
+      filename: `member_${memberId}_profile`,
+      title: `Member Profile - ${member.name}`,
+      columns: [...MEMBER_COLUMNS, CURRENCY_COLUMN],
+      rows: [toMemberRow(member, settings)],
+      defaultFormat: 'csv'
+    });
   } catch (error) {
     res.status(500).json({ error: 'Failed to generate member profile report' });
   }
 };
 
-// Download single member payment report
+/**
+ * Download a member's payments. CSV unless another ?format= is given.
+ * @route GET /api/reports/download/member/:memberId/payments
+ */
 const downloadMemberPayments = async (req, res) => {
   try {
     const { memberId } = req.params;
-    const { data: payments, error } = await supabaseClient
-      .from('payments')
-      .select('*')
+    const gym_id = req.user.gym_id;
+    const member = await findGymMember(gym_id, memberId, 'id, name');
+    if (!member) return res.status(404).json({ error: 'Member not found' });
+    const { data: payments, error } = await gymQuery(gym_id, 'payments')
       .eq('member_id', memberId)
       .order('payment_date', { ascending: false });
     if (error) throw error;
-    if (!payments || payments.length === 0) throw new Error('No payments found');
-    const fields = Object.keys(payments[0]);
-    const csv = fields.join(',') + '\n' + payments.map(row => fields.map(f => row[f]).join(',')).join('\n');
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename=member_${memberId}_payments.csv`);
-    res.send(csv);
+    await sendReport(req, res, {
+      filename: `member_${memberId}_payments`,
+      title: `Payments - ${member.name}`,
+      columns: PAYMENT_COLUMNS,
+      rows: payments,
+      defaultFormat: 'csv'
+    });
   } catch (error) {
     res.status(500).json({ error: 'Failed to generate member payment report' });
   }
 };
 
-// Download single member attendance report
+/**
+ * Download a member's attendance between start_date and end_date. CSV
+ * unless another ?format= is given.
+ * @route GET /api/reports/download/member/:memberId/attendance
+ */
 const downloadMemberAttendance = async (req, res) => {
   try {
     const { memberId } = req.params;
     const { start_date, end_date } = req.query;
+    const gym_id = req.user.gym_id;
     if (!start_date || !end_date) return res.status(400).json({ error: 'Start date and end date are required' });
-    const { data: attendance, error } = await supabaseClient
-      .from('attendance')
-      .select('*')
+    const member = await findGymMember(gym_id, memberId, 'id, name');
+    if (!member) return res.status(404).json({ error: 'Member not found' });
+    const { data: attendance, error } = await gymQuery(gym_id, 'attendance')
       .eq('member_id', memberId)
       .gte('date', start_date)
       .lte('date', end_date)
       .order('date', { ascending: true });
     if (error) throw error;
-    if (!attendance || attendance.length === 0) throw new Error('No attendance records found');
-    const fields = Object.keys(attendance[0]);
-    const csv = fields.join(',') + '\n' + attendance.map(row => fields.map(f => row[f]).join(',')).join('\n');
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename=member_${memberId}_attendance.csv`);
-    res.send(csv);
+    await sendReport(req, res, {
+      filename: `member_${memberId}_attendance`,
+      title: `Attendance - ${member.name}`,
+      subtitle: `${start_date} to ${end_date}`,
+      columns: ATTENDANCE_COLUMNS,
+      rows: attendance,
+      defaultFormat: 'csv'
+    });
   } catch (error) {
     res.status(500).json({ error: 'Failed to generate member attendance report' });
   }
 };
 
-// Download single member financial summary report
+/**
+ * Download a member's payment totals between start_date and end_date. CSV
+ * unless another ?format= is given.
+ * @route GET /api/reports/download/member/:memberId/financial-summary
+ */
 const downloadMemberFinancialSummary = async (req, res) => {
   try {
     const { memberId } = req.params;
     const { start_date, end_date } = req.query;
+    const gym_id = req.user.gym_id;
     if (!start_date || !end_date) return res.status(400).json({ error: 'Start date and end date are required' });
+    const member = await findGymMember(gym_id, memberId, 'id, name');
+    if (!member) return res.status(404).json({ error: 'Member not found' });
     // Payments
-    const { data: payments, error: paymentError } = await supabaseClient
-      .from('payments')
-      .select('amount_paid, total_amount, due_amount, payment_date, payment_method')
+    const { data: payments, error: paymentError } = await gymQuery(gym_id, 'payments', 'amount_paid, total_amount, due_amount, payment_date, payment_method')
       .eq('member_id', memberId)
       .gte('payment_date', start_date)
       .lte('payment_date', end_date);
     if (paymentError) throw paymentError;
-    // Expenses (if any, assuming expenses can be linked to member_id, else skip)
-    // const { data: expenses, error: expenseError } = await supabaseClient
-    //   .from('expenses')
-    //   .select('amount, date, category')
-    //   .eq('member_id', memberId)
-    //   .gte('date', start_date)
-    //   .lte('date', end_date);
-    // if (expenseError) throw expenseError;
     // Calculate payment stats
     const paymentStats = payments.reduce((acc, payment) => {
       acc.total_received += Number(payment.amount_paid) || 0;
@@ -664,18 +761,27 @@ const downloadMemberFinancialSummary = async (req, res) => {
       acc.payment_methods[method] += Number(payment.amount_paid) || 0;
       return acc;
     }, { total_received: 0, total_billed: 0, total_due: 0, payment_methods: {} });
-    // Prepare CSV
-    const fields = ['total_received', 'total_billed', 'total_due', 'payment_methods'];
-    const data = [{
-      total_received: paymentStats.total_received,
-      total_billed: paymentStats.total_billed,
-      total_due: paymentStats.total_due,
-      payment_methods: JSON.stringify(paymentStats.payment_methods)
-    }];
-    const csv = fields.join(',') + '\n' + data.map(row => fields.map(f => row[f]).join(',')).join('\n');
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename=member_${memberId}_financial_summary.csv`);
-    res.send(csv);
+    const settings = await getGymSettings(gym_id);
+    await sendReport(req, res, {
+      filename: `member_${memberId}_financial_summary`,
+      title: `Financial Summary - ${member.name}`,
+      subtitle: `${start_date} to ${end_date}`,
+      columns: [
+        { key: 'total_received', header: 'Total Received', type: 'money' },
+        { key: 'total_billed', header: 'Total Billed', type: 'money' },
+        { key: 'total_due', header: 'Total Due', type: 'money' },
+        { key: 'payment_methods', header: 'Payment Methods', width: 2 },
+        CURRENCY_COLUMN
+      ],
+      rows: [{
+        total_received: paymentStats.total_received,
+        total_billed: paymentStats.total_billed,
+        total_due: paymentStats.total_due,
+        payment_methods: JSON.stringify(paymentStats.payment_methods),
+        currency: settings.currency
+      }],
+      defaultFormat: 'csv'
+    });
   } catch (error) {
     res.status(500).json({ error: 'Failed to generate member financial summary report' });
   }
@@ -686,7 +792,10 @@ module.exports = {
   getBirthdayMembers,
   getPaymentStatusReport,
   getAttendanceSummaryReport,
+  getPeakHoursReport,
+  getLeadFunnelReport,
   getFinancialSummaryReport,
+  getRetentionReport,
   downloadReport,
   downloadMemberProfile,
   downloadMemberPayments,
@@ -0,0 +1,277 @@
+const { supabaseClient } = require('../config/supabase');
+const { selectColumns } = require('../services/exportService');
+const { REPORT_COLUMNS } = require('../services/reportService');
+const { sendSubscription } = require('../services/reportSubscriptionService');
+
+/**
+ * Check the columns picked for a subscription's attachment exist in its report
+ * @param {string} report_type - Report type
+ * @param {Array<string>} [columns] - Column keys
+ * @returns {string|null} Error message, or null if the columns are fine
+ */
+const checkColumns = (report_type, columns) => {
+  if (!columns || columns.length === 0) {
+    return null;
+  }
+
+  if (report_type === 'digest') {
+    return 'The digest has no attachment to pick columns for';
+  }
+
+  return selectColumns(REPORT_COLUMNS[report_type], columns.join(',')).error || null;
+};
+
+/**
+ * Find one of the gym's report subscriptions
+ * @param {string} id - Subscription ID
+ * @param {string} gym_id - Gym ID
+ * @returns {Promise<Object|null>} Subscription, or null if not found
+ */
+const findSubscription = async (id, gym_id) => {
+  const { data, error } = await supabaseClient
+    .from('report_subscriptions')
+    .select('*')
+    .eq('id', id)
+    .eq('gym_id', gym_id)
+    .single();
+
+  if (error || !data) {
+    return null;
+  }
+
+  return data;
+};
+
+/**
+ * Get the gym's report subscriptions
+ * @route GET /api/reports/subscriptions
+ */
+const getSubscriptions = async (req, res, next) => {
+  try {
+    const gym_id = req.user.gym_id;
+
+    const { data, error } = await supabaseClient
+      .from('report_subscriptions')
+      .select('*')
+      .eq('gym_id', gym_id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Subscribe a list of recipients to a report, emailed daily or weekly
+ * @route POST /api/reports/subscriptions
+ */
+const createSubscription = async (req, res, next) => {
+  try {
+    const { report_type, recipients, frequency, weekday, send_hour, format, columns, is_active } = req.body;
+    const gym_id = req.user.gym_id;
+
+    const columnError = checkColumns(report_type, columns);
+    if (columnError) {
+      return res.status(400).json({
+        success: false,
+        message: columnError
+      });
+    }
+
+    const { data, error } = await supabaseClient
+      .from('report_subscriptions')
+      .insert([{
+        gym_id,
+        report_type,
+        recipients,
+        frequency,
+        weekday: frequency === 'weekly' ? weekday : null,
+        send_hour,
+        format,
+        columns,
+        is_active,
+        created_by: req.user.id
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Report subscription created successfully',
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a report subscription
+ * @route PUT /api/reports/subscriptions/:id
+ */
+const updateSubscription = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const gym_id = req.user.gym_id;
+
+    const existingSubscription = await findSubscription(id, gym_id);
+
+    if (!existingSubscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report subscription not found'
+      });
+    }
+
+    const subscription = { ...existingSubscription, ...req.body };
+
+    if (subscription.frequency === 'weekly' && (subscription.weekday === null || subscription.weekday === undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Weekday is required for weekly reports'
+      });
+    }
+
+    // Columns belong to a report, so a new report starts with all of its columns
+    const columns = req.body.columns ||
+      (req.body.report_type && req.body.report_type !== existingSubscription.report_type ? [] : undefined);
+
+    const columnError = checkColumns(subscription.report_type, columns || subscription.columns);
+    if (columnError) {
+      return res.status(400).json({
+        success: false,
+        message: columnError
+      });
+    }
+
+    const { report_type, recipients, frequency, weekday, send_hour, format, is_active } = req.body;
+
+    const { data, error } = await supabaseClient
+      .from('report_subscriptions')
+      .update({
+        report_type,
+        recipients,
+        frequency,
+        weekday: subscription.frequency === 'weekly' ? weekday : null,
+        send_hour,
+        format,
+        columns,
+        is_active,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .eq('gym_id', gym_id)
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Report subscription updated successfully',
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a report subscription
+ * @route DELETE /api/reports/subscriptions/:id
+ */
+const deleteSubscription = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const gym_id = req.user.gym_id;
+
+    if (!(await findSubscription(id, gym_id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report subscription not found'
+      });
+    }
+
+    const { error } = await supabaseClient
+      .from('report_subscriptions')
+      .delete()
+      .eq('id', id)
+      .eq('gym_id', gym_id);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Report subscription deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a report subscription now, for the period ending yesterday. The
+ * scheduled send still goes out.
+ * @route POST /api/reports/subscriptions/:id/send
+ */
+const sendSubscriptionNow = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const gym_id = req.user.gym_id;
+
+    const subscription = await findSubscription(id, gym_id);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report subscription not found'
+      });
+    }
+
+    const data = await sendSubscription(subscription);
+
+    res.status(200).json({
+      success: true,
+      message: 'Report sent successfully',
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSubscriptions,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  sendSubscriptionNow
+};
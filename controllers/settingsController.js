@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const { getGymSettings, updateGymSettings } = require('../services/settingsService');
+const { PUBLIC_KEY_PREFIX } = require('../middleware/publicGym');
+
+/**
+ * Get the gym's settings
+ * @route GET /api/settings
+ */
+const getSettings = async (req, res, next) => {
+  try {
+    const settings = await getGymSettings(req.user.gym_id);
+
+    res.status(200).json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update the gym's settings; settings not sent are left unchanged
+ * @route PUT /api/settings
+ */
+const updateSettings = async (req, res, next) => {
+  try {
+    const settings = await updateGymSettings(req.user.gym_id, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Settings updated successfully',
+      data: settings
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Generate a new public enquiry key for the gym's website form. The old key
+ * stops working.
+ * @route POST /api/settings/public-enquiry-key
+ */
+const regeneratePublicEnquiryKey = async (req, res, next) => {
+  try {
+    const settings = await updateGymSettings(req.user.gym_id, {
+      public_enquiry_key: `${PUBLIC_KEY_PREFIX}${crypto.randomBytes(16).toString('hex')}`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Public enquiry key generated successfully',
+      data: settings
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSettings,
+  updateSettings,
+  regeneratePublicEnquiryKey
+};
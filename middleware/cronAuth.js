@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+
+/**
+ * Cron authentication middleware for external schedulers (such as Vercel
+ * Cron), which send the shared CRON_SECRET as a bearer token
+ */
+const authenticateCron = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  const authHeader = req.headers.authorization || '';
+  const token = authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : '';
+
+  if (!secret) {
+    return res.status(503).json({
+      success: false,
+      message: 'Cron endpoint is not configured'
+    });
+  }
+
+  const expected = Buffer.from(secret);
+  const received = Buffer.from(token);
+
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid cron secret'
+    });
+  }
+
+  next();
+};
+
+module.exports = { authenticateCron };
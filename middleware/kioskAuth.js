@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const { supabaseClient } = require('../config/supabase');
+
+/**
+ * Hash a kiosk device key for storage and lookup
+ * @param {string} key - Device key
+ * @returns {string} SHA-256 hex digest
+ */
+const hashKioskKey = (key) => {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+/**
+ * Kiosk authentication middleware to verify the per-gym device key
+ * sent in the X-Kiosk-Key header
+ */
+const authenticateKiosk = async (req, res, next) => {
+  try {
+    const key = req.headers['x-kiosk-key'];
+
+    if (!key) {
+      return res.status(401).json({
+        success: false,
+        message: 'Kiosk key required. Please provide a valid X-Kiosk-Key header.'
+      });
+    }
+
+    const { data: device, error } = await supabaseClient
+      .from('kiosk_devices')
+      .select('id, gym_id, name, duplicate_window_minutes')
+      .eq('key_hash', hashKioskKey(key))
+      .eq('is_active', true)
+      .single();
+
+    if (error || !device) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or revoked kiosk key'
+      });
+    }
+
+    await supabaseClient
+      .from('kiosk_devices')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', device.id);
+
+    req.kiosk = device;
+
+    next();
+  } catch (error) {
+    console.error('Kiosk auth middleware error:', error);
+    next(error);
+  }
+};
+
+module.exports = { authenticateKiosk, hashKioskKey };
@@ -0,0 +1,90 @@
+const { supabaseClient } = require('../config/supabase');
+const { ROLES } = require('./roleCheck');
+
+// Resources that can be gated through staff permissions
+const RESOURCES = {
+  MEMBERS: 'members',
+  PAYMENTS: 'payments',
+  PLANS: 'plans',
+  BATCHES: 'batches',
+  ENQUIRIES: 'enquiries',
+  EXPENSES: 'expenses',
+  SERVICES: 'services'
+};
+
+// Actions that can be granted on each resource
+const ACTIONS = {
+  ADD: 'add',
+  EDIT: 'edit',
+  DELETE: 'delete'
+};
+
+/**
+ * Resolve whether a staff permissions object grants an action on a resource.
+ * Supports the per-resource shape ({ payments: { add, edit, delete } }) and
+ * falls back to the legacy global shape ({ add, edit, delete }).
+ * @param {Object} permissions - Permissions JSON stored on the staff row
+ * @param {string} resource - Resource name
+ * @param {string} action - Action name
+ * @returns {boolean} Whether the action is allowed
+ */
+const hasPermission = (permissions, resource, action) => {
+  if (!permissions || typeof permissions !== 'object') {
+    return false;
+  }
+
+  const resourcePermissions = permissions[resource];
+  if (resourcePermissions && typeof resourcePermissions === 'object') {
+    return resourcePermissions[action] === true;
+  }
+
+  return permissions[action] === true;
+};
+
+/**
+ * Middleware to check if a staff member may perform an action on a resource.
+ * Admins always pass; everyone else needs a matching grant on their staff record.
+ * @param {string} resource - Resource being modified
+ * @param {string} action - Action being performed
+ */
+const checkPermission = (resource, action) => {
+  return async (req, res, next) => {
+    try {
+      const role = req.userRole || req.user.role;
+
+      if (role === ROLES.ADMIN) {
+        return next();
+      }
+
+      // Fetch the caller's staff record for this gym
+      const { data: staffData, error } = await supabaseClient
+        .from('staff')
+        .select('id, permissions')
+        .eq('user_id', req.user.id)
+        .eq('gym_id', req.user.gym_id)
+        .single();
+
+      if (error || !staffData) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. No staff profile found for this user.'
+        });
+      }
+
+      if (!hasPermission(staffData.permissions, resource, action)) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. You do not have permission to ${action} ${resource}.`
+        });
+      }
+
+      // Attach staff permissions to request
+      req.staffPermissions = staffData.permissions;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = { checkPermission, hasPermission, RESOURCES, ACTIONS };
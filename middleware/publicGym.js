@@ -0,0 +1,45 @@
+const { supabaseClient } = require('../config/supabase');
+
+/**
+ * Prefix of generated public enquiry keys, which tells them apart from slugs
+ */
+const PUBLIC_KEY_PREFIX = 'enq_';
+
+/**
+ * Public gym middleware to find the gym a public form posts to, from the
+ * slug or public enquiry key in the :gym route parameter. Only gyms that
+ * turned on public enquiries are found.
+ */
+const resolvePublicGym = async (req, res, next) => {
+  try {
+    const identifier = req.params.gym;
+    const column = identifier.startsWith(PUBLIC_KEY_PREFIX) ? 'public_enquiry_key' : 'public_enquiry_slug';
+
+    const { data: gym, error } = await supabaseClient
+      .from('gym_settings')
+      .select('gym_id')
+      .eq(column, identifier)
+      .eq('public_enquiries_enabled', true)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!gym) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gym not found'
+      });
+    }
+
+    req.gym = gym;
+
+    next();
+  } catch (error) {
+    console.error('Public gym middleware error:', error);
+    next(error);
+  }
+};
+
+module.exports = { resolvePublicGym, PUBLIC_KEY_PREFIX };
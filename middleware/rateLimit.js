@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+const { supabaseClient } = require('../config/supabase');
+
+/**
+ * Rate limit middleware: allow each client IP at most `limit` requests per
+ * window. Counts are kept in the database so every server instance shares
+ * them. If the count cannot be read the request is let through.
+ * @param {Object} options - Limit options
+ * @param {string} options.name - Name of the limited route, part of the key
+ * @param {number} options.limit - Requests allowed per window
+ * @param {number} options.windowSeconds - Window length in seconds
+ */
+const rateLimit = ({ name, limit, windowSeconds }) => async (req, res, next) => {
+  try {
+    const ipHash = crypto.createHash('sha256').update(req.ip || 'unknown').digest('hex');
+
+    const { data: allowed, error } = await supabaseClient
+      .rpc('hit_rate_limit', {
+        p_key: `${name}:${ipHash}`,
+        p_limit: limit,
+        p_window_seconds: windowSeconds
+      });
+
+    if (error) {
+      console.error(`Rate limit error for ${name}:`, error);
+      return next();
+    }
+
+    if (!allowed) {
+      res.set('Retry-After', String(windowSeconds));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many requests. Please try again later.'
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { rateLimit };
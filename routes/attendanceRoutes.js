@@ -3,7 +3,7 @@ const router = express.Router();
 const attendanceController = require('../controllers/attendanceController');
 const { authenticate } = require('../middleware/auth');
 const { checkRole, ROLES } = require('../middleware/roleCheck');
-const { validate, attendanceValidation } = require('../utils/validation');
+const { validate, attendanceValidation, checkOutValidation, trialCheckInValidation } = require('../utils/validation');
 
 // Apply authentication middleware to all routes
 router.use(authenticate);
@@ -14,6 +14,9 @@ router.get('/', attendanceController.getAttendance);
 // Get attendance report
 router.get('/report', attendanceController.getAttendanceReport);
 
+// Get check-in visits
+router.get('/visits', attendanceController.getVisits);
+
 // Record attendance for a member
 router.post(
   '/',
@@ -29,4 +32,28 @@ router.post(
   attendanceController.recordBatchAttendance
 );
 
+// Check a prospect in on their trial pass
+router.post(
+  '/trial-check-in',
+  checkRole([ROLES.ADMIN, ROLES.STAFF, ROLES.TRAINER]),
+  validate(trialCheckInValidation),
+  attendanceController.recordTrialCheckIn
+);
+
+// Close all open visits
+router.post(
+  '/visits/close-open',
+  checkRole([ROLES.ADMIN, ROLES.STAFF, ROLES.TRAINER]),
+  validate(checkOutValidation),
+  attendanceController.closeOpenVisits
+);
+
+// Check a member out of a visit
+router.post(
+  '/visits/:id/check-out',
+  checkRole([ROLES.ADMIN, ROLES.STAFF, ROLES.TRAINER]),
+  validate(checkOutValidation),
+  attendanceController.checkOutVisit
+);
+
 module.exports = router;
\ No newline at end of file
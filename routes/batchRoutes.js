@@ -3,6 +3,7 @@ const router = express.Router();
 const batchController = require('../controllers/batchController');
 const { authenticate } = require('../middleware/auth');
 const { checkRole, ROLES } = require('../middleware/roleCheck');
+const { checkPermission, RESOURCES, ACTIONS } = require('../middleware/permissionCheck');
 const { validate, batchValidation } = require('../utils/validation');
 
 // Apply authentication middleware to all routes
@@ -21,6 +22,7 @@ router.get('/:id/members', batchController.getBatchMembers);
 router.post(
   '/',
   checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.BATCHES, ACTIONS.ADD),
   validate(batchValidation),
   batchController.createBatch
 );
@@ -29,6 +31,7 @@ router.post(
 router.put(
   '/:id',
   checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.BATCHES, ACTIONS.EDIT),
   validate(batchValidation),
   batchController.updateBatch
 );
@@ -36,7 +39,8 @@ router.put(
 // Delete a batch
 router.delete(
   '/:id',
-  checkRole([ROLES.ADMIN]),
+  checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.BATCHES, ACTIONS.DELETE),
   batchController.deleteBatch
 );
 
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const chargeController = require('../controllers/chargeController');
+const { authenticate } = require('../middleware/auth');
+const { checkRole, ROLES } = require('../middleware/roleCheck');
+const { checkPermission, RESOURCES, ACTIONS } = require('../middleware/permissionCheck');
+const { validate, chargeValidation } = require('../utils/validation');
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+// Get all charges
+router.get('/', chargeController.getAllCharges);
+
+// Bill a charge to a member
+router.post(
+  '/',
+  checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.PAYMENTS, ACTIONS.ADD),
+  validate(chargeValidation),
+  chargeController.createCharge
+);
+
+// Delete a charge
+router.delete(
+  '/:id',
+  checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.PAYMENTS, ACTIONS.DELETE),
+  chargeController.deleteCharge
+);
+
+module.exports = router;
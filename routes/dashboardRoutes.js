@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const dashboardController = require('../controllers/dashboardController');
+const { authenticate } = require('../middleware/auth');
+const { checkRole, ROLES } = require('../middleware/roleCheck');
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+// Get the owner's dashboard
+router.get(
+  '/',
+  checkRole([ROLES.ADMIN]),
+  dashboardController.getDashboard
+);
+
+module.exports = router;
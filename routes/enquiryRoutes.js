@@ -3,7 +3,19 @@ const router = express.Router();
 const enquiryController = require('../controllers/enquiryController');
 const { authenticate } = require('../middleware/auth');
 const { checkRole, ROLES } = require('../middleware/roleCheck');
-const { validate, enquiryValidation } = require('../utils/validation');
+const { checkPermission, RESOURCES, ACTIONS } = require('../middleware/permissionCheck');
+const {
+  validate,
+  enquiryValidation,
+  enquiryStageValidation,
+  enquiryAssignValidation,
+  followUpValidation,
+  followUpUpdateValidation,
+  enquiryConversionValidation,
+  enquiryActivityValidation,
+  trialPassValidation,
+  trialPassUpdateValidation
+} = require('../utils/validation');
 
 // Apply authentication middleware to all routes
 router.use(authenticate);
@@ -11,6 +23,12 @@ router.use(authenticate);
 // Get all enquiries
 router.get('/', enquiryController.getAllEnquiries);
 
+// Get follow-up tasks across enquiries
+router.get('/follow-ups', enquiryController.getAllFollowUps);
+
+// Get trial passes across enquiries
+router.get('/trials', enquiryController.getAllTrials);
+
 // Get a specific enquiry
 router.get('/:id', enquiryController.getEnquiryById);
 
@@ -18,6 +36,7 @@ router.get('/:id', enquiryController.getEnquiryById);
 router.post(
   '/',
   checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.ENQUIRIES, ACTIONS.ADD),
   validate(enquiryValidation),
   enquiryController.createEnquiry
 );
@@ -26,6 +45,7 @@ router.post(
 router.put(
   '/:id',
   checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.ENQUIRIES, ACTIONS.EDIT),
   validate(enquiryValidation),
   enquiryController.updateEnquiry
 );
@@ -33,15 +53,99 @@ router.put(
 // Delete an enquiry
 router.delete(
   '/:id',
-  checkRole([ROLES.ADMIN]),
+  checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.ENQUIRIES, ACTIONS.DELETE),
   enquiryController.deleteEnquiry
 );
 
-// Change enquiry status
+// Move an enquiry to another stage
+router.patch(
+  '/:id/stage',
+  checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.ENQUIRIES, ACTIONS.EDIT),
+  validate(enquiryStageValidation),
+  enquiryController.changeEnquiryStage
+);
+
+// Open or close an enquiry; kept for clients from before stages
 router.patch(
   '/:id/status',
   checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.ENQUIRIES, ACTIONS.EDIT),
   enquiryController.changeEnquiryStatus
 );
 
+// Assign an enquiry to a staff member
+router.patch(
+  '/:id/assign',
+  checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.ENQUIRIES, ACTIONS.EDIT),
+  validate(enquiryAssignValidation),
+  enquiryController.assignEnquiry
+);
+
+// Convert an enquiry into a member
+router.post(
+  '/:id/convert',
+  checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.MEMBERS, ACTIONS.ADD),
+  checkPermission(RESOURCES.ENQUIRIES, ACTIONS.EDIT),
+  validate(enquiryConversionValidation),
+  enquiryController.convertEnquiry
+);
+
+// Get an enquiry's follow-ups
+router.get('/:id/follow-ups', enquiryController.getEnquiryFollowUps);
+
+// Schedule a follow-up
+router.post(
+  '/:id/follow-ups',
+  checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.ENQUIRIES, ACTIONS.EDIT),
+  validate(followUpValidation),
+  enquiryController.createFollowUp
+);
+
+// Reschedule, complete or cancel a follow-up
+router.patch(
+  '/:id/follow-ups/:followUpId',
+  checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.ENQUIRIES, ACTIONS.EDIT),
+  validate(followUpUpdateValidation),
+  enquiryController.updateFollowUp
+);
+
+// Get an enquiry's trial passes
+router.get('/:id/trials', enquiryController.getEnquiryTrials);
+
+// Give an enquiry a trial pass
+router.post(
+  '/:id/trials',
+  checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.ENQUIRIES, ACTIONS.EDIT),
+  validate(trialPassValidation),
+  enquiryController.createTrial
+);
+
+// Extend, change or cancel a trial pass
+router.patch(
+  '/:id/trials/:trialId',
+  checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.ENQUIRIES, ACTIONS.EDIT),
+  validate(trialPassUpdateValidation),
+  enquiryController.updateTrial
+);
+
+// Get an enquiry's activity timeline
+router.get('/:id/activities', enquiryController.getEnquiryActivities);
+
+// Log an activity on an enquiry
+router.post(
+  '/:id/activities',
+  checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.ENQUIRIES, ACTIONS.EDIT),
+  validate(enquiryActivityValidation),
+  enquiryController.addEnquiryActivity
+);
+
 module.exports = router;
\ No newline at end of file
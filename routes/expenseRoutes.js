@@ -3,6 +3,7 @@ const router = express.Router();
 const expenseController = require('../controllers/expenseController');
 const { authenticate } = require('../middleware/auth');
 const { checkRole, ROLES } = require('../middleware/roleCheck');
+const { checkPermission, RESOURCES, ACTIONS } = require('../middleware/permissionCheck');
 const { validate, expenseValidation } = require('../utils/validation');
 
 // Apply authentication middleware to all routes
@@ -30,6 +31,7 @@ router.get('/:id',
 router.post(
   '/',
   checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.EXPENSES, ACTIONS.ADD),
   validate(expenseValidation),
   expenseController.createExpense
 );
@@ -38,6 +40,7 @@ router.post(
 router.put(
   '/:id',
   checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.EXPENSES, ACTIONS.EDIT),
   validate(expenseValidation),
   expenseController.updateExpense
 );
@@ -45,7 +48,8 @@ router.put(
 // Delete an expense
 router.delete(
   '/:id',
-  checkRole([ROLES.ADMIN]),
+  checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.EXPENSES, ACTIONS.DELETE),
   expenseController.deleteExpense
 );
 
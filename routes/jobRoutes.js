@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const jobController = require('../controllers/jobController');
+const { authenticate } = require('../middleware/auth');
+const { authenticateCron } = require('../middleware/cronAuth');
+const { checkRole, ROLES } = require('../middleware/roleCheck');
+
+// Run due retries for an external scheduler, authenticated by the cron secret.
+// Vercel Cron calls with GET; other schedulers may POST
+router.get(
+  '/cron/retries',
+  authenticateCron,
+  jobController.runCronRetries
+);
+
+router.post(
+  '/cron/retries',
+  authenticateCron,
+  jobController.runCronRetries
+);
+
+// Run a job for an external scheduler, authenticated by the cron secret
+router.get(
+  '/cron/:name',
+  authenticateCron,
+  jobController.runCronJob
+);
+
+router.post(
+  '/cron/:name',
+  authenticateCron,
+  jobController.runCronJob
+);
+
+// Apply authentication middleware to all other routes
+router.use(authenticate);
+
+// Get registered jobs
+router.get(
+  '/',
+  checkRole([ROLES.ADMIN]),
+  jobController.getAllJobs
+);
+
+// Get job run history
+router.get(
+  '/runs',
+  checkRole([ROLES.ADMIN]),
+  jobController.getJobRuns
+);
+
+// Get job run by ID
+router.get(
+  '/runs/:id',
+  checkRole([ROLES.ADMIN]),
+  jobController.getJobRunById
+);
+
+// Run a job for the gym now
+router.post(
+  '/:name/run',
+  checkRole([ROLES.ADMIN]),
+  jobController.triggerJob
+);
+
+module.exports = router;
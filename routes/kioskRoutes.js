@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const kioskController = require('../controllers/kioskController');
+const { authenticate } = require('../middleware/auth');
+const { authenticateKiosk } = require('../middleware/kioskAuth');
+const { checkRole, ROLES } = require('../middleware/roleCheck');
+const { validate, kioskDeviceValidation, kioskCheckInValidation } = require('../utils/validation');
+
+// Self check-in, authenticated by the kiosk's device key
+router.post(
+  '/check-in',
+  authenticateKiosk,
+  validate(kioskCheckInValidation),
+  kioskController.checkIn
+);
+
+// Self check-out, authenticated by the kiosk's device key
+router.post(
+  '/check-out',
+  authenticateKiosk,
+  validate(kioskCheckInValidation),
+  kioskController.checkOut
+);
+
+// Get kiosk devices
+router.get(
+  '/devices',
+  authenticate,
+  checkRole([ROLES.ADMIN]),
+  kioskController.getDevices
+);
+
+// Register a kiosk device
+router.post(
+  '/devices',
+  authenticate,
+  checkRole([ROLES.ADMIN]),
+  validate(kioskDeviceValidation),
+  kioskController.createDevice
+);
+
+// Update a kiosk device
+router.put(
+  '/devices/:id',
+  authenticate,
+  checkRole([ROLES.ADMIN]),
+  validate(kioskDeviceValidation),
+  kioskController.updateDevice
+);
+
+// Revoke a kiosk device
+router.delete(
+  '/devices/:id',
+  authenticate,
+  checkRole([ROLES.ADMIN]),
+  kioskController.revokeDevice
+);
+
+module.exports = router;
@@ -3,7 +3,8 @@ const router = express.Router();
 const memberController = require('../controllers/memberController');
 const { authenticate } = require('../middleware/auth');
 const { checkRole, ROLES } = require('../middleware/roleCheck');
-const { validate, memberValidation } = require('../utils/validation');
+const { checkPermission, RESOURCES, ACTIONS } = require('../middleware/permissionCheck');
+const { validate, memberValidation, renewalValidation, freezeValidation } = require('../utils/validation');
 
 // Apply authentication middleware to all routes
 router.use(authenticate);
@@ -14,10 +15,23 @@ router.get('/', memberController.getAllMembers);
 // Get a specific member
 router.get('/:id', memberController.getMemberById);
 
+// Get renewal history for a member
+router.get('/:id/renewals', memberController.getMemberRenewals);
+
+// Get freeze periods for a member
+router.get('/:id/freezes', memberController.getMemberFreezes);
+
+// Download an outstanding dues invoice
+router.get('/:id/invoice', memberController.getMemberInvoice);
+
+// Get a member's kiosk check-in code and QR payload
+router.get('/:id/check-in-code', memberController.getMemberCheckInCode);
+
 // Create a new member
 router.post(
   '/',
   checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.MEMBERS, ACTIONS.ADD),
   validate(memberValidation),
   memberController.createMember
 );
@@ -26,6 +40,7 @@ router.post(
 router.put(
   '/:id',
   checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.MEMBERS, ACTIONS.EDIT),
   validate(memberValidation),
   memberController.updateMember
 );
@@ -33,11 +48,51 @@ router.put(
 // Delete a member
 router.delete(
   '/:id',
-  checkRole([ROLES.ADMIN]),
+  checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.MEMBERS, ACTIONS.DELETE),
   memberController.deleteMember
 );
 
+// Renew a member's plan
+router.post(
+  '/:id/renew',
+  checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.MEMBERS, ACTIONS.EDIT),
+  checkPermission(RESOURCES.PAYMENTS, ACTIONS.ADD),
+  validate(renewalValidation),
+  memberController.renewMembership
+);
+
+// Freeze a member's plan
+router.post(
+  '/:id/freezes',
+  checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.MEMBERS, ACTIONS.EDIT),
+  validate(freezeValidation),
+  memberController.createMemberFreeze
+);
+
+// Cancel a freeze
+router.patch(
+  '/:id/freezes/:freezeId/cancel',
+  checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.MEMBERS, ACTIONS.EDIT),
+  memberController.cancelMemberFreeze
+);
+
+// Issue a new check-in code
+router.post(
+  '/:id/check-in-code/regenerate',
+  checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.MEMBERS, ACTIONS.EDIT),
+  memberController.regenerateMemberCheckInCode
+);
+
 // Check member status
-router.post('/check-status', memberController.checkMemberStatus);
+router.post(
+  '/check-status',
+  checkPermission(RESOURCES.MEMBERS, ACTIONS.EDIT),
+  memberController.checkMemberStatus
+);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const { authenticate } = require('../middleware/auth');
+const { checkRole, ROLES } = require('../middleware/roleCheck');
+const { validate, notificationTemplateValidation } = require('../utils/validation');
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+// Get message templates
+router.get(
+  '/templates',
+  checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  notificationController.getTemplates
+);
+
+// Get a specific message template
+router.get(
+  '/templates/:id',
+  checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  notificationController.getTemplateById
+);
+
+// Create a message template
+router.post(
+  '/templates',
+  checkRole([ROLES.ADMIN]),
+  validate(notificationTemplateValidation),
+  notificationController.createTemplate
+);
+
+// Update a message template
+router.put(
+  '/templates/:id',
+  checkRole([ROLES.ADMIN]),
+  validate(notificationTemplateValidation),
+  notificationController.updateTemplate
+);
+
+// Delete a message template
+router.delete(
+  '/templates/:id',
+  checkRole([ROLES.ADMIN]),
+  notificationController.deleteTemplate
+);
+
+// Get all notifications
+router.get(
+  '/',
+  checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  notificationController.getAllNotifications
+);
+
+// Get notifications sent to a member
+router.get(
+  '/member/:memberId',
+  checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  notificationController.getMemberNotifications
+);
+
+// Get a specific notification
+router.get(
+  '/:id',
+  checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  notificationController.getNotificationById
+);
+
+module.exports = router;
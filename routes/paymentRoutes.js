@@ -3,7 +3,8 @@ const router = express.Router();
 const paymentController = require('../controllers/paymentController');
 const { authenticate } = require('../middleware/auth');
 const { checkRole, ROLES } = require('../middleware/roleCheck');
-const { validate, paymentValidation } = require('../utils/validation');
+const { checkPermission, RESOURCES, ACTIONS } = require('../middleware/permissionCheck');
+const { validate, paymentValidation, refundValidation, voidValidation } = require('../utils/validation');
 
 // Apply authentication middleware to all routes
 router.use(authenticate);
@@ -20,13 +21,20 @@ router.get('/export', paymentController.exportPaymentsToExcel);
 // Get payments by member
 router.get('/member/:memberId', paymentController.getMemberPayments);
 
+// Get member balance from the ledger
+router.get('/member/:memberId/balance', paymentController.getMemberBalance);
+
 // Get a specific payment
 router.get('/:id', paymentController.getPaymentById);
 
+// Download a payment receipt
+router.get('/:id/receipt', paymentController.getPaymentReceipt);
+
 // Create a new payment
 router.post(
   '/',
   checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.PAYMENTS, ACTIONS.ADD),
   validate(paymentValidation),
   paymentController.createPayment
 );
@@ -35,15 +43,35 @@ router.post(
 router.put(
   '/:id',
   checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.PAYMENTS, ACTIONS.EDIT),
   validate(paymentValidation),
   paymentController.updatePayment
 );
 
-// Delete a payment
+// Refund a payment
+router.post(
+  '/:id/refund',
+  checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.PAYMENTS, ACTIONS.EDIT),
+  validate(refundValidation),
+  paymentController.refundPayment
+);
+
+// Void a payment
+router.post(
+  '/:id/void',
+  checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.PAYMENTS, ACTIONS.DELETE),
+  validate(voidValidation),
+  paymentController.voidPayment
+);
+
+// Deleting a payment voids it so the audit trail is kept
 router.delete(
   '/:id',
-  checkRole([ROLES.ADMIN]),
-  paymentController.deletePayment
+  checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.PAYMENTS, ACTIONS.DELETE),
+  paymentController.voidPayment
 );
 
 module.exports = router;
\ No newline at end of file
@@ -3,6 +3,7 @@ const router = express.Router();
 const planController = require('../controllers/planController');
 const { authenticate } = require('../middleware/auth');
 const { checkRole, ROLES } = require('../middleware/roleCheck');
+const { checkPermission, RESOURCES, ACTIONS } = require('../middleware/permissionCheck');
 const { validate, planValidation } = require('../utils/validation');
 
 // Apply authentication middleware to all routes
@@ -18,6 +19,7 @@ router.get('/:id', planController.getPlanById);
 router.post(
   '/',
   checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.PLANS, ACTIONS.ADD),
   validate(planValidation),
   planController.createPlan
 );
@@ -26,6 +28,7 @@ router.post(
 router.put(
   '/:id',
   checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.PLANS, ACTIONS.EDIT),
   validate(planValidation),
   planController.updatePlan
 );
@@ -33,7 +36,8 @@ router.put(
 // Delete a plan
 router.delete(
   '/:id',
-  checkRole([ROLES.ADMIN]),
+  checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.PLANS, ACTIONS.DELETE),
   planController.deletePlan
 );
 
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const enquiryController = require('../controllers/enquiryController');
+const { resolvePublicGym } = require('../middleware/publicGym');
+const { rateLimit } = require('../middleware/rateLimit');
+const { validate, publicEnquiryValidation } = require('../utils/validation');
+
+// Enquiry from a gym's website form, identified by the gym's slug or public key
+router.post(
+  '/gyms/:gym/enquiries',
+  rateLimit({ name: 'public_enquiry', limit: 5, windowSeconds: 60 * 60 }),
+  validate(publicEnquiryValidation),
+  resolvePublicGym,
+  enquiryController.createPublicEnquiry
+);
+
+module.exports = router;
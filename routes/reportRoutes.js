@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const reportController = require('../controllers/reportController');
+const reportSubscriptionController = require('../controllers/reportSubscriptionController');
 const { authenticate } = require('../middleware/auth');
 const { checkRole, ROLES } = require('../middleware/roleCheck');
+const { validate, reportSubscriptionValidation, reportSubscriptionUpdateValidation } = require('../utils/validation');
 
 // Apply authentication middleware to all routes
 router.use(authenticate);
@@ -31,12 +33,30 @@ router.get('/attendance-summary',
   reportController.getAttendanceSummaryReport
 );
 
+// Get peak hours report
+router.get('/peak-hours', 
+  checkRole([ROLES.ADMIN, ROLES.STAFF, ROLES.TRAINER]), 
+  reportController.getPeakHoursReport
+);
+
+// Get lead funnel report
+router.get('/lead-funnel', 
+  checkRole([ROLES.ADMIN, ROLES.STAFF]), 
+  reportController.getLeadFunnelReport
+);
+
 // Get financial summary report
 router.get('/financial-summary', 
   checkRole([ROLES.ADMIN]), 
   reportController.getFinancialSummaryReport
 );
 
+// Get retention report
+router.get('/retention', 
+  checkRole([ROLES.ADMIN]), 
+  reportController.getRetentionReport
+);
+
 // Download reports
 router.get('/download/:type', 
   checkRole([ROLES.ADMIN, ROLES.STAFF]), 
@@ -64,4 +84,32 @@ router.get('/download/member/:memberId/financial-summary',
   reportController.downloadMemberFinancialSummary
 );
 
+// Report subscriptions emailed on a schedule
+router.get('/subscriptions',
+  checkRole([ROLES.ADMIN]),
+  reportSubscriptionController.getSubscriptions
+);
+
+router.post('/subscriptions',
+  checkRole([ROLES.ADMIN]),
+  validate(reportSubscriptionValidation),
+  reportSubscriptionController.createSubscription
+);
+
+router.put('/subscriptions/:id',
+  checkRole([ROLES.ADMIN]),
+  validate(reportSubscriptionUpdateValidation),
+  reportSubscriptionController.updateSubscription
+);
+
+router.delete('/subscriptions/:id',
+  checkRole([ROLES.ADMIN]),
+  reportSubscriptionController.deleteSubscription
+);
+
+router.post('/subscriptions/:id/send',
+  checkRole([ROLES.ADMIN]),
+  reportSubscriptionController.sendSubscriptionNow
+);
+
 module.exports = router;
\ No newline at end of file
@@ -3,6 +3,7 @@ const router = express.Router();
 const serviceController = require('../controllers/serviceController');
 const { authenticate } = require('../middleware/auth');
 const { checkRole, ROLES } = require('../middleware/roleCheck');
+const { checkPermission, RESOURCES, ACTIONS } = require('../middleware/permissionCheck');
 const { validate, serviceValidation } = require('../utils/validation');
 
 // Apply authentication middleware to all routes
@@ -18,6 +19,7 @@ router.get('/:id', serviceController.getServiceById);
 router.post(
   '/',
   checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.SERVICES, ACTIONS.ADD),
   validate(serviceValidation),
   serviceController.createService
 );
@@ -26,6 +28,7 @@ router.post(
 router.put(
   '/:id',
   checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.SERVICES, ACTIONS.EDIT),
   validate(serviceValidation),
   serviceController.updateService
 );
@@ -33,7 +36,8 @@ router.put(
 // Delete a service
 router.delete(
   '/:id',
-  checkRole([ROLES.ADMIN]),
+  checkRole([ROLES.ADMIN, ROLES.STAFF]),
+  checkPermission(RESOURCES.SERVICES, ACTIONS.DELETE),
   serviceController.deleteService
 );
 
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const settingsController = require('../controllers/settingsController');
+const { authenticate } = require('../middleware/auth');
+const { checkRole, ROLES } = require('../middleware/roleCheck');
+const { validate, settingsValidation } = require('../utils/validation');
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+// Get gym settings
+router.get(
+  '/',
+  checkRole([ROLES.ADMIN]),
+  settingsController.getSettings
+);
+
+// Update gym settings
+router.put(
+  '/',
+  checkRole([ROLES.ADMIN]),
+  validate(settingsValidation),
+  settingsController.updateSettings
+);
+
+// Generate a new public enquiry key
+router.post(
+  '/public-enquiry-key',
+  checkRole([ROLES.ADMIN]),
+  settingsController.regeneratePublicEnquiryKey
+);
+
+module.exports = router;
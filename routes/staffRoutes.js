@@ -3,6 +3,7 @@ const router = express.Router();
 const staffController = require('../controllers/staffController');
 const { authenticate } = require('../middleware/auth');
 const { checkRole, ROLES } = require('../middleware/roleCheck');
+const { validate, staffPermissionsValidation } = require('../utils/validation');
 
 // Apply authentication middleware to all routes
 router.use(authenticate);
@@ -15,6 +16,6 @@ router.get('/:id', staffController.getStaffById);
 router.post('/', checkRole([ROLES.ADMIN]), staffController.createStaff);
 router.put('/:id', checkRole([ROLES.ADMIN]), staffController.updateStaff);
 router.delete('/:id', checkRole([ROLES.ADMIN]), staffController.deleteStaff);
-router.patch('/:id/permissions', checkRole([ROLES.ADMIN]), staffController.updateStaffPermissions);
+router.patch('/:id/permissions', checkRole([ROLES.ADMIN]), validate(staffPermissionsValidation), staffController.updateStaffPermissions);
 
 module.exports = router;
\ No newline at end of file
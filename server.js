@@ -12,13 +12,20 @@ const authRoutes = require('./routes/authRoutes');
 const memberRoutes = require('./routes/memberRoutes');
 const batchRoutes = require('./routes/batchRoutes');
 const attendanceRoutes = require('./routes/attendanceRoutes');
+const kioskRoutes = require('./routes/kioskRoutes');
 const paymentRoutes = require('./routes/paymentRoutes');
+const chargeRoutes = require('./routes/chargeRoutes');
 const planRoutes = require('./routes/planRoutes');
 const serviceRoutes = require('./routes/serviceRoutes');
 const enquiryRoutes = require('./routes/enquiryRoutes');
 const staffRoutes = require('./routes/staffRoutes');
 const expenseRoutes = require('./routes/expenseRoutes');
 const reportRoutes = require('./routes/reportRoutes');
+const dashboardRoutes = require('./routes/dashboardRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const settingsRoutes = require('./routes/settingsRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const publicRoutes = require('./routes/publicRoutes');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
@@ -29,11 +36,14 @@ require('./tasks/scheduledTasks');
 // Initialize Express app
 const app = express();
 
+// Behind a proxy (e.g. Vercel) req.ip is the client's address from X-Forwarded-For
+app.set('trust proxy', 1);
+
 // Apply middleware
 app.use(cors({
   origin: '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Kiosk-Key']
 }));
 app.use(helmet());
 app.use(express.json({ limit: '50mb' }));
@@ -50,13 +60,20 @@ app.use('/api/auth', authRoutes);
 app.use('/api/members', memberRoutes);
 app.use('/api/batches', batchRoutes);
 app.use('/api/attendance', attendanceRoutes);
+app.use('/api/kiosk', kioskRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/charges', chargeRoutes);
 app.use('/api/plans', planRoutes);
 app.use('/api/services', serviceRoutes);
 app.use('/api/enquiries', enquiryRoutes);
 app.use('/api/staff', staffRoutes);
 app.use('/api/expenses', expenseRoutes);
 app.use('/api/reports', reportRoutes);
+app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/public', publicRoutes);
 
 // Root route
 app.get('/', (req, res) => {
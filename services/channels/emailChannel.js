@@ -0,0 +1,31 @@
+const { sendEmail } = require('../../utils/emailService');
+const { escapeHtml } = require('../../utils/helpers');
+
+/**
+ * Email channel, sent through the SMTP transport in utils/emailService
+ */
+module.exports = {
+  name: 'email',
+
+  /**
+   * @param {Object} member - Member row
+   * @returns {string|null} Email address
+   */
+  getRecipient: (member) => member.email || null,
+
+  /**
+   * @param {Object} message - Message to send
+   * @param {string} message.to - Email address
+   * @param {string} message.subject - Subject line
+   * @param {string} message.body - Plain text body
+   * @returns {Promise<string>} Provider message ID
+   */
+  send: ({ to, subject, body }) => {
+    return sendEmail({
+      to,
+      subject,
+      text: body,
+      html: escapeHtml(body).replace(/\n/g, '<br>')
+    });
+  }
+};
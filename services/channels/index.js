@@ -0,0 +1,34 @@
+const emailChannel = require('./emailChannel');
+const { createMessagingChannel } = require('./messagingChannel');
+
+/**
+ * Registered notification channels. A channel has a name, a
+ * getRecipient(member) that returns the address to send to (or null), and an
+ * async send({ to, subject, body }) that returns the provider's message ID.
+ */
+const channels = {
+  email: emailChannel,
+  whatsapp: createMessagingChannel('whatsapp'),
+  sms: createMessagingChannel('sms')
+};
+
+/**
+ * Register or replace a channel
+ * @param {Object} channel - Channel implementation
+ */
+const registerChannel = (channel) => {
+  channels[channel.name] = channel;
+};
+
+/**
+ * Get a channel by name
+ * @param {string} name - Channel name
+ * @returns {Object|undefined} Channel
+ */
+const getChannel = (name) => channels[name];
+
+module.exports = {
+  registerChannel,
+  getChannel,
+  CHANNELS: Object.keys(channels)
+};
@@ -0,0 +1,40 @@
+const { getMessagingProvider } = require('./messagingProviders');
+
+/**
+ * Normalise a phone number to E.164, assuming the default country code
+ * for numbers given without one
+ * @param {string} phone - Phone number
+ * @returns {string|null} E.164 phone number
+ */
+const toE164 = (phone) => {
+  if (!phone) {
+    return null;
+  }
+
+  const trimmed = String(phone).trim();
+  const digits = trimmed.replace(/\D/g, '');
+
+  if (!digits) {
+    return null;
+  }
+
+  if (trimmed.startsWith('+')) {
+    return `+${digits}`;
+  }
+
+  const countryCode = process.env.DEFAULT_COUNTRY_CODE || '91';
+  return digits.length > 10 ? `+${digits}` : `+${countryCode}${digits}`;
+};
+
+/**
+ * Build a phone-based channel (WhatsApp or SMS) on the configured provider
+ * @param {string} name - Channel name
+ * @returns {Object} Channel
+ */
+const createMessagingChannel = (name) => ({
+  name,
+  getRecipient: (member) => toE164(member.phone),
+  send: ({ to, body }) => getMessagingProvider().send({ channel: name, to, body })
+});
+
+module.exports = { createMessagingChannel, toE164 };
@@ -0,0 +1,71 @@
+const axios = require('axios');
+
+/**
+ * Local stub provider: logs messages instead of sending them.
+ * Used when no provider is configured outside production.
+ */
+const stubProvider = {
+  send: async ({ channel, to, body }) => {
+    const id = `stub-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    console.log(`[${channel} stub] to ${to}: ${body}`);
+    return id;
+  }
+};
+
+/**
+ * Twilio provider for SMS and WhatsApp
+ */
+const twilioProvider = {
+  send: async ({ channel, to, body }) => {
+    const accountSid = process.env.TWILIO_ACCOUNT_SID;
+    const from = channel === 'whatsapp'
+      ? `whatsapp:${process.env.TWILIO_WHATSAPP_FROM}`
+      : process.env.TWILIO_SMS_FROM;
+
+    const { data } = await axios.post(
+      `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+      new URLSearchParams({
+        From: from,
+        To: channel === 'whatsapp' ? `whatsapp:${to}` : to,
+        Body: body
+      }).toString(),
+      {
+        auth: {
+          username: accountSid,
+          password: process.env.TWILIO_AUTH_TOKEN
+        },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      }
+    );
+
+    return data.sid;
+  }
+};
+
+const providers = {
+  stub: stubProvider,
+  twilio: twilioProvider
+};
+
+/**
+ * Get the messaging provider configured by MESSAGING_PROVIDER. Without one,
+ * messages are only logged outside production; in production sending fails,
+ * so messages aren't recorded as sent when they never went out.
+ * @returns {Object} Provider with a send({ channel, to, body }) method
+ */
+const getMessagingProvider = () => {
+  if (!process.env.MESSAGING_PROVIDER && process.env.NODE_ENV === 'production') {
+    throw new Error('No messaging provider configured; set MESSAGING_PROVIDER to send WhatsApp and SMS messages');
+  }
+
+  const name = process.env.MESSAGING_PROVIDER || 'stub';
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown messaging provider: ${name}`);
+  }
+
+  return provider;
+};
+
+module.exports = { getMessagingProvider };
@@ -0,0 +1,159 @@
+const moment = require('moment');
+const { supabaseClient } = require('../config/supabase');
+const { getOutstandingDues } = require('./ledgerService');
+const { getGymSettings } = require('./settingsService');
+const { gymQuery } = require('./gymDataService');
+const { getToday, getZonedRange } = require('../utils/helpers');
+
+/**
+ * Months of history in the dashboard trends, including the current month
+ */
+const TREND_MONTHS = 12;
+
+/**
+ * Days ahead counted as expiring soon
+ */
+const EXPIRING_SOON_DAYS = 7;
+
+/**
+ * Count a gym's rows of a table matching a filter, without reading them
+ * @param {string} gym_id - Gym ID
+ * @param {string} table - Table
+ * @param {Function} [filter] - Adds conditions to the query
+ * @returns {Promise<number>} Count
+ */
+const countRows = async (gym_id, table, filter = query => query) => {
+  const { count, error } = await filter(gymQuery(gym_id, table, 'id', { count: 'exact', head: true }));
+
+  if (error) {
+    throw error;
+  }
+
+  return count || 0;
+};
+
+/**
+ * Put this month's figure next to last month's
+ * @param {number} thisMonth - This month
+ * @param {number} lastMonth - Last month
+ * @returns {Object} { this_month, last_month, change }
+ */
+const compareMonths = (thisMonth, lastMonth) => ({
+  this_month: thisMonth,
+  last_month: lastMonth,
+  change: thisMonth - lastMonth
+});
+
+/**
+ * Get everything the owner's home screen shows, for the gym's today: member
+ * counts, joins and churn, money in and out, dues, today's attendance,
+ * memberships expiring soon, open enquiries and monthly trends. Visits are
+ * members' visits, with trial visits counted apart. Counts are done in the
+ * database and the trends come from one call.
+ * @param {string} gym_id - Gym ID
+ * @returns {Promise<Object>} Dashboard
+ */
+const getGymDashboard = async (gym_id) => {
+  const settings = await getGymSettings(gym_id);
+  const todayDate = getToday(settings.timezone);
+  const today = moment.utc(todayDate);
+  const todayRange = getZonedRange(todayDate, todayDate, settings.timezone);
+
+  const [
+    active,
+    inactive,
+    frozen,
+    presentToday,
+    visitsToday,
+    trialVisitsToday,
+    inGym,
+    expiringSoon,
+    openEnquiries,
+    dues,
+    { data: trends, error: trendsError }
+  ] = await Promise.all([
+    countRows(gym_id, 'members', query => query.eq('status', 'active')),
+    countRows(gym_id, 'members', query => query.eq('status', 'inactive')),
+    countRows(gym_id, 'members', query => query.eq('status', 'frozen')),
+    countRows(gym_id, 'attendance', query => query.eq('date', todayDate).eq('status', 'present')),
+    countRows(gym_id, 'check_ins', query => query
+      .not('member_id', 'is', null)
+      .gte('checked_in_at', todayRange.start)
+      .lt('checked_in_at', todayRange.end)),
+    countRows(gym_id, 'check_ins', query => query
+      .not('trial_pass_id', 'is', null)
+      .gte('checked_in_at', todayRange.start)
+      .lt('checked_in_at', todayRange.end)),
+    countRows(gym_id, 'check_ins', query => query
+      .not('member_id', 'is', null)
+      .gte('checked_in_at', todayRange.start)
+      .lt('checked_in_at', todayRange.end)
+      .is('checked_out_at', null)),
+    countRows(gym_id, 'members', query => query
+      .eq('status', 'active')
+      .gte('plan_end_date', today.clone().startOf('day').toISOString())
+      .lte('plan_end_date', today.clone().add(EXPIRING_SOON_DAYS, 'days').endOf('day').toISOString())),
+    countRows(gym_id, 'enquiries', query => query.eq('status', 'open')),
+    getOutstandingDues(gym_id),
+    supabaseClient.rpc('gym_monthly_trends', { p_gym_id: gym_id, p_months: TREND_MONTHS })
+  ]);
+
+  if (trendsError) {
+    throw trendsError;
+  }
+
+  const months = trends.map(row => ({
+    month: moment.utc(row.month).format('YYYY-MM'),
+    new_members: row.new_members,
+    churned_members: row.churned_members,
+    collections: Number(row.collections) || 0,
+    expenses: Number(row.expenses) || 0,
+    visits: row.visits
+  }));
+  const thisMonth = months[months.length - 1];
+  const lastMonth = months[months.length - 2];
+
+  return {
+    as_of: todayDate,
+    timezone: settings.timezone,
+    currency: settings.currency,
+    members: {
+      active,
+      inactive,
+      frozen,
+      total: active + inactive + frozen
+    },
+    new_members: compareMonths(thisMonth.new_members, lastMonth.new_members),
+    churned_members: compareMonths(thisMonth.churned_members, lastMonth.churned_members),
+    collections: compareMonths(thisMonth.collections, lastMonth.collections),
+    expenses: compareMonths(thisMonth.expenses, lastMonth.expenses),
+    net: compareMonths(
+      thisMonth.collections - thisMonth.expenses,
+      lastMonth.collections - lastMonth.expenses
+    ),
+    dues,
+    attendance_today: {
+      present: presentToday,
+      visits: visitsToday,
+      trial_visits: trialVisitsToday,
+      in_gym: inGym
+    },
+    expiring_soon: {
+      days: EXPIRING_SOON_DAYS,
+      count: expiringSoon
+    },
+    open_enquiries: openEnquiries,
+    trends: {
+      months: months.map(row => row.month),
+      new_members: months.map(row => row.new_members),
+      churned_members: months.map(row => row.churned_members),
+      collections: months.map(row => row.collections),
+      expenses: months.map(row => row.expenses),
+      visits: months.map(row => row.visits)
+    }
+  };
+};
+
+module.exports = {
+  getGymDashboard
+};
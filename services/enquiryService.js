@@ -0,0 +1,149 @@
+const { supabaseClient } = require('../config/supabase');
+const { sendEmail } = require('../utils/emailService');
+const { escapeHtml } = require('../utils/helpers');
+
+/**
+ * Stages of the lead pipeline, in order. Won and lost close the enquiry.
+ */
+const ENQUIRY_STAGES = ['new', 'contacted', 'trial_booked', 'trial_done', 'negotiating', 'won', 'lost'];
+
+/**
+ * Where leads come from
+ */
+const ENQUIRY_SOURCES = ['walk_in', 'phone', 'website', 'instagram', 'facebook', 'google', 'flyer', 'referral', 'other'];
+
+/**
+ * Kinds of entries in an enquiry's activity timeline. The first group is
+ * recorded automatically; the rest are logged by staff.
+ */
+const ACTIVITY_TYPES = {
+  CREATED: 'created',
+  STAGE_CHANGED: 'stage_changed',
+  ASSIGNED: 'assigned',
+  CONVERTED: 'converted',
+  RESUBMITTED: 'resubmitted',
+  TRIAL_CREATED: 'trial_created',
+  TRIAL_VISIT: 'trial_visit',
+  TRIAL_ENDED: 'trial_ended',
+  TRIAL_CANCELLED: 'trial_cancelled',
+  FOLLOW_UP_SCHEDULED: 'follow_up_scheduled',
+  FOLLOW_UP_DONE: 'follow_up_done',
+  FOLLOW_UP_CANCELLED: 'follow_up_cancelled',
+  NOTE: 'note',
+  CALL: 'call',
+  EMAIL: 'email',
+  WHATSAPP: 'whatsapp',
+  VISIT: 'visit'
+};
+
+/**
+ * Activity types staff can log by hand
+ */
+const MANUAL_ACTIVITY_TYPES = [
+  ACTIVITY_TYPES.NOTE,
+  ACTIVITY_TYPES.CALL,
+  ACTIVITY_TYPES.EMAIL,
+  ACTIVITY_TYPES.WHATSAPP,
+  ACTIVITY_TYPES.VISIT
+];
+
+/**
+ * Add an entry to an enquiry's activity timeline
+ * @param {string} gym_id - Gym ID
+ * @param {string} enquiry_id - Enquiry ID
+ * @param {Object} activity - Activity (activity_type, from_stage, to_stage, note, details)
+ * @param {string} [created_by] - User who did it
+ * @returns {Promise<Object>} Logged activity
+ */
+const logEnquiryActivity = async (gym_id, enquiry_id, activity, created_by = null) => {
+  const { data, error } = await supabaseClient
+    .from('enquiry_activities')
+    .insert([{ ...activity, gym_id, enquiry_id, created_by }])
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * Find a gym user that leads and follow-ups can be assigned to
+ * @param {string} gym_id - Gym ID
+ * @param {string} user_id - User ID
+ * @returns {Promise<Object|null>} User (id, name, role), or null if not in the gym
+ */
+const getAssignableUser = async (gym_id, user_id) => {
+  const { data, error } = await supabaseClient
+    .from('users')
+    .select('id, name, role')
+    .eq('id', user_id)
+    .eq('gym_id', gym_id)
+    .in('role', ['admin', 'staff'])
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * Strip spaces and punctuation from a phone number so the same number
+ * written differently is found as a duplicate
+ * @param {string} phone - Phone number
+ * @returns {string} Digits, with a leading + if there was one
+ */
+const normalizePhone = (phone) => {
+  const digits = phone.replace(/\D/g, '');
+  return phone.trim().startsWith('+') ? `+${digits}` : digits;
+};
+
+/**
+ * Email someone who made an enquiry that it was received, in the gym's
+ * own wording if it has set one
+ * @param {string} gym_id - Gym ID
+ * @param {Object} settings - Gym settings
+ * @param {Object} enquiry - Enquiry (name, email)
+ * @returns {Promise<string>} Message ID
+ */
+const sendEnquiryAcknowledgement = async (gym_id, settings, enquiry) => {
+  const { data: gym, error } = await supabaseClient
+    .from('users')
+    .select('gym_name, phone')
+    .eq('id', gym_id)
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  const gymName = gym.gym_name || 'our gym';
+  const text = settings.enquiry_ack_message ||
+    `Thank you for your interest in ${gymName}. We have received your enquiry and will get back to you shortly.` +
+    (gym.phone ? ` You can also reach us on ${gym.phone}.` : '');
+
+  return sendEmail({
+    to: enquiry.email,
+    subject: `We received your enquiry - ${gymName}`,
+    text: `Hi ${enquiry.name},\n\n${text}`,
+    html: `
+      <p>Hi ${escapeHtml(enquiry.name)},</p>
+      <p>${escapeHtml(text).replace(/\n/g, '<br>')}</p>
+    `
+  });
+};
+
+module.exports = {
+  ENQUIRY_STAGES,
+  ENQUIRY_SOURCES,
+  ACTIVITY_TYPES,
+  MANUAL_ACTIVITY_TYPES,
+  logEnquiryActivity,
+  getAssignableUser,
+  normalizePhone,
+  sendEnquiryAcknowledgement
+};
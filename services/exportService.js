@@ -0,0 +1,319 @@
+const ExcelJS = require('exceljs');
+const { Parser } = require('json2csv');
+const { getGymSettings } = require('./settingsService');
+const { getGymProfile } = require('./gymDataService');
+const { generateTablePdf } = require('../utils/pdfGenerator');
+const { formatDate, formatMoney, getToday } = require('../utils/helpers');
+
+/**
+ * Formats a report can be exported in
+ */
+const EXPORT_FORMATS = ['csv', 'xlsx', 'pdf', 'json'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf',
+  json: 'application/json; charset=utf-8'
+};
+
+/**
+ * Pick the columns asked for with ?columns=, in the order they were asked for
+ * @param {Array<Object>} columns - Report columns
+ * @param {string} [requested] - Comma separated column keys
+ * @returns {Object} { columns } or { error } naming unknown keys
+ */
+const selectColumns = (columns, requested) => {
+  if (!requested) {
+    return { columns };
+  }
+
+  const keys = requested.split(',').map(key => key.trim()).filter(Boolean);
+  const unknown = keys.filter(key => !columns.some(column => column.key === key));
+
+  if (unknown.length > 0) {
+    return {
+      error: `Unknown columns: ${unknown.join(', ')}. Available columns: ${columns.map(column => column.key).join(', ')}`
+    };
+  }
+
+  return { columns: keys.map(key => columns.find(column => column.key === key)) };
+};
+
+/**
+ * Format a date cell. Calendar dates (YYYY-MM-DD, or stored as UTC midnight
+ * like plan end dates) are kept as they are; other times are taken in the
+ * gym's timezone.
+ * @param {string|Date} value - Date or time
+ * @param {string} timezone - Gym timezone
+ * @returns {string} Date as YYYY-MM-DD
+ */
+const formatCellDate = (value, timezone) => {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return value;
+  }
+
+  const date = new Date(value);
+  if (date.getTime() % (1000 * 60 * 60 * 24) === 0) {
+    return formatDate(date);
+  }
+
+  return formatDate(date, timezone);
+};
+
+/**
+ * Get a cell's value for data formats (CSV, JSON): dates as YYYY-MM-DD,
+ * everything else as is
+ * @param {Object} column - Column ({ key, type })
+ * @param {Object} row - Row
+ * @param {string} timezone - Gym timezone
+ * @returns {*} Value
+ */
+const getValue = (column, row, timezone) => {
+  const value = row[column.key];
+
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  if (column.type === 'date') {
+    return formatCellDate(value, timezone);
+  }
+
+  if (['money', 'number', 'percent'].includes(column.type)) {
+    return Number(value);
+  }
+
+  return value;
+};
+
+/**
+ * Get a cell's value for CSV. Text starting with a character that
+ * spreadsheets read as a formula is prefixed with a quote, so it is shown as
+ * text rather than run. Numbers and phone numbers such as +919876543210 are
+ * left alone.
+ * @param {*} value - Value from getValue
+ * @returns {*} Value
+ */
+const toCsvValue = (value) => {
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(value) && !/^[+-]?[\d\s().-]+$/.test(value)) {
+    return `'${value}`;
+  }
+
+  return value;
+};
+
+/**
+ * Get a cell's text for the PDF
+ * @param {Object} column - Column ({ key, type })
+ * @param {Object} row - Row
+ * @param {string} currency - Gym currency
+ * @param {string} timezone - Gym timezone
+ * @returns {string} Cell text
+ */
+const getText = (column, row, currency, timezone) => {
+  const value = getValue(column, row, timezone);
+
+  if (value === null) {
+    return '-';
+  }
+
+  if (column.type === 'money') {
+    return formatMoney(value, currency, 'code');
+  }
+
+  if (column.type === 'percent') {
+    return `${Math.round(value * 100) / 100}%`;
+  }
+
+  return String(value);
+};
+
+/**
+ * Render rows as CSV. Values with commas, quotes or line breaks are quoted
+ * and quotes inside them doubled.
+ * @param {Array<Object>} columns - Columns
+ * @param {Array<Object>} rows - Rows
+ * @param {string} timezone - Gym timezone
+ * @returns {string} CSV
+ */
+const toCsv = (columns, rows, timezone) => {
+  const parser = new Parser({
+    fields: columns.map(column => ({
+      label: column.key,
+      value: row => toCsvValue(getValue(column, row, timezone))
+    })),
+    defaultValue: '',
+    withBOM: true
+  });
+
+  return parser.parse(rows);
+};
+
+/**
+ * Render rows as an Excel workbook under the gym's name and the report title
+ * @param {Object} report - Report, with the gym, currency and columns to show
+ * @returns {Promise<Buffer>} XLSX contents
+ */
+const toXlsx = async ({ gym, title, subtitle, generatedAt, currency, timezone, columns, rows }) => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet(title.substring(0, 31));
+
+  worksheet.columns = columns.map(column => ({
+    key: column.key,
+    width: Math.max(12, Math.round((column.width || 1) * 14))
+  }));
+
+  worksheet.addRow([gym.gym_name || 'Gym']).font = { bold: true, size: 14 };
+  worksheet.addRow([title]).font = { bold: true, size: 12 };
+  worksheet.addRow([[subtitle, generatedAt].filter(Boolean).join(' | ')]);
+  worksheet.addRow([]);
+
+  const headerRow = worksheet.addRow(columns.map(column => column.header));
+  headerRow.font = { bold: true };
+  headerRow.alignment = { vertical: 'middle', horizontal: 'center' };
+
+  rows.forEach(row => {
+    worksheet.addRow(columns.map(column => getValue(column, row, timezone)));
+  });
+
+  // Show amounts in the gym's currency
+  columns.forEach((column, index) => {
+    if (column.type === 'money') {
+      worksheet.getColumn(index + 1).numFmt = `"${currency} "#,##0.00`;
+    }
+  });
+
+  worksheet.views = [{ state: 'frozen', ySplit: headerRow.number }];
+
+  return workbook.xlsx.writeBuffer();
+};
+
+/**
+ * Render a report in a format under the gym's name
+ * @param {Object} context - Gym profile and settings ({ gym, settings })
+ * @param {Object} report - Report ({ title, subtitle, columns, rows }), with
+ *   only the columns to show
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {Promise<string|Buffer>} File contents
+ */
+const renderReport = async ({ gym, settings }, { title, subtitle, columns, rows }, format) => {
+  const generatedAt = `Generated ${getToday(settings.timezone)} (${settings.timezone})`;
+
+  if (format === 'csv') {
+    return toCsv(columns, rows, settings.timezone);
+  }
+
+  if (format === 'xlsx') {
+    return toXlsx({
+      gym,
+      title,
+      subtitle,
+      generatedAt,
+      currency: settings.currency,
+      timezone: settings.timezone,
+      columns,
+      rows
+    });
+  }
+
+  if (format === 'pdf') {
+    return generateTablePdf({
+      gym,
+      title,
+      subtitle: [subtitle, generatedAt].filter(Boolean).join(' | '),
+      columns,
+      rows: rows.map(row => columns.map(column => getText(column, row, settings.currency, settings.timezone)))
+    });
+  }
+
+  return JSON.stringify({
+    gym: gym.gym_name,
+    title,
+    subtitle: subtitle || null,
+    generated_at: new Date().toISOString(),
+    timezone: settings.timezone,
+    currency: settings.currency,
+    columns: columns.map(({ key, header, type }) => ({ key, header, type: type || 'string' })),
+    rows: rows.map(row => columns.reduce((acc, column) => {
+      acc[column.key] = getValue(column, row, settings.timezone);
+      return acc;
+    }, {}))
+  }, null, 2);
+};
+
+/**
+ * Send a report as a file in the format asked for with ?format=, limited to
+ * the columns asked for with ?columns=. Without a format the caller's
+ * default is used.
+ * @param {Object} req - Express request (user, query.format, query.columns)
+ * @param {Object} res - Express response
+ * @param {Object} report - Report
+ * @param {string} report.filename - File name without extension
+ * @param {string} report.title - Report title
+ * @param {string} [report.subtitle] - Line under the title, e.g. the period
+ * @param {Array<Object>} report.columns - Columns ({ key, header, type, width });
+ *   type is 'string', 'number', 'money', 'percent' or 'date'
+ * @param {Array<Object>} report.rows - Rows keyed by column key
+ * @param {string} [report.defaultFormat] - Format when none is asked for
+ */
+const sendReport = async (req, res, { filename, title, subtitle, columns, rows, defaultFormat = 'json' }) => {
+  const format = req.query.format || defaultFormat;
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: `Format must be one of ${EXPORT_FORMATS.join(', ')}`
+    });
+  }
+
+  const selected = selectColumns(columns, req.query.columns);
+
+  if (selected.error) {
+    return res.status(400).json({
+      success: false,
+      message: selected.error
+    });
+  }
+
+  const gym_id = req.user.gym_id;
+  const [gym, settings] = await Promise.all([getGymProfile(gym_id), getGymSettings(gym_id)]);
+  const content = await renderReport({ gym, settings }, { title, subtitle, columns: selected.columns, rows }, format);
+
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+  res.send(content);
+};
+
+/**
+ * Render a report as a file outside a request, e.g. to attach to an email
+ * @param {string} gym_id - Gym ID
+ * @param {Object} report - Report, as for sendReport
+ * @param {Object} options - Options
+ * @param {string} options.format - One of EXPORT_FORMATS
+ * @param {Array<string>} [options.columns] - Column keys to include, all if empty
+ * @returns {Promise<Object>} File ({ filename, content, contentType })
+ */
+const buildReportFile = async (gym_id, { filename, title, subtitle, columns, rows }, { format, columns: keys }) => {
+  const selected = selectColumns(columns, (keys || []).join(','));
+
+  if (selected.error) {
+    throw new Error(selected.error);
+  }
+
+  const [gym, settings] = await Promise.all([getGymProfile(gym_id), getGymSettings(gym_id)]);
+  const content = await renderReport({ gym, settings }, { title, subtitle, columns: selected.columns, rows }, format);
+
+  return {
+    filename: `${filename}.${format}`,
+    content: typeof content === 'string' ? Buffer.from(content, 'utf8') : Buffer.from(content),
+    contentType: CONTENT_TYPES[format]
+  };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  selectColumns,
+  sendReport,
+  buildReportFile
+};
@@ -0,0 +1,101 @@
+const { supabaseClient } = require('../config/supabase');
+
+/**
+ * Start a select on one gym's rows of a table. Reports and exports read
+ * through here so a query can never leave out the gym filter.
+ * @param {string} gym_id - Gym ID
+ * @param {string} table - Table or view with a gym_id column
+ * @param {string} [columns] - Columns to select
+ * @param {Object} [options] - Select options, e.g. { count: 'exact' }
+ * @returns {Object} Supabase query builder, already filtered by gym
+ */
+const gymQuery = (gym_id, table, columns = '*', options) => {
+  if (!gym_id) {
+    throw new Error(`Gym is required to read ${table}`);
+  }
+
+  return supabaseClient
+    .from(table)
+    .select(columns, options)
+    .eq('gym_id', gym_id);
+};
+
+/**
+ * Rows the database returns per request at most
+ */
+const PAGE_SIZE = 1000;
+
+/**
+ * Read every row of a query, a page at a time, so results aren't cut off at
+ * the database's row limit
+ * @param {Function} buildQuery - Returns a new query builder for the rows,
+ *   ordered so pages don't overlap
+ * @returns {Promise<Array<Object>>} Rows
+ */
+const fetchAllRows = async (buildQuery) => {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    rows.push(...data);
+
+    if (data.length < PAGE_SIZE) {
+      return rows;
+    }
+  }
+};
+
+/**
+ * Find a member of a gym. Members of other gyms are not found.
+ * @param {string} gym_id - Gym ID
+ * @param {string} member_id - Member ID
+ * @param {string} [columns] - Columns to select
+ * @returns {Promise<Object|null>} Member, or null if not in the gym
+ */
+const findGymMember = async (gym_id, member_id, columns = '*') => {
+  const { data, error } = await gymQuery(gym_id, 'members', columns)
+    .eq('id', member_id)
+    .maybeSingle();
+
+  // A malformed ID is just a member that doesn't exist
+  if (error && error.code === '22P02') {
+    return null;
+  }
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * Get the gym's profile shown on receipts and report headers
+ * @param {string} gym_id - Gym ID
+ * @returns {Promise<Object>} Gym profile (gym_name, country, email, phone)
+ */
+const getGymProfile = async (gym_id) => {
+  const { data, error } = await supabaseClient
+    .from('users')
+    .select('gym_name, country, email, phone')
+    .eq('id', gym_id)
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+};
+
+module.exports = {
+  gymQuery,
+  fetchAllRows,
+  findGymMember,
+  getGymProfile
+};
@@ -0,0 +1,48 @@
+const memberStatusJob = require('./memberStatusJob');
+const remindersJob = require('./remindersJob');
+const staleVisitsJob = require('./staleVisitsJob');
+const trialFollowUpJob = require('./trialFollowUpJob');
+const reportEmailJob = require('./reportEmailJob');
+
+/**
+ * Registered background jobs. A job has a name, a description, a cron
+ * schedule, and an async run({ gym_id, now }) that returns what to record on
+ * the run ({ status, members_checked, members_updated, error, details }).
+ * Per-gym jobs (perGym: true) run once for each gym returned by
+ * getScheduledGymIds(now); other jobs run once for all gyms.
+ * maxAttempts and backoffSeconds control retries of failed runs.
+ */
+const jobs = {
+  [memberStatusJob.name]: memberStatusJob,
+  [remindersJob.name]: remindersJob,
+  [staleVisitsJob.name]: staleVisitsJob,
+  [trialFollowUpJob.name]: trialFollowUpJob,
+  [reportEmailJob.name]: reportEmailJob
+};
+
+/**
+ * Register or replace a job
+ * @param {Object} job - Job definition
+ */
+const registerJob = (job) => {
+  jobs[job.name] = job;
+};
+
+/**
+ * Get a job by name
+ * @param {string} name - Job name
+ * @returns {Object|undefined} Job
+ */
+const getJob = (name) => jobs[name];
+
+/**
+ * Get every registered job
+ * @returns {Array<Object>} Jobs
+ */
+const getJobs = () => Object.values(jobs);
+
+module.exports = {
+  registerJob,
+  getJob,
+  getJobs
+};
@@ -0,0 +1,43 @@
+const { supabaseClient } = require('../../config/supabase');
+const { checkGymMemberStatus } = require('../memberStatusService');
+const { getZonedParts } = require('../../utils/helpers');
+
+/**
+ * Nightly member status check for gyms that turned on automatic status
+ * changes, run at midnight in each gym's own timezone
+ */
+module.exports = {
+  name: 'member_status_check',
+  description: 'Apply the member status rules: freezes, expiry after the grace period, auto-renewal and reactivation',
+  schedule: '0 * * * *',
+  perGym: true,
+  maxAttempts: 3,
+  backoffSeconds: 300,
+
+  getScheduledGymIds: async (now) => {
+    const { data, error } = await supabaseClient
+      .from('gym_settings')
+      .select('gym_id, timezone')
+      .eq('auto_inactive_members', true);
+
+    if (error) {
+      throw error;
+    }
+
+    return data
+      .filter(settings => getZonedParts(now, settings.timezone || 'UTC').hour === 0)
+      .map(settings => settings.gym_id);
+  },
+
+  run: async ({ gym_id }) => {
+    const result = await checkGymMemberStatus(gym_id);
+
+    return {
+      status: result.errors.length > 0 ? 'partial' : 'succeeded',
+      members_checked: result.totalChecked,
+      members_updated: result.totalUpdated,
+      error: result.errors.length > 0 ? `${result.errors.length} members could not be updated` : null,
+      details: result
+    };
+  }
+};
@@ -0,0 +1,43 @@
+const { supabaseClient } = require('../../config/supabase');
+const { getGymSettings } = require('../settingsService');
+const { runGymReminders } = require('../notificationService');
+const { getZonedParts } = require('../../utils/helpers');
+
+/**
+ * Expiry, dues and birthday reminders, sent once a day at each gym's
+ * reminder hour in its own timezone
+ */
+module.exports = {
+  name: 'reminders',
+  description: 'Send expiry, dues and birthday reminders',
+  schedule: '0 * * * *',
+  perGym: true,
+  maxAttempts: 2,
+  backoffSeconds: 600,
+
+  getScheduledGymIds: async (now) => {
+    const { data, error } = await supabaseClient
+      .from('gym_settings')
+      .select('gym_id, timezone, reminder_hour')
+      .eq('reminders_enabled', true);
+
+    if (error) {
+      throw error;
+    }
+
+    return data
+      .filter(settings => getZonedParts(now, settings.timezone || 'UTC').hour === settings.reminder_hour)
+      .map(settings => settings.gym_id);
+  },
+
+  run: async ({ gym_id, now }) => {
+    const settings = await getGymSettings(gym_id);
+    const result = await runGymReminders(gym_id, settings, now);
+
+    return {
+      status: result.failed > 0 ? 'partial' : 'succeeded',
+      error: result.failed > 0 ? `${result.failed} reminders could not be sent` : null,
+      details: result
+    };
+  }
+};
@@ -0,0 +1,57 @@
+const { supabaseClient } = require('../../config/supabase');
+const { isSubscriptionDue, sendDueSubscriptions } = require('../reportSubscriptionService');
+
+/**
+ * Scheduled report emails, sent at each subscription's hour in the gym's
+ * own timezone
+ */
+module.exports = {
+  name: 'report_emails',
+  description: 'Email subscribed reports and digests',
+  schedule: '0 * * * *',
+  perGym: true,
+  maxAttempts: 3,
+  backoffSeconds: 600,
+
+  getScheduledGymIds: async (now) => {
+    const { data: subscriptions, error } = await supabaseClient
+      .from('report_subscriptions')
+      .select('gym_id, frequency, weekday, send_hour, last_period_end')
+      .eq('is_active', true);
+
+    if (error) {
+      throw error;
+    }
+
+    const gymIds = [...new Set(subscriptions.map(subscription => subscription.gym_id))];
+    if (gymIds.length === 0) {
+      return [];
+    }
+
+    const { data: settings, error: settingsError } = await supabaseClient
+      .from('gym_settings')
+      .select('gym_id, timezone')
+      .in('gym_id', gymIds);
+
+    if (settingsError) {
+      throw settingsError;
+    }
+
+    const timezones = new Map(settings.map(row => [row.gym_id, row.timezone]));
+
+    return gymIds.filter(gym_id => subscriptions.some(subscription =>
+      subscription.gym_id === gym_id &&
+      isSubscriptionDue(subscription, now, timezones.get(gym_id) || 'UTC')
+    ));
+  },
+
+  run: async ({ gym_id, now }) => {
+    const result = await sendDueSubscriptions(gym_id, now);
+
+    return {
+      status: result.errors.length > 0 ? 'partial' : 'succeeded',
+      error: result.errors.length > 0 ? `${result.errors.length} report emails could not be sent` : null,
+      details: result
+    };
+  }
+};
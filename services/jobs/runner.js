@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+const { supabaseClient } = require('../../config/supabase');
+const { getJob } = require('./index');
+
+/**
+ * Identifies this server instance as the holder of job locks
+ */
+const INSTANCE_ID = crypto.randomUUID();
+
+const DEFAULT_LOCK_SECONDS = 15 * 60;
+const DEFAULT_BACKOFF_SECONDS = 60;
+
+/**
+ * Keep renewing a lock while a run holds it, every third of its time to
+ * live, so a long run doesn't lose it to another instance
+ * @param {string} lockKey - Lock key
+ * @param {number} lockSeconds - Lock time to live
+ * @returns {Function} Stops renewing
+ */
+const keepLock = (lockKey, lockSeconds) => {
+  const timer = setInterval(async () => {
+    try {
+      const { data: renewed, error } = await supabaseClient
+        .rpc('renew_job_lock', { p_lock_key: lockKey, p_owner: INSTANCE_ID, p_ttl_seconds: lockSeconds });
+
+      if (error) {
+        throw error;
+      }
+
+      if (!renewed) {
+        console.error(`Job lock ${lockKey} was lost while its run was in progress`);
+      }
+    } catch (error) {
+      console.error(`Error renewing job lock ${lockKey}:`, error);
+    }
+  }, (lockSeconds * 1000) / 3);
+
+  // A renewal alone shouldn't keep the process running
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+/**
+ * Mark runs of a job that were left running as failed. Only called while
+ * holding the job's lock, and running runs renew it, so runs that started
+ * longer ago than the lock lasts are ones whose server stopped before
+ * recording how they ended.
+ * @param {Object} job - Job definition
+ * @param {string|null} gym_id - Gym ID, null for jobs that aren't per gym
+ * @param {number} lockSeconds - Lock time to live
+ */
+const failAbandonedRuns = async (job, gym_id, lockSeconds) => {
+  let query = supabaseClient
+    .from('job_runs')
+    .update({
+      status: 'failed',
+      error: 'The run stopped before it finished',
+      finished_at: new Date().toISOString()
+    })
+    .eq('job_name', job.name)
+    .eq('status', 'running')
+    .lt('started_at', new Date(Date.now() - lockSeconds * 1000).toISOString());
+
+  query = gym_id ? query.eq('gym_id', gym_id) : query.is('gym_id', null);
+
+  const { error } = await query;
+
+  if (error) {
+    console.error(`Error closing abandoned runs of job ${job.name} for ${gym_id || 'all gyms'}:`, error);
+  }
+};
+
+/**
+ * Run a job once for one gym (or for all gyms, for jobs that aren't per gym)
+ * and record the run. Runs already in progress elsewhere are skipped; failed
+ * runs with attempts left are given a retry time that doubles each attempt.
+ * Earlier runs left running by a server that stopped are marked failed.
+ * @param {Object} job - Job definition
+ * @param {Object} options - Run options
+ * @param {string|null} options.gym_id - Gym ID, null for jobs that aren't per gym
+ * @param {string} options.trigger - 'scheduled', 'external', 'manual' or 'retry'
+ * @param {string} [options.triggered_by] - User who started a manual run
+ * @param {number} [options.attempt] - Attempt number
+ * @param {string} [options.retry_of] - Failed run this run retries
+ * @param {Date} [options.now] - Time the run is for
+ * @returns {Promise<Object>} Recorded job run, or { status: 'skipped', reason }
+ */
+const runJobForGym = async (job, { gym_id, trigger, triggered_by = null, attempt = 1, retry_of = null, now = new Date() }) => {
+  const lockKey = `${job.name}:${gym_id || 'all'}`;
+  const lockSeconds = job.lockSeconds || DEFAULT_LOCK_SECONDS;
+  const maxAttempts = job.maxAttempts || 1;
+
+  const { data: locked, error: lockError } = await supabaseClient
+    .rpc('acquire_job_lock', {
+      p_lock_key: lockKey,
+      p_owner: INSTANCE_ID,
+      p_ttl_seconds: lockSeconds
+    });
+
+  if (lockError) {
+    throw lockError;
+  }
+
+  if (!locked) {
+    return { job_name: job.name, gym_id, status: 'skipped', reason: 'Already running' };
+  }
+
+  const stopKeepingLock = keepLock(lockKey, lockSeconds);
+
+  try {
+    await failAbandonedRuns(job, gym_id, lockSeconds);
+
+    const { data: run, error: runError } = await supabaseClient
+      .from('job_runs')
+      .insert([{
+        gym_id,
+        job_name: job.name,
+        trigger,
+        triggered_by,
+        attempt,
+        max_attempts: maxAttempts,
+        retry_of,
+        status: 'running'
+      }])
+      .select()
+      .single();
+
+    if (runError) {
+      throw runError;
+    }
+
+    let finish;
+
+    try {
+      const result = await job.run({ gym_id, now }) || {};
+      finish = {
+        status: result.status || 'succeeded',
+        members_checked: result.members_checked ?? null,
+        members_updated: result.members_updated ?? null,
+        error: result.error || null,
+        details: result.details || null
+      };
+    } catch (error) {
+      console.error(`Error running job ${job.name} for ${gym_id || 'all gyms'}:`, error);
+
+      const backoffSeconds = (job.backoffSeconds || DEFAULT_BACKOFF_SECONDS) * 2 ** (attempt - 1);
+      finish = {
+        status: 'failed',
+        error: error.message,
+        retry_at: attempt < maxAttempts
+          ? new Date(Date.now() + backoffSeconds * 1000).toISOString()
+          : null
+      };
+    }
+
+    const { data: finishedRun, error: finishError } = await supabaseClient
+      .from('job_runs')
+      .update({ ...finish, finished_at: new Date().toISOString() })
+      .eq('id', run.id)
+      .select()
+      .single();
+
+    if (finishError) {
+      console.error(`Error recording job run ${run.id}:`, finishError);
+      return { ...run, ...finish };
+    }
+
+    return finishedRun;
+  } finally {
+    stopKeepingLock();
+
+    const { error: releaseError } = await supabaseClient
+      .rpc('release_job_lock', { p_lock_key: lockKey, p_owner: INSTANCE_ID });
+
+    if (releaseError) {
+      console.error(`Error releasing job lock ${lockKey}:`, releaseError);
+    }
+  }
+};
+
+/**
+ * Run a job now. Per-gym jobs run for the given gym, or else for every gym
+ * the job is scheduled for at this time.
+ * @param {string} name - Job name
+ * @param {Object} [options] - Run options
+ * @param {string} [options.gym_id] - Only run for this gym
+ * @param {string} [options.trigger] - 'scheduled', 'external' or 'manual'
+ * @param {string} [options.triggered_by] - User who started a manual run
+ * @param {Date} [options.now] - Time the run is for
+ * @returns {Promise<Array<Object>>} Job runs, one per gym
+ */
+const runJob = async (name, { gym_id, trigger = 'scheduled', triggered_by = null, now = new Date() } = {}) => {
+  const job = getJob(name);
+
+  if (!job) {
+    throw new Error(`Unknown job ${name}`);
+  }
+
+  let gymIds = [null];
+  if (job.perGym) {
+    gymIds = gym_id ? [gym_id] : await job.getScheduledGymIds(now);
+  }
+
+  const runs = [];
+  for (const id of gymIds) {
+    try {
+      runs.push(await runJobForGym(job, { gym_id: id, trigger, triggered_by, now }));
+    } catch (error) {
+      console.error(`Error starting job ${name} for ${id || 'all gyms'}:`, error);
+      runs.push({ job_name: name, gym_id: id, status: 'failed', error: error.message });
+    }
+  }
+
+  return runs;
+};
+
+/**
+ * Retry failed runs whose retry time has come. Each failed run is retried
+ * once; the retry records its own run and, if it fails, its own retry time.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Array<Object>>} Job runs of the retries
+ */
+const runDueRetries = async (now = new Date()) => {
+  const { data: dueRuns, error } = await supabaseClient
+    .from('job_runs')
+    .select('id, job_name, gym_id, attempt, triggered_by')
+    .eq('status', 'failed')
+    .lte('retry_at', now.toISOString())
+    .order('retry_at', { ascending: true })
+    .limit(50);
+
+  if (error) {
+    throw error;
+  }
+
+  const runs = [];
+  for (const dueRun of dueRuns) {
+    const job = getJob(dueRun.job_name);
+
+    // Claim the retry so no other instance picks it up as well
+    const { data: claimed, error: claimError } = await supabaseClient
+      .from('job_runs')
+      .update({ retry_at: null })
+      .eq('id', dueRun.id)
+      .not('retry_at', 'is', null)
+      .select('id');
+
+    if (claimError) {
+      console.error(`Error claiming retry of job run ${dueRun.id}:`, claimError);
+      continue;
+    }
+
+    if (!job || claimed.length === 0) {
+      continue;
+    }
+
+    try {
+      const run = await runJobForGym(job, {
+        gym_id: dueRun.gym_id,
+        trigger: 'retry',
+        triggered_by: dueRun.triggered_by,
+        attempt: dueRun.attempt + 1,
+        retry_of: dueRun.id,
+        now
+      });
+
+      // The job is running elsewhere; try again on the next pass
+      if (run.status === 'skipped') {
+        await supabaseClient
+          .from('job_runs')
+          .update({ retry_at: now.toISOString() })
+          .eq('id', dueRun.id);
+      }
+
+      runs.push(run);
+    } catch (retryError) {
+      console.error(`Error retrying job run ${dueRun.id}:`, retryError);
+      runs.push({ job_name: dueRun.job_name, gym_id: dueRun.gym_id, status: 'failed', error: retryError.message });
+    }
+  }
+
+  return runs;
+};
+
+module.exports = {
+  runJob,
+  runDueRetries
+};
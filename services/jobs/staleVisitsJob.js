@@ -0,0 +1,27 @@
+const { supabaseClient } = require('../../config/supabase');
+
+/**
+ * Check out visits left open for too long, across every gym
+ */
+module.exports = {
+  name: 'close_stale_visits',
+  description: 'Check out visits left open longer than VISIT_AUTO_CLOSE_HOURS',
+  schedule: '0 * * * *',
+  perGym: false,
+  maxAttempts: 2,
+  backoffSeconds: 300,
+
+  run: async () => {
+    const maxHours = parseInt(process.env.VISIT_AUTO_CLOSE_HOURS, 10) || 4;
+    const { data: closedCount, error } = await supabaseClient
+      .rpc('auto_close_stale_visits', { p_max_hours: maxHours });
+
+    if (error) {
+      throw error;
+    }
+
+    return {
+      details: { max_hours: maxHours, closed: closedCount }
+    };
+  }
+};
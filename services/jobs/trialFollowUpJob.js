@@ -0,0 +1,38 @@
+const { supabaseClient } = require('../../config/supabase');
+const { endDueTrials } = require('../trialService');
+
+/**
+ * End trial passes that are over and schedule a follow-up for leads that
+ * haven't joined
+ */
+module.exports = {
+  name: 'trial_follow_ups',
+  description: 'End finished trial passes and schedule follow-ups for leads that did not join',
+  schedule: '0 * * * *',
+  perGym: true,
+  maxAttempts: 3,
+  backoffSeconds: 300,
+
+  getScheduledGymIds: async () => {
+    const { data, error } = await supabaseClient
+      .from('trial_passes')
+      .select('gym_id')
+      .eq('status', 'active');
+
+    if (error) {
+      throw error;
+    }
+
+    return [...new Set(data.map(trial => trial.gym_id))];
+  },
+
+  run: async ({ gym_id, now }) => {
+    const result = await endDueTrials(gym_id, now);
+
+    return {
+      status: result.errors.length > 0 ? 'partial' : 'succeeded',
+      error: result.errors.length > 0 ? `${result.errors.length} trial passes could not be ended` : null,
+      details: result
+    };
+  }
+};
@@ -0,0 +1,172 @@
+const { supabaseClient } = require('../config/supabase');
+
+/**
+ * Get a member's ledger: charges with open amounts, and overall balance
+ * @param {string} gym_id - Gym ID
+ * @param {string} member_id - Member ID
+ * @returns {Promise<Object>} Balance with charges
+ */
+const getMemberBalance = async (gym_id, member_id) => {
+  const { data: balance, error: balanceError } = await supabaseClient
+    .from('member_balances')
+    .select('member_id, total_charged, total_paid, balance')
+    .eq('gym_id', gym_id)
+    .eq('member_id', member_id)
+    .single();
+
+  if (balanceError) {
+    throw balanceError;
+  }
+
+  const { data: charges, error: chargesError } = await supabaseClient
+    .from('charge_balances')
+    .select('*')
+    .eq('gym_id', gym_id)
+    .eq('member_id', member_id)
+    .order('charge_date', { ascending: true });
+
+  if (chargesError) {
+    throw chargesError;
+  }
+
+  return {
+    member_id,
+    total_charged: Number(balance.total_charged) || 0,
+    total_paid: Number(balance.total_paid) || 0,
+    balance: Number(balance.balance) || 0,
+    due_amount: Math.max(0, Number(balance.balance) || 0),
+    charges
+  };
+};
+
+/**
+ * Get balances for many members at once
+ * @param {string} gym_id - Gym ID
+ * @param {Array<string>} memberIds - Member IDs
+ * @returns {Promise<Object>} Balances keyed by member ID
+ */
+const getMemberBalances = async (gym_id, memberIds) => {
+  if (memberIds.length === 0) {
+    return {};
+  }
+
+  const { data, error } = await supabaseClient
+    .from('member_balances')
+    .select('member_id, total_charged, total_paid, balance')
+    .eq('gym_id', gym_id)
+    .in('member_id', memberIds);
+
+  if (error) {
+    throw error;
+  }
+
+  return data.reduce((acc, row) => {
+    acc[row.member_id] = {
+      total_charged: Number(row.total_charged) || 0,
+      total_paid: Number(row.total_paid) || 0,
+      balance: Number(row.balance) || 0
+    };
+    return acc;
+  }, {});
+};
+
+/**
+ * Summarise what was billed, received and is still open over a period.
+ * Billed and due come from charges dated in the period, received from payments
+ * dated in the period net of refunds and voids. Without dates the whole ledger
+ * is summarised.
+ * @param {string} gym_id - Gym ID
+ * @param {Object} [options] - Filters
+ * @param {string} [options.start_date] - Period start (inclusive)
+ * @param {string} [options.end_date] - Period end (inclusive)
+ * @param {string} [options.member_id] - Limit to a single member
+ * @returns {Promise<Object>} Ledger summary
+ */
+const getLedgerSummary = async (gym_id, { start_date, end_date, member_id } = {}) => {
+  let chargeQuery = supabaseClient
+    .from('charge_balances')
+    .select('amount, open_amount')
+    .eq('gym_id', gym_id);
+
+  let paymentQuery = supabaseClient
+    .from('payments')
+    .select('amount_paid, payment_method, entry_type')
+    .eq('gym_id', gym_id);
+
+  if (member_id) {
+    chargeQuery = chargeQuery.eq('member_id', member_id);
+    paymentQuery = paymentQuery.eq('member_id', member_id);
+  }
+
+  if (start_date) {
+    chargeQuery = chargeQuery.gte('charge_date', start_date);
+    paymentQuery = paymentQuery.gte('payment_date', start_date);
+  }
+
+  if (end_date) {
+    chargeQuery = chargeQuery.lte('charge_date', end_date);
+    paymentQuery = paymentQuery.lte('payment_date', end_date);
+  }
+
+  const [{ data: charges, error: chargeError }, { data: payments, error: paymentError }] =
+    await Promise.all([chargeQuery, paymentQuery]);
+
+  if (chargeError) {
+    throw chargeError;
+  }
+
+  if (paymentError) {
+    throw paymentError;
+  }
+
+  const summary = charges.reduce((acc, charge) => {
+    acc.total_billed += Number(charge.amount) || 0;
+    acc.total_due += Math.max(0, Number(charge.open_amount) || 0);
+    return acc;
+  }, { total_billed: 0, total_received: 0, total_due: 0, total_refunded: 0, total_voided: 0, payment_methods: {} });
+
+  // Refunds and voids are negative entries, so received is net of them
+  payments.forEach(payment => {
+    const amount = Number(payment.amount_paid) || 0;
+    const method = payment.payment_method || 'cash';
+    summary.total_received += amount;
+    summary.payment_methods[method] = (summary.payment_methods[method] || 0) + amount;
+
+    if (payment.entry_type === 'refund') {
+      summary.total_refunded -= amount;
+    } else if (payment.entry_type === 'void') {
+      summary.total_voided -= amount;
+    }
+  });
+
+  return summary;
+};
+
+/**
+ * Get what members of a gym owe right now, across their whole ledger
+ * @param {string} gym_id - Gym ID
+ * @returns {Promise<Object>} Members who owe and the total they owe ({ members, total })
+ */
+const getOutstandingDues = async (gym_id) => {
+  const { data, error } = await supabaseClient
+    .from('member_balances')
+    .select('balance')
+    .eq('gym_id', gym_id)
+    .gt('balance', 0);
+
+  if (error) {
+    throw error;
+  }
+
+  return {
+    members: data.length,
+    total: data.reduce((sum, row) => sum + (Number(row.balance) || 0), 0)
+  };
+};
+
+module.exports = {
+  getMemberBalance,
+  getMemberBalances,
+  getLedgerSummary,
+  getOutstandingDues
+};
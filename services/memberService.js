@@ -0,0 +1,175 @@
+const { supabaseClient } = require('../config/supabase');
+const { getGymSettings } = require('./settingsService');
+const { getToday } = require('../utils/helpers');
+
+/**
+ * Create or update the admission and plan charges billed when a member joins
+ * @param {string} member_id - Member ID
+ * @param {string} gym_id - Gym ID
+ * @param {Object} fees - Joining fees
+ * @param {number} fees.admission_fees - Admission fee
+ * @param {string} [fees.plan_id] - Plan ID
+ * @param {number} fees.plan_price - Plan price before discount
+ * @param {number} fees.discount - Discount on the plan
+ * @param {string} [fees.created_by] - User billing the charges
+ */
+const syncJoiningCharges = async (member_id, gym_id, { admission_fees, plan_id, plan_price, discount, created_by }) => {
+  const { data: existingCharges, error: findError } = await supabaseClient
+    .from('charges')
+    .select('id, charge_type, source')
+    .eq('member_id', member_id)
+    .eq('gym_id', gym_id)
+    .in('source', ['joining', 'opening_balance']);
+
+  if (findError) {
+    throw findError;
+  }
+
+  // Members carried over from before the ledger already owe their joining fees
+  // through the opening balance; changes to those fees are refused before
+  // getting here (see hasOpeningBalance)
+  if (existingCharges.some(c => c.source === 'opening_balance')) {
+    return;
+  }
+
+  const joiningCharges = [
+    {
+      charge_type: 'admission',
+      description: 'Admission Fee',
+      amount: Math.max(0, admission_fees || 0),
+      plan_id: null
+    },
+    {
+      charge_type: 'plan',
+      description: 'Plan Fee',
+      amount: Math.max(0, plan_price - discount),
+      plan_id: plan_id || null
+    }
+  ];
+
+  for (const charge of joiningCharges) {
+    const existing = existingCharges.find(c => c.charge_type === charge.charge_type);
+
+    if (existing) {
+      const { error } = await supabaseClient
+        .from('charges')
+        .update({ ...charge, updated_at: new Date().toISOString() })
+        .eq('id', existing.id);
+
+      if (error) {
+        throw error;
+      }
+    } else if (charge.amount > 0) {
+      const { error } = await supabaseClient
+        .from('charges')
+        .insert([{ ...charge, member_id, gym_id, source: 'joining', created_by }]);
+
+      if (error) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Check whether a member was carried over from before the ledger, so their
+ * joining fees are part of an opening balance charge
+ * @param {string} member_id - Member ID
+ * @param {string} gym_id - Gym ID
+ * @returns {Promise<boolean>} Whether the member has an opening balance
+ */
+const hasOpeningBalance = async (member_id, gym_id) => {
+  const { count, error } = await supabaseClient
+    .from('charges')
+    .select('id', { count: 'exact', head: true })
+    .eq('member_id', member_id)
+    .eq('gym_id', gym_id)
+    .eq('source', 'opening_balance');
+
+  if (error) {
+    throw error;
+  }
+
+  return count > 0;
+};
+
+/**
+ * Bill a new member's joining charges and record the admission payment
+ * against them. Throws if either can't be written, so the caller can undo
+ * creating the member.
+ * @param {string} member_id - Member ID
+ * @param {string} gym_id - Gym ID
+ * @param {Object} admission - Admission details
+ * @param {number} [admission.admission_fees] - Admission fee
+ * @param {string} [admission.plan_id] - Plan ID
+ * @param {number} [admission.discount_value] - Discount on the plan
+ * @param {number} [admission.amount_paid] - Amount paid on joining
+ * @param {string} [admission.payment_method] - Payment method; the gym's default if not given
+ * @param {string} [admission.created_by] - User admitting the member
+ */
+const recordAdmission = async (member_id, gym_id, { admission_fees, plan_id, discount_value, amount_paid, payment_method, created_by }) => {
+  let plan_price = 0;
+  if (plan_id) {
+    const { data: planObj } = await supabaseClient
+      .from('plans')
+      .select('price')
+      .eq('id', plan_id)
+      .eq('gym_id', gym_id)
+      .single();
+    plan_price = Number(planObj?.price) || 0;
+  }
+  const paid = typeof amount_paid === 'number' ? amount_paid : 0;
+  const discount = typeof discount_value === 'number' ? discount_value : 0;
+
+  await syncJoiningCharges(member_id, gym_id, {
+    admission_fees,
+    plan_id,
+    plan_price,
+    discount,
+    created_by
+  });
+
+  const settings = await getGymSettings(gym_id);
+  const admissionPayment = {
+    member_id,
+    amount_paid: paid,
+    payment_date: getToday(settings.timezone),
+    payment_method: payment_method || settings.default_payment_method,
+    notes: 'Admission Fee',
+    gym_id,
+  };
+
+  const { error: paymentError } = await supabaseClient
+    .from('payments')
+    .insert([admissionPayment]);
+
+  if (paymentError) {
+    throw paymentError;
+  }
+};
+
+/**
+ * Delete a member that was just created, when what goes with it couldn't be
+ * recorded. Their charges and payments go with them. Failures are logged, so
+ * the caller can report the original error.
+ * @param {string} member_id - Member ID
+ * @param {string} gym_id - Gym ID
+ */
+const removeMember = async (member_id, gym_id) => {
+  const { error } = await supabaseClient
+    .from('members')
+    .delete()
+    .eq('id', member_id)
+    .eq('gym_id', gym_id);
+
+  if (error) {
+    console.error(`Error removing member ${member_id}:`, error);
+  }
+};
+
+module.exports = {
+  syncJoiningCharges,
+  hasOpeningBalance,
+  recordAdmission,
+  removeMember
+};
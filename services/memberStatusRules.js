@@ -0,0 +1,143 @@
+const { addDays, calculateExpiryDate } = require('../utils/helpers');
+
+/**
+ * Ways a gym can decide whether a member has paid for their plan
+ */
+const PAID_RULES = {
+  // The latest plan payment has no more than the tolerated due left on it
+  LATEST_PAYMENT: 'latest_payment',
+  // The member's ledger balance is no more than the tolerated due
+  BALANCE: 'balance'
+};
+
+/**
+ * Rules that can change a member's status
+ */
+const STATUS_RULES = {
+  FREEZE_STARTED: 'freeze_started',
+  FREEZE_ENDED: 'freeze_ended',
+  EXPIRED_UNPAID: 'expired_unpaid',
+  AUTO_RENEWED: 'auto_renewed',
+  REACTIVATED: 'reactivated'
+};
+
+/**
+ * Get a member's latest payment towards their plan. Admission fees, refunds,
+ * voids and voided payments don't count as paying for the plan.
+ * @param {Object} member - Member row with its payments
+ * @returns {Object|undefined} Latest plan payment
+ */
+const getLatestPlanPayment = (member) => {
+  return (member.payments || [])
+    .filter(p => p.notes !== 'Admission Fee' && p.entry_type === 'payment' && p.status !== 'voided')
+    .sort((a, b) => new Date(b.payment_date).getTime() - new Date(a.payment_date).getTime())[0];
+};
+
+/**
+ * Check whether a member counts as paid under the gym's paid rule
+ * @param {Object} member - Member row with its payments
+ * @param {Object} settings - Gym settings
+ * @param {Object} [balance] - Member's ledger balance, needed for the balance rule
+ * @returns {boolean} Whether the member has paid
+ */
+const isMemberPaid = (member, settings, balance) => {
+  const tolerance = Number(settings.paid_tolerance) || 0;
+
+  if (settings.paid_rule === PAID_RULES.BALANCE) {
+    return (balance?.balance || 0) <= tolerance;
+  }
+
+  const latestPayment = getLatestPlanPayment(member);
+  return Boolean(latestPayment) && Number(latestPayment.due_amount) <= tolerance;
+};
+
+/**
+ * Work out the status changes a member is due under the gym's rules.
+ * Nothing is written; the caller applies or reports the changes.
+ * @param {Object} member - Member row (id, status, plan_end_date, payments)
+ * @param {Object} context - Evaluation context
+ * @param {Date} context.today - Today in the gym's timezone
+ * @param {boolean} context.isFrozen - Whether the member is inside a freeze period
+ * @param {Object} context.settings - Gym settings
+ * @param {Object} [context.balance] - Member's ledger balance
+ * @param {Object} [context.plan] - Member's plan (duration_in_months)
+ * @returns {Array<Object>} Changes in order ({ rule, reason, updates })
+ */
+const evaluateMemberStatus = (member, { today, isFrozen, settings, balance, plan }) => {
+  const changes = [];
+  let status = member.status;
+
+  if (isFrozen) {
+    if (status !== 'frozen') {
+      changes.push({
+        rule: STATUS_RULES.FREEZE_STARTED,
+        reason: 'Freeze period started, set to frozen',
+        updates: { status: 'frozen' }
+      });
+    }
+    return changes;
+  }
+
+  if (status === 'frozen') {
+    status = 'active';
+    changes.push({
+      rule: STATUS_RULES.FREEZE_ENDED,
+      reason: 'Freeze period ended, set to active',
+      updates: { status }
+    });
+  }
+
+  if (!member.plan_end_date) {
+    return changes;
+  }
+
+  const planEndDate = new Date(member.plan_end_date);
+  const paid = isMemberPaid(member, settings, balance);
+
+  if (planEndDate >= today) {
+    if (status === 'inactive' && paid) {
+      changes.push({
+        rule: STATUS_RULES.REACTIVATED,
+        reason: 'All dues paid and plan valid, set to active',
+        updates: { status: 'active' }
+      });
+    }
+    return changes;
+  }
+
+  if (!paid) {
+    // Members with unpaid dues keep access until the grace period is over
+    const graceEndDate = addDays(planEndDate, settings.grace_period_days || 0);
+
+    if (graceEndDate < today && status !== 'inactive') {
+      changes.push({
+        rule: STATUS_RULES.EXPIRED_UNPAID,
+        reason: settings.grace_period_days > 0
+          ? 'Plan expired with unpaid dues past the grace period, set to inactive'
+          : 'Plan expired with unpaid dues, set to inactive',
+        updates: { status: 'inactive' }
+      });
+    }
+    return changes;
+  }
+
+  if (settings.auto_renew_paid_plans && plan?.duration_in_months) {
+    const newPlanEndDate = calculateExpiryDate(planEndDate, plan.duration_in_months);
+
+    changes.push({
+      rule: STATUS_RULES.AUTO_RENEWED,
+      reason: 'Plan extended after full payment, set to active',
+      updates: { plan_end_date: newPlanEndDate.toISOString(), status: 'active' }
+    });
+  }
+
+  return changes;
+};
+
+module.exports = {
+  PAID_RULES,
+  STATUS_RULES,
+  getLatestPlanPayment,
+  isMemberPaid,
+  evaluateMemberStatus
+};
@@ -0,0 +1,134 @@
+const { supabaseClient } = require('../config/supabase');
+const { getMemberBalances } = require('./ledgerService');
+const { getGymSettings } = require('./settingsService');
+const { PAID_RULES, evaluateMemberStatus } = require('./memberStatusRules');
+const { getToday } = require('../utils/helpers');
+
+/**
+ * Check every member of a gym against its status rules and apply the changes
+ * @param {string} gym_id - Gym ID
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.dryRun] - Return the changes without applying them
+ * @returns {Promise<Object>} Rules used, changes and counts
+ */
+const checkGymMemberStatus = async (gym_id, { dryRun = false } = {}) => {
+  const { data: members, error: membersError } = await supabaseClient
+    .from('members')
+    .select(`
+      id,
+      name,
+      status,
+      plan_id,
+      plan_end_date,
+      payments (
+        id,
+        amount_paid,
+        due_amount,
+        payment_date,
+        notes,
+        entry_type,
+        status
+      )
+    `)
+    .eq('gym_id', gym_id);
+
+  if (membersError) {
+    throw membersError;
+  }
+
+  // "Today" is the gym's local date; plan dates are calendar dates
+  const settings = await getGymSettings(gym_id);
+  const todayDate = getToday(settings.timezone);
+  const today = new Date(todayDate);
+  const updatedMembers = [];
+  const errors = [];
+
+  // Members inside a freeze period are neither expired nor active
+  const { data: freezes, error: freezesError } = await supabaseClient
+    .from('member_freezes')
+    .select('member_id')
+    .eq('gym_id', gym_id)
+    .eq('status', 'active')
+    .lte('start_date', todayDate)
+    .gte('end_date', todayDate);
+
+  if (freezesError) {
+    throw freezesError;
+  }
+
+  const frozenMemberIds = new Set(freezes.map(freeze => freeze.member_id));
+
+  const { data: plans, error: plansError } = await supabaseClient
+    .from('plans')
+    .select('id, duration_in_months')
+    .eq('gym_id', gym_id);
+
+  if (plansError) {
+    throw plansError;
+  }
+
+  const plansById = new Map(plans.map(plan => [plan.id, plan]));
+
+  const balances = settings.paid_rule === PAID_RULES.BALANCE
+    ? await getMemberBalances(gym_id, members.map(member => member.id))
+    : {};
+
+  for (const member of members) {
+    const changes = evaluateMemberStatus(member, {
+      today,
+      isFrozen: frozenMemberIds.has(member.id),
+      settings,
+      balance: balances[member.id],
+      plan: plansById.get(member.plan_id)
+    });
+
+    if (changes.length === 0) {
+      continue;
+    }
+
+    if (!dryRun) {
+      const updates = Object.assign({}, ...changes.map(change => change.updates));
+      const { error: updateError } = await supabaseClient
+        .from('members')
+        .update(updates)
+        .eq('id', member.id)
+        .eq('gym_id', gym_id);
+
+      if (updateError) {
+        console.error(`Error updating member ${member.id}:`, updateError);
+        errors.push({ id: member.id, name: member.name, error: updateError.message });
+        continue;
+      }
+    }
+
+    changes.forEach(change => {
+      updatedMembers.push({
+        id: member.id,
+        name: member.name,
+        rule: change.rule,
+        reason: change.reason,
+        from_status: member.status,
+        to_status: change.updates.status,
+        ...(change.updates.plan_end_date && { new_plan_end_date: change.updates.plan_end_date })
+      });
+    });
+  }
+
+  return {
+    dry_run: dryRun,
+    rules: {
+      grace_period_days: settings.grace_period_days,
+      auto_renew_paid_plans: settings.auto_renew_paid_plans,
+      paid_rule: settings.paid_rule,
+      paid_tolerance: settings.paid_tolerance
+    },
+    updatedMembers,
+    errors,
+    totalChecked: members.length,
+    totalUpdated: new Set(updatedMembers.map(change => change.id)).size
+  };
+};
+
+module.exports = {
+  checkGymMemberStatus
+};
@@ -0,0 +1,258 @@
+const { supabaseClient } = require('../config/supabase');
+const { getChannel } = require('./channels');
+const { gymQuery, fetchAllRows } = require('./gymDataService');
+const { EVENT_TYPES, DEFAULT_TEMPLATES, renderTemplate } = require('./notificationTemplates');
+const { addDays, countDaysInclusive, formatDate, formatMoney } = require('../utils/helpers');
+
+/**
+ * Get the template a gym uses for an event on a channel, falling back to
+ * the built-in default
+ * @param {string} gym_id - Gym ID
+ * @param {string} event_type - Event type
+ * @param {string} channel - Channel name
+ * @returns {Promise<Object>} Template ({ id, subject, body }); id is null for defaults
+ */
+const getTemplate = async (gym_id, event_type, channel) => {
+  const { data, error } = await supabaseClient
+    .from('notification_templates')
+    .select('id, subject, body')
+    .eq('gym_id', gym_id)
+    .eq('event_type', event_type)
+    .eq('channel', channel)
+    .eq('is_active', true)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return data || { id: null, ...DEFAULT_TEMPLATES[event_type] };
+};
+
+/**
+ * Render and send one message to a member, and log the result.
+ * Messages with a dedupe key that was already sent on the channel are skipped.
+ * @param {Object} options - Message options
+ * @param {string} options.gym_id - Gym ID
+ * @param {Object} options.member - Member row (id, name, phone, email)
+ * @param {string} options.event_type - Event type
+ * @param {string} options.channel - Channel name
+ * @param {Object} options.context - Template placeholder values
+ * @param {string} [options.dedupe_key] - Key identifying this message
+ * @returns {Promise<Object>} Logged notification, or { status: 'skipped', reason }
+ */
+const sendNotification = async ({ gym_id, member, event_type, channel, context, dedupe_key }) => {
+  const transport = getChannel(channel);
+
+  if (!transport) {
+    return { status: 'skipped', reason: `Unknown channel ${channel}` };
+  }
+
+  const recipient = transport.getRecipient(member);
+
+  if (!recipient) {
+    return { status: 'skipped', reason: `Member has no ${channel} address` };
+  }
+
+  if (dedupe_key) {
+    const { data: existing, error: existingError } = await supabaseClient
+      .from('notifications')
+      .select('id')
+      .eq('gym_id', gym_id)
+      .eq('channel', channel)
+      .eq('dedupe_key', dedupe_key)
+      .eq('status', 'sent')
+      .limit(1);
+
+    if (existingError) {
+      throw existingError;
+    }
+
+    if (existing.length > 0) {
+      return { status: 'skipped', reason: 'Already sent' };
+    }
+  }
+
+  const template = await getTemplate(gym_id, event_type, channel);
+  const subject = renderTemplate(template.subject, context);
+  const body = renderTemplate(template.body, context);
+
+  const log = {
+    gym_id,
+    member_id: member.id,
+    event_type,
+    channel,
+    recipient,
+    template_id: template.id,
+    subject,
+    body,
+    dedupe_key
+  };
+
+  try {
+    const providerMessageId = await transport.send({ to: recipient, subject, body });
+    Object.assign(log, {
+      status: 'sent',
+      provider_message_id: providerMessageId || null,
+      sent_at: new Date().toISOString()
+    });
+  } catch (sendError) {
+    Object.assign(log, {
+      status: 'failed',
+      error: sendError.message
+    });
+  }
+
+  const { data, error } = await supabaseClient
+    .from('notifications')
+    .insert([log])
+    .select()
+    .single();
+
+  if (error) {
+    console.error(`Error logging ${channel} notification for member ${member.id}:`, error);
+    return log;
+  }
+
+  return data;
+};
+
+/**
+ * Send the day's automated reminders for a gym: plan expiry ahead of time
+ * and on the day, and birthdays, to active members; outstanding dues to
+ * every member who owes, including those made inactive; on each enabled
+ * channel
+ * @param {string} gym_id - Gym ID
+ * @param {Object} settings - Gym's reminder settings from gym_settings
+ * @param {Date} [date] - Day to send reminders for
+ * @returns {Promise<Object>} Counts of sent, failed and skipped messages
+ */
+const runGymReminders = async (gym_id, settings, date = new Date()) => {
+  const today = formatDate(date, settings.timezone || 'UTC');
+  const result = { sent: 0, failed: 0, skipped: 0 };
+
+  const { data: gym, error: gymError } = await supabaseClient
+    .from('users')
+    .select('gym_name, phone')
+    .eq('id', gym_id)
+    .single();
+
+  if (gymError) {
+    throw gymError;
+  }
+
+  // Every member is loaded: expiry and birthday reminders go to active
+  // members, dues reminders to anyone who owes, whatever their status
+  const members = await fetchAllRows(() => gymQuery(gym_id, 'members', `
+      id,
+      name,
+      phone,
+      email,
+      dob,
+      status,
+      plan_end_date,
+      plans:plan_id(name)
+    `)
+    .order('id', { ascending: true }));
+
+  const debtors = settings.dues_reminder
+    ? await fetchAllRows(() => gymQuery(gym_id, 'member_balances', 'member_id, balance')
+      .gt('balance', 0)
+      .order('member_id', { ascending: true }))
+    : [];
+  const balances = new Map(debtors.map(row => [row.member_id, Number(row.balance) || 0]));
+
+  // Members reminded about dues within the interval are not reminded again yet
+  const recentlyReminded = new Set();
+  if (settings.dues_reminder) {
+    const { data: recent, error: recentError } = await supabaseClient
+      .from('notifications')
+      .select('member_id')
+      .eq('gym_id', gym_id)
+      .eq('event_type', EVENT_TYPES.DUES_REMINDER)
+      .eq('status', 'sent')
+      .gt('sent_at', addDays(date, -settings.dues_reminder_interval_days).toISOString());
+
+    if (recentError) {
+      throw recentError;
+    }
+
+    recent.forEach(row => recentlyReminded.add(row.member_id));
+  }
+
+  for (const member of members) {
+    const planEndDate = member.plan_end_date ? formatDate(member.plan_end_date) : null;
+    const daysRemaining = planEndDate ? countDaysInclusive(today, planEndDate) - 1 : null;
+    const dueAmount = balances.get(member.id) || 0;
+    const isActive = member.status === 'active';
+
+    const events = [];
+
+    if (isActive && planEndDate && (settings.expiry_reminder_days || []).includes(daysRemaining)) {
+      events.push({
+        event_type: EVENT_TYPES.EXPIRY_REMINDER,
+        dedupe_key: `${EVENT_TYPES.EXPIRY_REMINDER}:${member.id}:${planEndDate}:${daysRemaining}`
+      });
+    }
+
+    if (isActive && settings.expiry_day_reminder && daysRemaining === 0) {
+      events.push({
+        event_type: EVENT_TYPES.EXPIRY_DAY,
+        dedupe_key: `${EVENT_TYPES.EXPIRY_DAY}:${member.id}:${planEndDate}`
+      });
+    }
+
+    if (settings.dues_reminder && dueAmount > 0 && !recentlyReminded.has(member.id)) {
+      events.push({
+        event_type: EVENT_TYPES.DUES_REMINDER,
+        dedupe_key: `${EVENT_TYPES.DUES_REMINDER}:${member.id}:${today}`
+      });
+    }
+
+    if (isActive && settings.birthday_reminder && member.dob && formatDate(member.dob).slice(5) === today.slice(5)) {
+      events.push({
+        event_type: EVENT_TYPES.BIRTHDAY,
+        dedupe_key: `${EVENT_TYPES.BIRTHDAY}:${member.id}:${today.slice(0, 4)}`
+      });
+    }
+
+    if (events.length === 0) {
+      continue;
+    }
+
+    const context = {
+      member: { name: member.name, phone: member.phone, email: member.email },
+      plan: { name: member.plans?.name || '' },
+      plan_end_date: planEndDate,
+      days_remaining: daysRemaining,
+      due_amount: formatMoney(dueAmount, settings.currency),
+      gym: { name: gym.gym_name, phone: gym.phone }
+    };
+
+    for (const event of events) {
+      for (const channel of settings.reminder_channels || []) {
+        try {
+          const notification = await sendNotification({
+            gym_id,
+            member,
+            channel,
+            context,
+            ...event
+          });
+          result[notification.status]++;
+        } catch (error) {
+          console.error(`Error sending ${event.event_type} to member ${member.id}:`, error);
+          result.failed++;
+        }
+      }
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  getTemplate,
+  sendNotification,
+  runGymReminders
+};
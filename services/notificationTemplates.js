@@ -0,0 +1,78 @@
+/**
+ * Events that send reminders
+ */
+const EVENT_TYPES = {
+  EXPIRY_REMINDER: 'expiry_reminder',
+  EXPIRY_DAY: 'expiry_day',
+  DUES_REMINDER: 'dues_reminder',
+  BIRTHDAY: 'birthday'
+};
+
+/**
+ * Placeholders available in templates, resolved from the render context
+ */
+const PLACEHOLDERS = [
+  'member.name',
+  'member.phone',
+  'member.email',
+  'plan.name',
+  'plan_end_date',
+  'days_remaining',
+  'due_amount',
+  'gym.name',
+  'gym.phone'
+];
+
+/**
+ * Built-in templates, used when a gym has not set its own
+ */
+const DEFAULT_TEMPLATES = {
+  [EVENT_TYPES.EXPIRY_REMINDER]: {
+    subject: 'Your {{gym.name}} membership expires in {{days_remaining}} days',
+    body: 'Hi {{member.name}}, your {{plan.name}} membership at {{gym.name}} expires on {{plan_end_date}}. Renew now to keep training without a break.'
+  },
+  [EVENT_TYPES.EXPIRY_DAY]: {
+    subject: 'Your {{gym.name}} membership expires today',
+    body: 'Hi {{member.name}}, your {{plan.name}} membership at {{gym.name}} expires today ({{plan_end_date}}). Visit the front desk to renew.'
+  },
+  [EVENT_TYPES.DUES_REMINDER]: {
+    subject: 'Payment due at {{gym.name}}',
+    body: 'Hi {{member.name}}, you have {{due_amount}} outstanding at {{gym.name}}. Please clear your dues at your next visit.'
+  },
+  [EVENT_TYPES.BIRTHDAY]: {
+    subject: 'Happy birthday from {{gym.name}}!',
+    body: 'Happy birthday, {{member.name}}! Everyone at {{gym.name}} wishes you a great year ahead.'
+  }
+};
+
+const PLACEHOLDER_PATTERN = /{{\s*([\w.]+)\s*}}/g;
+
+/**
+ * Get the placeholders used in a template
+ * @param {string} text - Template text
+ * @returns {Array<string>} Placeholder names
+ */
+const getPlaceholders = (text) => {
+  return [...String(text || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+};
+
+/**
+ * Fill a template's placeholders from the context
+ * @param {string} text - Template text
+ * @param {Object} context - Values, e.g. { member: { name }, due_amount }
+ * @returns {string} Rendered text
+ */
+const renderTemplate = (text, context) => {
+  return String(text || '').replace(PLACEHOLDER_PATTERN, (_, path) => {
+    const value = path.split('.').reduce((acc, key) => (acc == null ? undefined : acc[key]), context);
+    return value === undefined || value === null ? '' : String(value);
+  });
+};
+
+module.exports = {
+  EVENT_TYPES,
+  PLACEHOLDERS,
+  DEFAULT_TEMPLATES,
+  getPlaceholders,
+  renderTemplate
+};
@@ -0,0 +1,740 @@
+const moment = require('moment');
+const { supabaseClient } = require('../config/supabase');
+const { getMemberBalances, getLedgerSummary, getOutstandingDues } = require('./ledgerService');
+const { getGymSettings } = require('./settingsService');
+const { gymQuery, fetchAllRows } = require('./gymDataService');
+const { addDays, formatDate, getToday, getZonedRange } = require('../utils/helpers');
+
+/**
+ * Columns shared by member lists and member profile exports
+ */
+const MEMBER_COLUMNS = [
+  { key: 'id', header: 'ID', width: 2 },
+  { key: 'name', header: 'Name', width: 1.5 },
+  { key: 'phone', header: 'Phone' },
+  { key: 'email', header: 'Email', width: 1.5 },
+  { key: 'dob', header: 'Date of Birth', type: 'date' },
+  { key: 'status', header: 'Status' },
+  { key: 'plan_end_date', header: 'Plan End Date', type: 'date' },
+  { key: 'plan_name', header: 'Plan' },
+  { key: 'plan_price', header: 'Plan Price', type: 'money' }
+];
+
+const CURRENCY_COLUMN = { key: 'currency', header: 'Currency' };
+
+/**
+ * Reports that can be built outside a request, for scheduled emails, and
+ * the columns each one exports
+ */
+const REPORT_COLUMNS = {
+  expiring_memberships: [...MEMBER_COLUMNS, { key: 'days_remaining', header: 'Days Remaining', type: 'number' }],
+  payment_status: [
+    { key: 'member_id', header: 'Member ID', width: 2 },
+    { key: 'member_name', header: 'Member', width: 1.5 },
+    { key: 'plan_name', header: 'Plan' },
+    { key: 'plan_price', header: 'Plan Price', type: 'money' },
+    { key: 'last_payment_date', header: 'Last Payment', type: 'date' },
+    { key: 'total_charged', header: 'Total Charged', type: 'money' },
+    { key: 'total_paid', header: 'Total Paid', type: 'money' },
+    { key: 'due_amount', header: 'Due', type: 'money' },
+    { key: 'payment_status', header: 'Payment Status' }
+  ],
+  attendance_summary: [
+    { key: 'member_id', header: 'Member ID', width: 2 },
+    { key: 'member_name', header: 'Member', width: 1.5 },
+    { key: 'batch_id', header: 'Batch ID', width: 2 },
+    { key: 'present_count', header: 'Present', type: 'number' },
+    { key: 'absent_count', header: 'Absent', type: 'number' },
+    { key: 'total_records', header: 'Records', type: 'number' },
+    { key: 'attendance_percentage', header: 'Attendance', type: 'percent' }
+  ],
+  financial_summary: [
+    { key: 'section', header: 'Section' },
+    { key: 'item', header: 'Item', width: 2 },
+    { key: 'amount', header: 'Amount', type: 'money' }
+  ]
+};
+
+const REPORT_TYPES = Object.keys(REPORT_COLUMNS);
+
+/**
+ * Days ahead the digest and scheduled expiring memberships report look
+ */
+const EXPIRING_WINDOW_DAYS = 7;
+
+/**
+ * Flatten a member with its plan into an export row
+ * @param {Object} member - Member with plans
+ * @param {Object} settings - Gym settings
+ * @returns {Object} Row
+ */
+const toMemberRow = (member, settings) => ({
+  ...member,
+  plan_name: member.plans?.name || '',
+  plan_price: member.plans?.price || 0,
+  currency: settings.currency
+});
+
+/**
+ * Get active members whose plan ends in a window of days from today, in the
+ * gym's timezone. Day 1 of the window is today.
+ * @param {string} gym_id - Gym ID
+ * @param {Object} days - Window ({ start, end }, in days from today)
+ * @returns {Promise<Object>} Members with days_remaining, and the export
+ */
+const getExpiringMembersReport = async (gym_id, days) => {
+  const settings = await getGymSettings(gym_id);
+  const today = moment.utc(getToday(settings.timezone));
+  const endDate = today.clone().add(days.end, 'days').endOf('day');
+  const startDate = today.clone().add(days.start - 1, 'days').startOf('day');
+
+  const { data: members, error } = await gymQuery(gym_id, 'members', `
+    *,
+    plans:plan_id (
+      id,
+      name,
+      price
+    )
+  `)
+    .eq('status', 'active')
+    .gte('plan_end_date', startDate.toISOString())
+    .lte('plan_end_date', endDate.toISOString())
+    .order('plan_end_date', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  // Calculate days remaining for each member
+  const membersWithDaysRemaining = members.map(member => ({
+    ...member,
+    days_remaining: moment.utc(member.plan_end_date).diff(today, 'days')
+  }));
+
+  return {
+    members: membersWithDaysRemaining,
+    export: {
+      filename: `expiring_memberships_${startDate.format('YYYY-MM-DD')}_${endDate.format('YYYY-MM-DD')}`,
+      title: 'Expiring Memberships',
+      subtitle: `${startDate.format('YYYY-MM-DD')} to ${endDate.format('YYYY-MM-DD')}`,
+      columns: REPORT_COLUMNS.expiring_memberships,
+      rows: membersWithDaysRemaining.map(member => toMemberRow(member, settings))
+    }
+  };
+};
+
+/**
+ * Get what each active member has been charged and paid, and what they owe
+ * @param {string} gym_id - Gym ID
+ * @returns {Promise<Object>} Summary, members and the export
+ */
+const getPaymentStatusReport = async (gym_id) => {
+  // Get all members with their plan and payment information
+  const { data: members, error: memberError } = await gymQuery(gym_id, 'members', `
+    id,
+    name,
+    plans:plan_id (
+      id,
+      name,
+      price
+    )
+  `)
+    .eq('status', 'active');
+
+  if (memberError) {
+    throw memberError;
+  }
+
+  // Get the last payment for each member
+  const memberIds = members.map(member => member.id);
+  const { data: payments, error: paymentError } = await gymQuery(gym_id, 'payments', 'member_id, amount_paid, total_amount, due_amount, payment_date')
+    .in('member_id', memberIds)
+    .eq('entry_type', 'payment')
+    .order('payment_date', { ascending: false });
+
+  if (paymentError) {
+    throw paymentError;
+  }
+
+  // Group payments by member
+  const paymentsByMember = payments.reduce((acc, payment) => {
+    if (!acc[payment.member_id]) {
+      acc[payment.member_id] = [];
+    }
+    acc[payment.member_id].push(payment);
+    return acc;
+  }, {});
+
+  // Dues come from the ledger balance rather than the last payment row
+  const balances = await getMemberBalances(gym_id, memberIds);
+  const settings = await getGymSettings(gym_id);
+
+  const report = members.map(member => {
+    const memberPayments = paymentsByMember[member.id] || [];
+    const lastPayment = memberPayments.length > 0 ? memberPayments[0] : null;
+    const balance = balances[member.id] || { total_charged: 0, total_paid: 0, balance: 0 };
+    const due_amount = Math.max(0, balance.balance);
+
+    return {
+      member_id: member.id,
+      member_name: member.name,
+      plan_name: member.plans?.name || 'No Plan',
+      plan_price: member.plans?.price || 0,
+      last_payment_date: lastPayment?.payment_date || null,
+      total_charged: balance.total_charged,
+      total_paid: balance.total_paid,
+      due_amount,
+      payment_status: balance.total_paid <= 0 ? 'no_payment' :
+                      due_amount > 0 ? 'partial' : 'paid'
+    };
+  });
+
+  // Summary statistics
+  const summary = {
+    currency: settings.currency,
+    total_members: report.length,
+    fully_paid: report.filter(item => item.payment_status === 'paid').length,
+    partial_payment: report.filter(item => item.payment_status === 'partial').length,
+    no_payment: report.filter(item => item.payment_status === 'no_payment').length,
+    total_dues: report.reduce((sum, item) => sum + item.due_amount, 0)
+  };
+
+  return {
+    summary,
+    members: report,
+    export: {
+      filename: 'payment_status',
+      title: 'Payment Status',
+      subtitle: `As of ${getToday(settings.timezone)}`,
+      columns: REPORT_COLUMNS.payment_status,
+      rows: report
+    }
+  };
+};
+
+/**
+ * Get each active member's attendance over a period
+ * @param {string} gym_id - Gym ID
+ * @param {Object} period - Period
+ * @param {string} period.start_date - Start date (inclusive)
+ * @param {string} period.end_date - End date (inclusive)
+ * @returns {Promise<Object>} Summary, members and the export
+ */
+const getAttendanceSummaryReport = async (gym_id, { start_date, end_date }) => {
+  // Get all active members
+  const { data: members, error: memberError } = await gymQuery(gym_id, 'members', 'id, name, batch_id')
+    .eq('status', 'active');
+
+  if (memberError) {
+    throw memberError;
+  }
+
+  // Get attendance records for the date range
+  const { data: attendance, error: attendanceError } = await gymQuery(gym_id, 'attendance', 'member_id, date, status')
+    .gte('date', start_date)
+    .lte('date', end_date)
+    .in('member_id', members.map(m => m.id));
+
+  if (attendanceError) {
+    throw attendanceError;
+  }
+
+  // Group attendance by member
+  const attendanceByMember = attendance.reduce((acc, record) => {
+    if (!acc[record.member_id]) {
+      acc[record.member_id] = {
+        present: 0,
+        absent: 0,
+        total: 0
+      };
+    }
+    acc[record.member_id][record.status]++;
+    acc[record.member_id].total++;
+    return acc;
+  }, {});
+
+  const report = members.map(member => {
+    const memberAttendance = attendanceByMember[member.id] || { present: 0, absent: 0, total: 0 };
+
+    return {
+      member_id: member.id,
+      member_name: member.name,
+      batch_id: member.batch_id,
+      present_count: memberAttendance.present,
+      absent_count: memberAttendance.absent,
+      total_records: memberAttendance.total,
+      attendance_percentage: memberAttendance.total > 0
+        ? (memberAttendance.present / memberAttendance.total) * 100
+        : 0
+    };
+  });
+
+  // Summary statistics
+  const summary = {
+    date_range: {
+      start_date,
+      end_date
+    },
+    total_members: members.length,
+    overall_attendance_percentage:
+      attendance.length > 0
+        ? (attendance.filter(a => a.status === 'present').length / attendance.length) * 100
+        : 0,
+    members_with_perfect_attendance: report.filter(r => r.attendance_percentage === 100 && r.total_records > 0).length,
+    members_with_poor_attendance: report.filter(r => r.attendance_percentage < 50 && r.total_records > 0).length
+  };
+
+  return {
+    summary,
+    members: report,
+    export: {
+      filename: `attendance_summary_${start_date}_${end_date}`,
+      title: 'Attendance Summary',
+      subtitle: `${start_date} to ${end_date}`,
+      columns: REPORT_COLUMNS.attendance_summary,
+      rows: report
+    }
+  };
+};
+
+/**
+ * Get revenue, expenses and net profit over a period
+ * @param {string} gym_id - Gym ID
+ * @param {Object} period - Period
+ * @param {string} period.start_date - Start date (inclusive)
+ * @param {string} period.end_date - End date (inclusive)
+ * @returns {Promise<Object>} Report data and the export
+ */
+const getFinancialSummaryReport = async (gym_id, { start_date, end_date }) => {
+  // Billed and due come from charges in the period, received from payments
+  const paymentStats = await getLedgerSummary(gym_id, { start_date, end_date });
+  const settings = await getGymSettings(gym_id);
+
+  // Get expenses for the period
+  const { data: expenses, error: expenseError } = await gymQuery(gym_id, 'expenses', 'amount, date, category')
+    .gte('date', start_date)
+    .lte('date', end_date);
+
+  if (expenseError) {
+    throw expenseError;
+  }
+
+  // Calculate expense statistics
+  const expenseStats = expenses.reduce((acc, expense) => {
+    acc.total_expenses += Number(expense.amount) || 0;
+
+    // Group by category
+    const category = expense.category || 'Uncategorized';
+    if (!acc.categories[category]) {
+      acc.categories[category] = 0;
+    }
+    acc.categories[category] += Number(expense.amount) || 0;
+
+    return acc;
+  }, {
+    total_expenses: 0,
+    categories: {}
+  });
+
+  // Calculate net profit
+  const net_profit = paymentStats.total_received - expenseStats.total_expenses;
+  const money = (section, item, amount) => ({ section, item, amount });
+
+  return {
+    data: {
+      period: {
+        start_date,
+        end_date
+      },
+      currency: settings.currency,
+      revenue: {
+        total_received: paymentStats.total_received,
+        total_billed: paymentStats.total_billed,
+        total_due: paymentStats.total_due,
+        total_refunded: paymentStats.total_refunded,
+        total_voided: paymentStats.total_voided,
+        payment_methods: Object.entries(paymentStats.payment_methods).map(([method, amount]) => ({
+          method,
+          amount
+        }))
+      },
+      expenses: {
+        total: expenseStats.total_expenses,
+        categories: Object.entries(expenseStats.categories).map(([category, amount]) => ({
+          category,
+          amount
+        }))
+      },
+      summary: {
+        net_profit,
+        collection_rate: paymentStats.total_billed > 0
+          ? (paymentStats.total_received / paymentStats.total_billed) * 100
+          : 0
+      }
+    },
+    export: {
+      filename: `financial_summary_${start_date}_${end_date}`,
+      title: 'Financial Summary',
+      subtitle: `${start_date} to ${end_date}`,
+      columns: REPORT_COLUMNS.financial_summary,
+      rows: [
+        money('Revenue', 'Total received', paymentStats.total_received),
+        money('Revenue', 'Total billed', paymentStats.total_billed),
+        money('Revenue', 'Total due', paymentStats.total_due),
+        money('Revenue', 'Total refunded', paymentStats.total_refunded),
+        money('Revenue', 'Total voided', paymentStats.total_voided),
+        ...Object.entries(paymentStats.payment_methods).map(([method, amount]) =>
+          money('Payment methods', method, amount)
+        ),
+        money('Expenses', 'Total expenses', expenseStats.total_expenses),
+        ...Object.entries(expenseStats.categories).map(([category, amount]) =>
+          money('Expense categories', category, amount)
+        ),
+        money('Summary', 'Net profit', net_profit)
+      ]
+    }
+  };
+};
+
+/**
+ * Average days in a month, for turning membership days into months
+ */
+const DAYS_PER_MONTH = 30.4375;
+
+/**
+ * Work out the periods a member held a membership: from joining to the end
+ * of the first plan, then each renewal. Periods that touch or overlap are
+ * merged, so a gap means the member lapsed before renewing. There is always
+ * at least one period.
+ * @param {Object} member - Member (join_date, plan_end_date)
+ * @param {Array<Object>} renewals - Member's renewals, oldest first
+ * @returns {Array<Object>} Periods ({ start, end } as YYYY-MM-DD), oldest first
+ */
+const getMembershipPeriods = (member, renewals) => {
+  const joinDate = formatDate(member.join_date);
+  const firstEnd = formatDate(renewals[0]?.previous_end_date || member.plan_end_date || member.join_date);
+  const periods = [
+    // A plan end recorded before the join date still leaves the join day, so
+    // every member has at least one period
+    { start: joinDate, end: firstEnd > joinDate ? firstEnd : joinDate },
+    ...renewals.map(renewal => ({ start: formatDate(renewal.start_date), end: formatDate(renewal.end_date) }))
+  ];
+
+  // Auto-renewals and freezes move the plan end without a renewal row
+  const last = periods[periods.length - 1];
+  if (member.plan_end_date && formatDate(member.plan_end_date) > last.end) {
+    last.end = formatDate(member.plan_end_date);
+  }
+
+  return periods
+    .filter(period => period.end >= period.start)
+    .sort((a, b) => a.start.localeCompare(b.start))
+    .reduce((merged, period) => {
+      const previous = merged[merged.length - 1];
+      if (previous && period.start <= formatDate(addDays(new Date(previous.end), 1))) {
+        previous.end = period.end > previous.end ? period.end : previous.end;
+      } else {
+        merged.push({ ...period });
+      }
+      return merged;
+    }, []);
+};
+
+/**
+ * Get member retention: how many of each month's joiners still held a
+ * membership in the months after, monthly churn, how long memberships last
+ * and what a member is worth over their lifetime on each plan. A member
+ * churns in the month their last membership ended, once that is before today
+ * and no renewal came after it, whatever their status.
+ * @param {string} gym_id - Gym ID
+ * @param {Object} period - Join months to follow as cohorts
+ * @param {string} period.start_date - Start date (inclusive)
+ * @param {string} period.end_date - End date (inclusive)
+ * @returns {Promise<Object>} Report data and the export
+ */
+const getRetentionReport = async (gym_id, { start_date, end_date }) => {
+  const settings = await getGymSettings(gym_id);
+  const today = getToday(settings.timezone);
+  const currentMonth = today.slice(0, 7);
+
+  // Every member and renewal is read, a page at a time, and revenue is
+  // totalled per member in the database
+  const [members, renewals, revenues, { data: plans, error: plansError }] = await Promise.all([
+    fetchAllRows(() => gymQuery(gym_id, 'members', 'id, join_date, plan_end_date, plan_id')
+      .lte('join_date', today)
+      .order('id', { ascending: true })),
+    fetchAllRows(() => gymQuery(gym_id, 'membership_renewals', 'member_id, previous_plan_id, previous_end_date, start_date, end_date')
+      .order('start_date', { ascending: true })
+      .order('id', { ascending: true })),
+    fetchAllRows(() => supabaseClient
+      .rpc('gym_member_revenue', { p_gym_id: gym_id })
+      .order('member_id', { ascending: true })),
+    gymQuery(gym_id, 'plans', 'id, name')
+  ]);
+
+  if (plansError) {
+    throw plansError;
+  }
+
+  const renewalsByMember = renewals.reduce((acc, renewal) => {
+    (acc[renewal.member_id] = acc[renewal.member_id] || []).push(renewal);
+    return acc;
+  }, {});
+
+  // Refunds and voids are negative entries, so revenue is net of them
+  const revenueByMember = revenues.reduce((acc, row) => {
+    acc[row.member_id] = Number(row.revenue) || 0;
+    return acc;
+  }, {});
+
+  const histories = members.map(member => {
+    const memberRenewals = renewalsByMember[member.id] || [];
+    const periods = getMembershipPeriods(member, memberRenewals);
+    const lastEnd = periods[periods.length - 1].end;
+    // Periods are merged, so the last one already includes every renewal
+    const churned = lastEnd < today;
+    const days = periods
+      .filter(period => period.start <= today)
+      .reduce((sum, period) => {
+        const end = period.end < today ? period.end : today;
+        return sum + moment.utc(end).diff(moment.utc(period.start), 'days') + 1;
+      }, 0);
+
+    return {
+      member,
+      periods,
+      churned,
+      churn_month: churned ? lastEnd.slice(0, 7) : null,
+      lifetime_months: days / DAYS_PER_MONTH,
+      // The plan the member joined on, before any renewal changed it
+      joined_plan_id: memberRenewals[0] ? memberRenewals[0].previous_plan_id : member.plan_id,
+      revenue: revenueByMember[member.id] || 0
+    };
+  });
+
+  const heldInMonth = (history, month) => {
+    const first = `${month}-01`;
+    const last = moment.utc(first).endOf('month').format('YYYY-MM-DD');
+    return history.periods.some(period => period.start <= last && period.end >= first);
+  };
+  const heldOn = (history, date) => history.periods.some(period => period.start <= date && period.end >= date);
+  const percentage = (count, total) => total > 0 ? (count / total) * 100 : 0;
+  const average = (values) => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+
+  const months = [];
+  for (
+    let month = moment.utc(start_date).startOf('month');
+    month.format('YYYY-MM') <= end_date.slice(0, 7) && month.format('YYYY-MM') <= currentMonth;
+    month.add(1, 'month')
+  ) {
+    months.push(month.format('YYYY-MM'));
+  }
+
+  // Month 0 is the month of joining; later months run up to the current one
+  const cohorts = months.map(month => {
+    const cohort = histories.filter(history => formatDate(history.member.join_date).slice(0, 7) === month);
+    const span = moment.utc(`${currentMonth}-01`).diff(moment.utc(`${month}-01`), 'months');
+
+    return {
+      cohort: month,
+      members: cohort.length,
+      retention: Array.from({ length: span + 1 }, (_, offset) => {
+        const retained = cohort.filter(history =>
+          heldInMonth(history, moment.utc(`${month}-01`).add(offset, 'months').format('YYYY-MM'))
+        ).length;
+        return { month: offset, retained, percentage: percentage(retained, cohort.length) };
+      })
+    };
+  });
+
+  const churn = months.map(month => {
+    const activeAtStart = histories.filter(history => heldOn(history, `${month}-01`)).length;
+    const churned = histories.filter(history => history.churn_month === month).length;
+    return { month, active_at_start: activeAtStart, churned, churn_rate: percentage(churned, activeAtStart) };
+  });
+
+  const plansById = new Map(plans.map(plan => [plan.id, plan]));
+  const planGroups = histories.reduce((acc, history) => {
+    const key = history.joined_plan_id || 'none';
+    (acc[key] = acc[key] || []).push(history);
+    return acc;
+  }, {});
+
+  const lifetime_value = Object.entries(planGroups)
+    .map(([plan_id, group]) => {
+      const revenue = group.reduce((sum, history) => sum + history.revenue, 0);
+      return {
+        plan_id: plan_id === 'none' ? null : plan_id,
+        plan_name: plansById.get(plan_id)?.name || 'No Plan',
+        members: group.length,
+        churned: group.filter(history => history.churned).length,
+        revenue,
+        lifetime_value: group.length > 0 ? revenue / group.length : 0,
+        average_lifetime_months: average(group.map(history => history.lifetime_months))
+      };
+    })
+    .sort((a, b) => b.lifetime_value - a.lifetime_value);
+
+  const churnedHistories = histories.filter(history => history.churned);
+  const maxOffset = cohorts.reduce((max, cohort) => Math.max(max, cohort.retention.length - 1), 0);
+  const range = `${months[0] || start_date.slice(0, 7)} to ${months[months.length - 1] || end_date.slice(0, 7)}`;
+
+  return {
+    data: {
+      period: { start_date, end_date },
+      currency: settings.currency,
+      cohorts,
+      churn: {
+        months: churn,
+        average_monthly_churn_rate: average(churn.map(row => row.churn_rate)),
+        total_churned: churn.reduce((sum, row) => sum + row.churned, 0)
+      },
+      lifetime: {
+        // Finished memberships only; current members are still adding to theirs
+        average_lifetime_months: average(churnedHistories.map(history => history.lifetime_months)),
+        average_tenure_months: average(
+          histories.filter(history => !history.churned).map(history => history.lifetime_months)
+        ),
+        churned_members: churnedHistories.length,
+        current_members: histories.length - churnedHistories.length
+      },
+      lifetime_value
+    },
+    export: {
+      filename: `retention_${start_date}_${end_date}`,
+      title: 'Member Retention',
+      subtitle: `Cohorts ${range}`,
+      columns: [
+        { key: 'cohort', header: 'Cohort' },
+        { key: 'members', header: 'Members', type: 'number' },
+        ...Array.from({ length: maxOffset + 1 }, (_, offset) => ({
+          key: `m${offset}`,
+          header: `Month ${offset}`,
+          type: 'percent'
+        }))
+      ],
+      rows: cohorts.map(cohort => cohort.retention.reduce((row, point) => {
+        row[`m${point.month}`] = point.percentage;
+        return row;
+      }, { cohort: cohort.cohort, members: cohort.members }))
+    }
+  };
+};
+
+/**
+ * Build a report's export for a period, for reports sent on a schedule.
+ * Expiring memberships look ahead from today and payment status is as of
+ * now; the others cover the period.
+ * @param {string} gym_id - Gym ID
+ * @param {string} report_type - One of REPORT_TYPES
+ * @param {Object} period - Period ({ start_date, end_date })
+ * @returns {Promise<Object>} Export ({ filename, title, subtitle, columns, rows })
+ */
+const buildReport = async (gym_id, report_type, period) => {
+  switch (report_type) {
+    case 'expiring_memberships':
+      return (await getExpiringMembersReport(gym_id, { start: 1, end: EXPIRING_WINDOW_DAYS })).export;
+    case 'payment_status':
+      return (await getPaymentStatusReport(gym_id)).export;
+    case 'attendance_summary':
+      return (await getAttendanceSummaryReport(gym_id, period)).export;
+    case 'financial_summary':
+      return (await getFinancialSummaryReport(gym_id, period)).export;
+    default:
+      throw new Error(`Unknown report ${report_type}`);
+  }
+};
+
+/**
+ * Get the headline numbers of a period for the digest email: members who
+ * joined, money collected, dues outstanding now, memberships about to expire
+ * and attendance, with trial visits apart from members' visits
+ * @param {string} gym_id - Gym ID
+ * @param {Object} period - Period
+ * @param {string} period.start_date - Start date (inclusive)
+ * @param {string} period.end_date - End date (inclusive)
+ * @returns {Promise<Object>} Digest
+ */
+const getDigest = async (gym_id, { start_date, end_date }) => {
+  const settings = await getGymSettings(gym_id);
+  const range = getZonedRange(start_date, end_date, settings.timezone);
+
+  const [
+    { data: newMembers, error: membersError },
+    { data: attendance, error: attendanceError },
+    { count: visits, error: visitsError },
+    { count: trialVisits, error: trialVisitsError }
+  ] = await Promise.all([
+    gymQuery(gym_id, 'members', 'id, name, join_date')
+      .gte('join_date', start_date)
+      .lte('join_date', end_date)
+      .order('join_date', { ascending: true }),
+    gymQuery(gym_id, 'attendance', 'member_id')
+      .eq('status', 'present')
+      .gte('date', start_date)
+      .lte('date', end_date),
+    gymQuery(gym_id, 'check_ins', 'id', { count: 'exact', head: true })
+      .not('member_id', 'is', null)
+      .gte('checked_in_at', range.start)
+      .lt('checked_in_at', range.end),
+    gymQuery(gym_id, 'check_ins', 'id', { count: 'exact', head: true })
+      .not('trial_pass_id', 'is', null)
+      .gte('checked_in_at', range.start)
+      .lt('checked_in_at', range.end)
+  ]);
+
+  const error = membersError || attendanceError || visitsError || trialVisitsError;
+  if (error) {
+    throw error;
+  }
+
+  const collections = await getLedgerSummary(gym_id, { start_date, end_date });
+  const dues = await getOutstandingDues(gym_id);
+  const expiring = await getExpiringMembersReport(gym_id, { start: 1, end: EXPIRING_WINDOW_DAYS });
+
+  return {
+    period: { start_date, end_date },
+    currency: settings.currency,
+    new_members: {
+      count: newMembers.length,
+      members: newMembers.map(({ id, name, join_date }) => ({ id, name, join_date }))
+    },
+    collections: {
+      total_received: collections.total_received,
+      total_refunded: collections.total_refunded,
+      payment_methods: collections.payment_methods
+    },
+    dues,
+    expiring_memberships: {
+      days: EXPIRING_WINDOW_DAYS,
+      count: expiring.members.length,
+      members: expiring.members.map(({ id, name, plan_end_date, days_remaining }) => ({
+        id,
+        name,
+        plan_end_date,
+        days_remaining
+      }))
+    },
+    attendance: {
+      present: attendance.length,
+      unique_members: new Set(attendance.map(record => record.member_id)).size,
+      visits: visits || 0,
+      trial_visits: trialVisits || 0
+    }
+  };
+};
+
+module.exports = {
+  MEMBER_COLUMNS,
+  CURRENCY_COLUMN,
+  REPORT_TYPES,
+  REPORT_COLUMNS,
+  toMemberRow,
+  getExpiringMembersReport,
+  getPaymentStatusReport,
+  getAttendanceSummaryReport,
+  getFinancialSummaryReport,
+  getRetentionReport,
+  buildReport,
+  getDigest
+};
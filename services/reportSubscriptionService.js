@@ -0,0 +1,245 @@
+const { supabaseClient } = require('../config/supabase');
+const { getGymSettings } = require('./settingsService');
+const { getGymProfile } = require('./gymDataService');
+const { buildReportFile } = require('./exportService');
+const { REPORT_TYPES, buildReport, getDigest } = require('./reportService');
+const { sendEmail } = require('../utils/emailService');
+const { addDays, escapeHtml, formatDate, formatMoney, getZonedParts } = require('../utils/helpers');
+
+/**
+ * What a subscription can send: the digest alone, or the digest with a report
+ * attached
+ */
+const SUBSCRIPTION_REPORT_TYPES = ['digest', ...REPORT_TYPES];
+
+const FREQUENCIES = ['daily', 'weekly'];
+
+/**
+ * Get the period a subscription covers when sent at a time: yesterday for
+ * daily ones, the seven days up to yesterday for weekly ones, in the gym's
+ * timezone
+ * @param {string} frequency - 'daily' or 'weekly'
+ * @param {Date} now - Time of sending
+ * @param {string} timezone - Gym timezone
+ * @returns {Object} Period ({ start_date, end_date })
+ */
+const getReportPeriod = (frequency, now, timezone) => {
+  const today = new Date(`${getZonedParts(now, timezone).date}T00:00:00.000Z`);
+  const end_date = formatDate(addDays(today, -1));
+  const start_date = frequency === 'weekly' ? formatDate(addDays(today, -7)) : end_date;
+
+  return { start_date, end_date };
+};
+
+/**
+ * Check whether a subscription should be sent now: its hour has come on a
+ * day it is sent, and its current period hasn't been sent yet. A send missed
+ * at its hour is caught up later the same day.
+ * @param {Object} subscription - Subscription
+ * @param {Date} now - Current time
+ * @param {string} timezone - Gym timezone
+ * @returns {boolean} Whether it is due
+ */
+const isSubscriptionDue = (subscription, now, timezone) => {
+  const parts = getZonedParts(now, timezone);
+
+  if (parts.hour < subscription.send_hour) {
+    return false;
+  }
+
+  if (subscription.frequency === 'weekly' && parts.weekday !== subscription.weekday) {
+    return false;
+  }
+
+  const { end_date } = getReportPeriod(subscription.frequency, now, timezone);
+  return subscription.last_period_end !== end_date;
+};
+
+/**
+ * Write the digest email
+ * @param {Object} gym - Gym profile
+ * @param {Object} digest - Digest from getDigest
+ * @param {string} frequency - 'daily' or 'weekly'
+ * @returns {Object} Email ({ subject, html, text })
+ */
+const renderDigestEmail = (gym, digest, frequency) => {
+  const gymName = gym.gym_name || 'Your gym';
+  const { start_date, end_date } = digest.period;
+  const periodLabel = start_date === end_date ? start_date : `${start_date} to ${end_date}`;
+  const money = (amount) => formatMoney(amount, digest.currency);
+
+  const sections = [
+    {
+      title: 'New members',
+      lines: [`${digest.new_members.count} joined`],
+      items: digest.new_members.members.map(member => `${member.name} (${member.join_date})`)
+    },
+    {
+      title: 'Collections',
+      lines: [
+        `${money(digest.collections.total_received)} received`,
+        ...Object.entries(digest.collections.payment_methods).map(([method, amount]) => `${method}: ${money(amount)}`)
+      ],
+      items: []
+    },
+    {
+      title: 'Dues',
+      lines: [`${money(digest.dues.total)} owed by ${digest.dues.members} members`],
+      items: []
+    },
+    {
+      title: `Expiring in the next ${digest.expiring_memberships.days} days`,
+      lines: [`${digest.expiring_memberships.count} memberships`],
+      items: digest.expiring_memberships.members.map(member => `${member.name} (${formatDate(member.plan_end_date)})`)
+    },
+    {
+      title: 'Attendance',
+      lines: [
+        `${digest.attendance.present} attendances by ${digest.attendance.unique_members} members`,
+        `${digest.attendance.visits} check-ins`,
+        `${digest.attendance.trial_visits} trial visits`
+      ],
+      items: []
+    }
+  ];
+
+  const subject = `${gymName} ${frequency} report: ${periodLabel}`;
+
+  const text = [
+    subject,
+    ...sections.map(section => [
+      '',
+      section.title,
+      ...section.lines,
+      ...section.items.map(item => `- ${item}`)
+    ].join('\n'))
+  ].join('\n');
+
+  const html = `
+    <h2>${escapeHtml(gymName)}</h2>
+    <p>${escapeHtml(frequency === 'weekly' ? 'Weekly' : 'Daily')} report for ${escapeHtml(periodLabel)}</p>
+    ${sections.map(section => `
+      <h3>${escapeHtml(section.title)}</h3>
+      <p>${section.lines.map(escapeHtml).join('<br>')}</p>
+      ${section.items.length > 0 ? `<ul>${section.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>` : ''}
+    `).join('')}
+  `;
+
+  return { subject, html, text };
+};
+
+/**
+ * Email a subscription's digest, with its report attached, for the period
+ * ending yesterday. Scheduled sends mark the period as sent; sends asked for
+ * by hand don't, so the scheduled one still goes out. The outcome is recorded
+ * on the subscription either way.
+ * @param {Object} subscription - Subscription
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now] - Time of sending
+ * @param {boolean} [options.scheduled] - Whether the scheduler is sending it
+ * @returns {Promise<Object>} What was sent ({ period, recipients, attachment, message_id })
+ */
+const sendSubscription = async (subscription, { now = new Date(), scheduled = false } = {}) => {
+  const gym_id = subscription.gym_id;
+
+  try {
+    const [gym, settings] = await Promise.all([getGymProfile(gym_id), getGymSettings(gym_id)]);
+    const period = getReportPeriod(subscription.frequency, now, settings.timezone);
+    const digest = await getDigest(gym_id, period);
+    const email = renderDigestEmail(gym, digest, subscription.frequency);
+
+    const attachments = [];
+    if (subscription.report_type !== 'digest') {
+      const report = await buildReport(gym_id, subscription.report_type, period);
+      attachments.push(await buildReportFile(gym_id, report, {
+        format: subscription.format,
+        columns: subscription.columns
+      }));
+    }
+
+    const message_id = await sendEmail({
+      to: subscription.recipients.join(', '),
+      subject: email.subject,
+      html: email.html,
+      text: email.text,
+      attachments
+    });
+
+    const { error } = await supabaseClient
+      .from('report_subscriptions')
+      .update({
+        last_sent_at: new Date().toISOString(),
+        last_error: null,
+        ...(scheduled && { last_period_end: period.end_date })
+      })
+      .eq('id', subscription.id)
+      .eq('gym_id', gym_id);
+
+    if (error) {
+      console.error(`Error recording send of report subscription ${subscription.id}:`, error);
+    }
+
+    return {
+      period,
+      recipients: subscription.recipients,
+      attachment: attachments[0]?.filename || null,
+      message_id
+    };
+  } catch (error) {
+    await supabaseClient
+      .from('report_subscriptions')
+      .update({ last_error: error.message })
+      .eq('id', subscription.id)
+      .eq('gym_id', gym_id);
+
+    throw error;
+  }
+};
+
+/**
+ * Send a gym's subscriptions that are due
+ * @param {string} gym_id - Gym ID
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Counts, what was sent and what failed
+ */
+const sendDueSubscriptions = async (gym_id, now) => {
+  const { data: subscriptions, error } = await supabaseClient
+    .from('report_subscriptions')
+    .select('*')
+    .eq('gym_id', gym_id)
+    .eq('is_active', true);
+
+  if (error) {
+    throw error;
+  }
+
+  const settings = await getGymSettings(gym_id);
+  const due = subscriptions.filter(subscription => isSubscriptionDue(subscription, now, settings.timezone));
+  const sent = [];
+  const errors = [];
+
+  for (const subscription of due) {
+    try {
+      sent.push({ id: subscription.id, ...(await sendSubscription(subscription, { now, scheduled: true })) });
+    } catch (sendError) {
+      console.error(`Error sending report subscription ${subscription.id}:`, sendError);
+      errors.push({ id: subscription.id, error: sendError.message });
+    }
+  }
+
+  return {
+    checked: subscriptions.length,
+    due: due.length,
+    sent,
+    errors
+  };
+};
+
+module.exports = {
+  SUBSCRIPTION_REPORT_TYPES,
+  FREQUENCIES,
+  getReportPeriod,
+  isSubscriptionDue,
+  sendSubscription,
+  sendDueSubscriptions
+};
@@ -0,0 +1,77 @@
+const { supabaseClient } = require('../config/supabase');
+
+/**
+ * Settings used for gyms that have not saved their own
+ */
+const DEFAULT_SETTINGS = {
+  auto_inactive_members: false,
+  reminders_enabled: false,
+  reminder_channels: ['email'],
+  expiry_reminder_days: [7, 3],
+  expiry_day_reminder: true,
+  dues_reminder: true,
+  dues_reminder_interval_days: 7,
+  birthday_reminder: false,
+  reminder_hour: 9,
+  currency: 'INR',
+  timezone: 'UTC',
+  grace_period_days: 0,
+  auto_renew_paid_plans: false,
+  paid_rule: 'latest_payment',
+  paid_tolerance: 0,
+  default_payment_method: 'cash',
+  receipt_prefix: 'RCP-',
+  public_enquiries_enabled: false,
+  public_enquiry_slug: null,
+  public_enquiry_key: null,
+  enquiry_duplicate_window_hours: 24,
+  enquiry_auto_ack: false,
+  enquiry_ack_message: null
+};
+
+/**
+ * Get a gym's settings, filling anything not saved with the defaults
+ * @param {string} gym_id - Gym ID
+ * @returns {Promise<Object>} Gym settings
+ */
+const getGymSettings = async (gym_id) => {
+  const { data, error } = await supabaseClient
+    .from('gym_settings')
+    .select('*')
+    .eq('gym_id', gym_id)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return { ...DEFAULT_SETTINGS, ...data, gym_id };
+};
+
+/**
+ * Save changes to a gym's settings
+ * @param {string} gym_id - Gym ID
+ * @param {Object} changes - Settings to change
+ * @returns {Promise<Object>} Updated gym settings
+ */
+const updateGymSettings = async (gym_id, changes) => {
+  const { data, error } = await supabaseClient
+    .from('gym_settings')
+    .upsert([{ ...changes, gym_id, updated_at: new Date().toISOString() }], {
+      onConflict: 'gym_id'
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return { ...DEFAULT_SETTINGS, ...data };
+};
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  getGymSettings,
+  updateGymSettings
+};
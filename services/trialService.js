@@ -0,0 +1,212 @@
+const { supabaseClient } = require('../config/supabase');
+const { getGymSettings } = require('./settingsService');
+const { ACTIVITY_TYPES, logEnquiryActivity } = require('./enquiryService');
+const { getToday } = require('../utils/helpers');
+
+/**
+ * Stages a lead moves on from to `trial_done` when its trial ends
+ */
+const PRE_TRIAL_STAGES = ['new', 'contacted', 'trial_booked'];
+
+/**
+ * Count the visits made on trial passes
+ * @param {string} gym_id - Gym ID
+ * @param {Array<string>} trialPassIds - Trial pass IDs
+ * @returns {Promise<Object>} Visit count and open visit by trial pass ID
+ */
+const getTrialVisits = async (gym_id, trialPassIds) => {
+  const visits = {};
+
+  if (trialPassIds.length === 0) {
+    return visits;
+  }
+
+  const { data, error } = await supabaseClient
+    .from('check_ins')
+    .select('id, trial_pass_id, checked_in_at, checked_out_at')
+    .eq('gym_id', gym_id)
+    .in('trial_pass_id', trialPassIds);
+
+  if (error) {
+    throw error;
+  }
+
+  trialPassIds.forEach(id => {
+    visits[id] = { visits_used: 0, open_visit_id: null };
+  });
+
+  data.forEach(visit => {
+    visits[visit.trial_pass_id].visits_used += 1;
+    if (!visit.checked_out_at) {
+      visits[visit.trial_pass_id].open_visit_id = visit.id;
+    }
+  });
+
+  return visits;
+};
+
+/**
+ * Close a lead's running (and, on conversion, ended) trials once the lead
+ * is won or lost
+ * @param {string} gym_id - Gym ID
+ * @param {string} enquiry_id - Enquiry ID
+ * @param {string} status - 'converted' or 'cancelled'
+ * @returns {Promise<void>}
+ */
+const closeEnquiryTrials = async (gym_id, enquiry_id, status) => {
+  const { error } = await supabaseClient
+    .from('trial_passes')
+    .update({ status, ended_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+    .eq('gym_id', gym_id)
+    .eq('enquiry_id', enquiry_id)
+    .in('status', status === 'converted' ? ['active', 'ended'] : ['active']);
+
+  if (error) {
+    throw error;
+  }
+};
+
+/**
+ * End a gym's trials that are over: past their end date, or with every visit
+ * used and the last one finished. Leads that haven't joined are moved to
+ * `trial_done` and get a follow-up task for their assignee.
+ * @param {string} gym_id - Gym ID
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} Trials checked, ended trials and errors
+ */
+const endDueTrials = async (gym_id, now = new Date()) => {
+  const settings = await getGymSettings(gym_id);
+  const today = getToday(settings.timezone);
+
+  const { data: trials, error } = await supabaseClient
+    .from('trial_passes')
+    .select(`
+      id,
+      end_date,
+      visit_limit,
+      enquiries(id, name, stage, status, member_id, assigned_to)
+    `)
+    .eq('gym_id', gym_id)
+    .eq('status', 'active');
+
+  if (error) {
+    throw error;
+  }
+
+  const visits = await getTrialVisits(gym_id, trials.map(trial => trial.id));
+  const ended = [];
+  const errors = [];
+
+  for (const trial of trials) {
+    const trialVisits = visits[trial.id];
+    let reason = null;
+
+    if (trial.end_date < today) {
+      reason = 'expired';
+    } else if (trial.visit_limit && trialVisits.visits_used >= trial.visit_limit && !trialVisits.open_visit_id) {
+      reason = 'visits_used';
+    }
+
+    if (!reason) {
+      continue;
+    }
+
+    const enquiry = trial.enquiries;
+    const joined = Boolean(enquiry.member_id);
+
+    try {
+      const { error: endError } = await supabaseClient
+        .from('trial_passes')
+        .update({
+          status: joined ? 'converted' : 'ended',
+          end_reason: reason,
+          ended_at: now.toISOString(),
+          updated_at: now.toISOString()
+        })
+        .eq('id', trial.id)
+        .eq('status', 'active');
+
+      if (endError) {
+        throw endError;
+      }
+
+      await logEnquiryActivity(gym_id, enquiry.id, {
+        activity_type: ACTIVITY_TYPES.TRIAL_ENDED,
+        details: { trial_pass_id: trial.id, reason, visits_used: trialVisits.visits_used }
+      });
+
+      let followUp = null;
+
+      if (!joined && enquiry.status === 'open') {
+        if (PRE_TRIAL_STAGES.includes(enquiry.stage)) {
+          const { error: stageError } = await supabaseClient
+            .from('enquiries')
+            .update({ stage: 'trial_done', updated_at: now.toISOString() })
+            .eq('id', enquiry.id)
+            .eq('gym_id', gym_id);
+
+          if (stageError) {
+            throw stageError;
+          }
+
+          await logEnquiryActivity(gym_id, enquiry.id, {
+            activity_type: ACTIVITY_TYPES.STAGE_CHANGED,
+            from_stage: enquiry.stage,
+            to_stage: 'trial_done',
+            note: 'Trial ended'
+          });
+        }
+
+        const note = `Trial ended (${reason === 'expired' ? 'trial period over' : 'all visits used'}) without joining. Follow up on membership.`;
+        const { data: createdFollowUp, error: followUpError } = await supabaseClient
+          .from('enquiry_follow_ups')
+          .insert([{
+            gym_id,
+            enquiry_id: enquiry.id,
+            due_at: now.toISOString(),
+            note,
+            assigned_to: enquiry.assigned_to
+          }])
+          .select('id')
+          .single();
+
+        if (followUpError) {
+          throw followUpError;
+        }
+
+        followUp = createdFollowUp;
+
+        await logEnquiryActivity(gym_id, enquiry.id, {
+          activity_type: ACTIVITY_TYPES.FOLLOW_UP_SCHEDULED,
+          note,
+          details: { follow_up_id: followUp.id, due_at: now.toISOString(), trial_pass_id: trial.id }
+        });
+      }
+
+      ended.push({
+        id: trial.id,
+        enquiry_id: enquiry.id,
+        name: enquiry.name,
+        reason,
+        visits_used: trialVisits.visits_used,
+        follow_up_id: followUp ? followUp.id : null
+      });
+    } catch (trialError) {
+      console.error(`Error ending trial pass ${trial.id}:`, trialError);
+      errors.push({ id: trial.id, enquiry_id: enquiry.id, error: trialError.message });
+    }
+  }
+
+  return {
+    today,
+    checked: trials.length,
+    ended,
+    errors
+  };
+};
+
+module.exports = {
+  getTrialVisits,
+  closeEnquiryTrials,
+  endDueTrials
+};
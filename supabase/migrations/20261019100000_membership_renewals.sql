@@ -0,0 +1,118 @@
+/*
+  # Membership renewals
+
+  1. Tables
+     - `membership_renewals` - One row per renewal, linking the member, the plan
+       period that was booked and the payment recorded for it
+
+  2. Functions
+     - `renew_membership` - Records the renewal payment, moves the member onto the
+       new plan period and stores the renewal row in a single transaction
+*/
+
+CREATE TABLE IF NOT EXISTS membership_renewals (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  gym_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  member_id UUID NOT NULL REFERENCES members(id) ON DELETE CASCADE,
+  previous_plan_id UUID REFERENCES plans(id) ON DELETE SET NULL,
+  plan_id UUID NOT NULL REFERENCES plans(id),
+  start_mode TEXT NOT NULL CHECK (start_mode IN ('today', 'plan_end')),
+  previous_end_date TIMESTAMPTZ,
+  start_date TIMESTAMPTZ NOT NULL,
+  end_date TIMESTAMPTZ NOT NULL,
+  plan_price DECIMAL(10, 2) NOT NULL,
+  discount_value DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  total_amount DECIMAL(10, 2) NOT NULL,
+  amount_paid DECIMAL(10, 2) NOT NULL,
+  due_amount DECIMAL(10, 2) NOT NULL,
+  payment_id UUID REFERENCES payments(id) ON DELETE SET NULL,
+  renewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_membership_renewals_member
+  ON membership_renewals (gym_id, member_id, created_at DESC);
+
+ALTER TABLE membership_renewals ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can view membership renewals"
+  ON membership_renewals
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Admin and staff can create membership renewals"
+  ON membership_renewals
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (EXISTS (
+    SELECT 1 FROM users WHERE id = auth.uid() AND role IN ('admin', 'staff')
+  ));
+
+-- Book a renewal payment and extend the member's plan atomically
+CREATE OR REPLACE FUNCTION renew_membership(
+  p_gym_id UUID,
+  p_member_id UUID,
+  p_plan_id UUID,
+  p_start_mode TEXT,
+  p_start_date TIMESTAMPTZ,
+  p_end_date TIMESTAMPTZ,
+  p_plan_price NUMERIC,
+  p_discount_value NUMERIC,
+  p_amount_paid NUMERIC,
+  p_payment_method TEXT,
+  p_notes TEXT,
+  p_renewed_by UUID
+)
+RETURNS membership_renewals AS $$
+DECLARE
+  v_member members%ROWTYPE;
+  v_total NUMERIC;
+  v_due NUMERIC;
+  v_payment_id UUID;
+  v_renewal membership_renewals%ROWTYPE;
+BEGIN
+  SELECT * INTO v_member
+  FROM members
+  WHERE id = p_member_id AND gym_id = p_gym_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Member not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  v_total := GREATEST(p_plan_price - COALESCE(p_discount_value, 0), 0);
+  v_due := GREATEST(v_total - p_amount_paid, 0);
+
+  INSERT INTO payments (
+    member_id, amount_paid, total_amount, due_amount,
+    payment_date, payment_method, notes, gym_id
+  )
+  VALUES (
+    p_member_id, p_amount_paid, v_total, v_due,
+    CURRENT_DATE, COALESCE(p_payment_method, 'cash'), COALESCE(p_notes, 'Plan Renewal'), p_gym_id
+  )
+  RETURNING id INTO v_payment_id;
+
+  UPDATE members
+  SET plan_id = p_plan_id,
+      plan_end_date = p_end_date,
+      status = 'active',
+      updated_at = now()
+  WHERE id = p_member_id;
+
+  INSERT INTO membership_renewals (
+    gym_id, member_id, previous_plan_id, plan_id, start_mode,
+    previous_end_date, start_date, end_date, plan_price, discount_value,
+    total_amount, amount_paid, due_amount, payment_id, renewed_by
+  )
+  VALUES (
+    p_gym_id, p_member_id, v_member.plan_id, p_plan_id, p_start_mode,
+    v_member.plan_end_date, p_start_date, p_end_date, p_plan_price, COALESCE(p_discount_value, 0),
+    v_total, p_amount_paid, v_due, v_payment_id, p_renewed_by
+  )
+  RETURNING * INTO v_renewal;
+
+  RETURN v_renewal;
+END;
+$$ LANGUAGE plpgsql;
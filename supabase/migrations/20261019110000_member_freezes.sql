@@ -0,0 +1,52 @@
+/*
+  # Membership freezes
+
+  1. Tables
+     - `member_freezes` - Periods during which a member's plan is paused. The
+       member's `plan_end_date` is pushed out by `frozen_days` when the freeze
+       is created and pulled back by the unused days if it is cancelled
+
+  2. Changes
+     - Allow `frozen` as a member status
+*/
+
+CREATE TABLE IF NOT EXISTS member_freezes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  gym_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  member_id UUID NOT NULL REFERENCES members(id) ON DELETE CASCADE,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  frozen_days INTEGER NOT NULL,
+  reason TEXT,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'cancelled')),
+  approved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  cancelled_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  CHECK (end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_member_freezes_member
+  ON member_freezes (gym_id, member_id, start_date);
+
+ALTER TABLE member_freezes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can view member freezes"
+  ON member_freezes
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Admin and staff can manage member freezes"
+  ON member_freezes
+  FOR ALL
+  TO authenticated
+  USING (EXISTS (
+    SELECT 1 FROM users WHERE id = auth.uid() AND role IN ('admin', 'staff')
+  ));
+
+-- Allow frozen as a member status
+ALTER TABLE members DROP CONSTRAINT IF EXISTS members_status_check;
+ALTER TABLE members
+ADD CONSTRAINT members_status_check
+  CHECK (status IN ('active', 'inactive', 'frozen'));
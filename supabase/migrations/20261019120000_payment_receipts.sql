@@ -0,0 +1,69 @@
+/*
+  # Payment receipt numbers
+
+  1. Tables
+     - `receipt_sequences` - Last receipt number issued per gym
+
+  2. Changes
+     - Add `receipt_number` to `payments`, unique per gym
+
+  3. Functions
+     - `assign_receipt_number` - Returns the payment's receipt number, issuing the
+       gym's next sequential number the first time a receipt is printed
+*/
+
+CREATE TABLE IF NOT EXISTS receipt_sequences (
+  gym_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  last_number INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+ALTER TABLE receipt_sequences ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE payments
+ADD COLUMN IF NOT EXISTS receipt_number TEXT,
+ADD COLUMN IF NOT EXISTS receipt_issued_at TIMESTAMPTZ;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_gym_receipt_number
+  ON payments (gym_id, receipt_number)
+  WHERE receipt_number IS NOT NULL;
+
+CREATE OR REPLACE FUNCTION assign_receipt_number(
+  p_payment_id UUID,
+  p_gym_id UUID,
+  p_prefix TEXT DEFAULT 'RCP-'
+)
+RETURNS TEXT AS $$
+DECLARE
+  v_receipt_number TEXT;
+  v_next INTEGER;
+BEGIN
+  SELECT receipt_number INTO v_receipt_number
+  FROM payments
+  WHERE id = p_payment_id AND gym_id = p_gym_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Payment not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_receipt_number IS NOT NULL THEN
+    RETURN v_receipt_number;
+  END IF;
+
+  INSERT INTO receipt_sequences (gym_id, last_number)
+  VALUES (p_gym_id, 1)
+  ON CONFLICT (gym_id)
+  DO UPDATE SET last_number = receipt_sequences.last_number + 1, updated_at = now()
+  RETURNING last_number INTO v_next;
+
+  v_receipt_number := COALESCE(p_prefix, '') || LPAD(v_next::TEXT, 6, '0');
+
+  UPDATE payments
+  SET receipt_number = v_receipt_number,
+      receipt_issued_at = now()
+  WHERE id = p_payment_id;
+
+  RETURN v_receipt_number;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,317 @@
+/*
+  # Payment ledger
+
+  1. Tables
+     - `charges` - Amounts billed to a member (admission fee, plan, service, other)
+     - `payment_allocations` - How much of each payment was applied to each charge
+
+  2. Changes
+     - `payments.charge_id` - Optional charge a payment should be applied to first
+     - `payments.total_amount` / `payments.due_amount` now default to 0 and are
+       maintained by the ledger as "owed before" / "owed after" this payment
+
+  3. Views
+     - `charge_balances` - Charges with allocated and open amounts
+     - `member_balances` - Total charged, total paid and balance per member
+
+  4. Functions and triggers
+     - `rebuild_member_ledger` - Re-applies a member's payments to their charges
+       (preferred charge first, then oldest open charge) and refreshes the
+       payment snapshots. Runs after any change to that member's charges or payments.
+
+  5. Data
+     - Existing members with payments get an opening balance charge equal to
+       everything they have paid plus the due on their latest payment
+*/
+
+CREATE TABLE IF NOT EXISTS charges (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  gym_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  member_id UUID NOT NULL REFERENCES members(id) ON DELETE CASCADE,
+  charge_type TEXT NOT NULL CHECK (charge_type IN ('admission', 'plan', 'service', 'other')),
+  source TEXT NOT NULL DEFAULT 'manual' CHECK (source IN ('joining', 'renewal', 'manual', 'opening_balance')),
+  description TEXT,
+  amount DECIMAL(10, 2) NOT NULL CHECK (amount >= 0),
+  charge_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  plan_id UUID REFERENCES plans(id) ON DELETE SET NULL,
+  service_id UUID REFERENCES services(id) ON DELETE SET NULL,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_charges_member
+  ON charges (gym_id, member_id, charge_date);
+
+ALTER TABLE charges ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can view charges"
+  ON charges
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Admin and staff can manage charges"
+  ON charges
+  FOR ALL
+  TO authenticated
+  USING (EXISTS (
+    SELECT 1 FROM users WHERE id = auth.uid() AND role IN ('admin', 'staff')
+  ));
+
+CREATE TABLE IF NOT EXISTS payment_allocations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  gym_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  member_id UUID NOT NULL REFERENCES members(id) ON DELETE CASCADE,
+  payment_id UUID NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+  charge_id UUID NOT NULL REFERENCES charges(id) ON DELETE CASCADE,
+  amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_allocations_charge
+  ON payment_allocations (charge_id);
+
+CREATE INDEX IF NOT EXISTS idx_payment_allocations_member
+  ON payment_allocations (member_id);
+
+ALTER TABLE payment_allocations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can view payment allocations"
+  ON payment_allocations
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+ALTER TABLE payments
+ADD COLUMN IF NOT EXISTS charge_id UUID REFERENCES charges(id) ON DELETE SET NULL;
+
+ALTER TABLE payments ALTER COLUMN total_amount SET DEFAULT 0;
+ALTER TABLE payments ALTER COLUMN due_amount SET DEFAULT 0;
+
+CREATE OR REPLACE VIEW charge_balances AS
+SELECT
+  c.*,
+  COALESCE(a.amount_allocated, 0) AS amount_allocated,
+  c.amount - COALESCE(a.amount_allocated, 0) AS open_amount
+FROM
+  charges c
+  LEFT JOIN (
+    SELECT charge_id, SUM(amount) AS amount_allocated
+    FROM payment_allocations
+    GROUP BY charge_id
+  ) a ON a.charge_id = c.id;
+
+CREATE OR REPLACE VIEW member_balances AS
+SELECT
+  m.id AS member_id,
+  m.gym_id,
+  COALESCE(c.total_charged, 0) AS total_charged,
+  COALESCE(p.total_paid, 0) AS total_paid,
+  COALESCE(c.total_charged, 0) - COALESCE(p.total_paid, 0) AS balance
+FROM
+  members m
+  LEFT JOIN (
+    SELECT member_id, SUM(amount) AS total_charged
+    FROM charges
+    GROUP BY member_id
+  ) c ON c.member_id = m.id
+  LEFT JOIN (
+    SELECT member_id, SUM(amount_paid) AS total_paid
+    FROM payments
+    GROUP BY member_id
+  ) p ON p.member_id = m.id;
+
+-- Re-apply a member's payments to their charges and refresh payment snapshots
+CREATE OR REPLACE FUNCTION rebuild_member_ledger(p_member_id UUID)
+RETURNS VOID AS $$
+DECLARE
+  v_payment RECORD;
+  v_charge RECORD;
+  v_remaining NUMERIC;
+  v_allocation NUMERIC;
+  v_charged NUMERIC;
+  v_owed NUMERIC;
+  v_paid_before NUMERIC := 0;
+BEGIN
+  DELETE FROM payment_allocations WHERE member_id = p_member_id;
+
+  FOR v_payment IN
+    SELECT id, gym_id, amount_paid, payment_date, charge_id
+    FROM payments
+    WHERE member_id = p_member_id
+    ORDER BY payment_date, created_at
+  LOOP
+    v_remaining := v_payment.amount_paid;
+
+    FOR v_charge IN
+      SELECT
+        c.id,
+        c.amount - COALESCE((
+          SELECT SUM(a.amount) FROM payment_allocations a WHERE a.charge_id = c.id
+        ), 0) AS open_amount
+      FROM charges c
+      WHERE c.member_id = p_member_id
+      ORDER BY
+        CASE WHEN c.id = v_payment.charge_id THEN 0 ELSE 1 END,
+        c.charge_date,
+        c.created_at
+    LOOP
+      EXIT WHEN v_remaining <= 0;
+      CONTINUE WHEN v_charge.open_amount <= 0;
+
+      v_allocation := LEAST(v_remaining, v_charge.open_amount);
+
+      INSERT INTO payment_allocations (gym_id, member_id, payment_id, charge_id, amount)
+      VALUES (v_payment.gym_id, p_member_id, v_payment.id, v_charge.id, v_allocation);
+
+      v_remaining := v_remaining - v_allocation;
+    END LOOP;
+
+    SELECT COALESCE(SUM(amount), 0) INTO v_charged
+    FROM charges
+    WHERE member_id = p_member_id AND charge_date <= v_payment.payment_date;
+
+    v_owed := GREATEST(v_charged - v_paid_before, 0);
+
+    UPDATE payments
+    SET total_amount = v_owed,
+        due_amount = GREATEST(v_owed - v_payment.amount_paid, 0)
+    WHERE id = v_payment.id;
+
+    v_paid_before := v_paid_before + v_payment.amount_paid;
+  END LOOP;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION rebuild_member_ledger_trigger()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    PERFORM rebuild_member_ledger(OLD.member_id);
+  ELSIF TG_OP = 'INSERT' THEN
+    PERFORM rebuild_member_ledger(NEW.member_id);
+  ELSE
+    PERFORM rebuild_member_ledger(NEW.member_id);
+    IF OLD.member_id IS DISTINCT FROM NEW.member_id THEN
+      PERFORM rebuild_member_ledger(OLD.member_id);
+    END IF;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Opening balances for members that already have payments
+INSERT INTO charges (gym_id, member_id, charge_type, source, description, amount, charge_date)
+SELECT
+  m.gym_id,
+  totals.member_id,
+  'other',
+  'opening_balance',
+  'Opening balance',
+  totals.total_paid + COALESCE(latest.due_amount, 0),
+  totals.first_payment_date
+FROM (
+  SELECT member_id, SUM(amount_paid) AS total_paid, MIN(payment_date) AS first_payment_date
+  FROM payments
+  GROUP BY member_id
+) totals
+JOIN members m ON m.id = totals.member_id
+LEFT JOIN (
+  SELECT DISTINCT ON (member_id) member_id, due_amount
+  FROM payments
+  ORDER BY member_id, payment_date DESC, created_at DESC
+) latest ON latest.member_id = totals.member_id
+WHERE m.gym_id IS NOT NULL;
+
+SELECT rebuild_member_ledger(member_id)
+FROM (SELECT DISTINCT member_id FROM payments) existing;
+
+-- Keep the ledger in sync with every change to charges and payments
+DROP TRIGGER IF EXISTS rebuild_ledger_on_charges ON charges;
+CREATE TRIGGER rebuild_ledger_on_charges
+AFTER INSERT OR DELETE OR UPDATE OF amount, charge_date, member_id ON charges
+FOR EACH ROW
+EXECUTE FUNCTION rebuild_member_ledger_trigger();
+
+DROP TRIGGER IF EXISTS rebuild_ledger_on_payments ON payments;
+CREATE TRIGGER rebuild_ledger_on_payments
+AFTER INSERT OR DELETE OR UPDATE OF amount_paid, payment_date, member_id, charge_id ON payments
+FOR EACH ROW
+EXECUTE FUNCTION rebuild_member_ledger_trigger();
+
+-- Renewals bill a plan charge and apply the renewal payment to it
+CREATE OR REPLACE FUNCTION renew_membership(
+  p_gym_id UUID,
+  p_member_id UUID,
+  p_plan_id UUID,
+  p_start_mode TEXT,
+  p_start_date TIMESTAMPTZ,
+  p_end_date TIMESTAMPTZ,
+  p_plan_price NUMERIC,
+  p_discount_value NUMERIC,
+  p_amount_paid NUMERIC,
+  p_payment_method TEXT,
+  p_notes TEXT,
+  p_renewed_by UUID
+)
+RETURNS membership_renewals AS $$
+DECLARE
+  v_member members%ROWTYPE;
+  v_total NUMERIC;
+  v_due NUMERIC;
+  v_charge_id UUID;
+  v_payment_id UUID;
+  v_renewal membership_renewals%ROWTYPE;
+BEGIN
+  SELECT * INTO v_member
+  FROM members
+  WHERE id = p_member_id AND gym_id = p_gym_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Member not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  v_total := GREATEST(p_plan_price - COALESCE(p_discount_value, 0), 0);
+  v_due := GREATEST(v_total - p_amount_paid, 0);
+
+  INSERT INTO charges (
+    gym_id, member_id, charge_type, source, description, amount, plan_id, created_by
+  )
+  VALUES (
+    p_gym_id, p_member_id, 'plan', 'renewal', 'Plan Renewal', v_total, p_plan_id, p_renewed_by
+  )
+  RETURNING id INTO v_charge_id;
+
+  INSERT INTO payments (
+    member_id, amount_paid, payment_date, payment_method, notes, gym_id, charge_id
+  )
+  VALUES (
+    p_member_id, p_amount_paid, CURRENT_DATE, COALESCE(p_payment_method, 'cash'),
+    COALESCE(p_notes, 'Plan Renewal'), p_gym_id, v_charge_id
+  )
+  RETURNING id INTO v_payment_id;
+
+  UPDATE members
+  SET plan_id = p_plan_id,
+      plan_end_date = p_end_date,
+      status = 'active',
+      updated_at = now()
+  WHERE id = p_member_id;
+
+  INSERT INTO membership_renewals (
+    gym_id, member_id, previous_plan_id, plan_id, start_mode,
+    previous_end_date, start_date, end_date, plan_price, discount_value,
+    total_amount, amount_paid, due_amount, payment_id, renewed_by
+  )
+  VALUES (
+    p_gym_id, p_member_id, v_member.plan_id, p_plan_id, p_start_mode,
+    v_member.plan_end_date, p_start_date, p_end_date, p_plan_price, COALESCE(p_discount_value, 0),
+    v_total, p_amount_paid, v_due, v_payment_id, p_renewed_by
+  )
+  RETURNING * INTO v_renewal;
+
+  RETURN v_renewal;
+END;
+$$ LANGUAGE plpgsql;
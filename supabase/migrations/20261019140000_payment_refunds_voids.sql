@@ -0,0 +1,219 @@
+/*
+  # Payment refunds and voids
+
+  1. Changes
+     - `payments.entry_type` - `payment`, `refund` or `void`
+     - `payments.status` - `completed` or `voided`
+     - `payments.reversal_of` - Original payment a refund/void reverses
+     - `payments.reason`, `created_by`, `voided_by`, `voided_at` - Audit trail
+
+  2. Functions
+     - `refund_payment` - Books a (partial) refund as a negative reversing entry
+     - `void_payment` - Reverses whatever is left of a payment and marks it voided
+     - `rebuild_member_ledger` - Now applies each payment net of its reversals,
+       so refunded money re-opens the charges it had paid
+
+  Original payment rows are never changed except for their status and void
+  details; every movement of money is its own row.
+*/
+
+ALTER TABLE payments
+ADD COLUMN IF NOT EXISTS entry_type TEXT NOT NULL DEFAULT 'payment' CHECK (entry_type IN ('payment', 'refund', 'void')),
+ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'completed',
+ADD COLUMN IF NOT EXISTS reversal_of UUID REFERENCES payments(id),
+ADD COLUMN IF NOT EXISTS reason TEXT,
+ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS voided_by UUID REFERENCES users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS voided_at TIMESTAMPTZ;
+
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_status_check;
+ALTER TABLE payments
+ADD CONSTRAINT payments_status_check CHECK (status IN ('completed', 'voided'));
+
+CREATE INDEX IF NOT EXISTS idx_payments_reversal_of
+  ON payments (reversal_of)
+  WHERE reversal_of IS NOT NULL;
+
+-- Apply payments net of their refunds and voids
+CREATE OR REPLACE FUNCTION rebuild_member_ledger(p_member_id UUID)
+RETURNS VOID AS $$
+DECLARE
+  v_payment RECORD;
+  v_charge RECORD;
+  v_remaining NUMERIC;
+  v_allocation NUMERIC;
+  v_charged NUMERIC;
+  v_owed NUMERIC;
+  v_paid_before NUMERIC := 0;
+BEGIN
+  DELETE FROM payment_allocations WHERE member_id = p_member_id;
+
+  FOR v_payment IN
+    SELECT
+      p.id,
+      p.gym_id,
+      p.amount_paid,
+      p.payment_date,
+      p.charge_id,
+      p.reversal_of,
+      p.amount_paid + COALESCE((
+        SELECT SUM(r.amount_paid) FROM payments r WHERE r.reversal_of = p.id
+      ), 0) AS net_amount
+    FROM payments p
+    WHERE p.member_id = p_member_id
+    ORDER BY p.payment_date, p.created_at
+  LOOP
+    v_remaining := CASE WHEN v_payment.reversal_of IS NULL THEN v_payment.net_amount ELSE 0 END;
+
+    FOR v_charge IN
+      SELECT
+        c.id,
+        c.amount - COALESCE((
+          SELECT SUM(a.amount) FROM payment_allocations a WHERE a.charge_id = c.id
+        ), 0) AS open_amount
+      FROM charges c
+      WHERE c.member_id = p_member_id
+      ORDER BY
+        CASE WHEN c.id = v_payment.charge_id THEN 0 ELSE 1 END,
+        c.charge_date,
+        c.created_at
+    LOOP
+      EXIT WHEN v_remaining <= 0;
+      CONTINUE WHEN v_charge.open_amount <= 0;
+
+      v_allocation := LEAST(v_remaining, v_charge.open_amount);
+
+      INSERT INTO payment_allocations (gym_id, member_id, payment_id, charge_id, amount)
+      VALUES (v_payment.gym_id, p_member_id, v_payment.id, v_charge.id, v_allocation);
+
+      v_remaining := v_remaining - v_allocation;
+    END LOOP;
+
+    SELECT COALESCE(SUM(amount), 0) INTO v_charged
+    FROM charges
+    WHERE member_id = p_member_id AND charge_date <= v_payment.payment_date;
+
+    v_owed := GREATEST(v_charged - v_paid_before, 0);
+
+    UPDATE payments
+    SET total_amount = v_owed,
+        due_amount = GREATEST(v_owed - v_payment.amount_paid, 0)
+    WHERE id = v_payment.id;
+
+    v_paid_before := v_paid_before + v_payment.amount_paid;
+  END LOOP;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Refund part or all of a payment
+CREATE OR REPLACE FUNCTION refund_payment(
+  p_payment_id UUID,
+  p_gym_id UUID,
+  p_amount NUMERIC,
+  p_payment_method TEXT,
+  p_reason TEXT,
+  p_user_id UUID
+)
+RETURNS payments AS $$
+DECLARE
+  v_payment payments%ROWTYPE;
+  v_refundable NUMERIC;
+  v_amount NUMERIC;
+  v_refund payments%ROWTYPE;
+BEGIN
+  SELECT * INTO v_payment
+  FROM payments
+  WHERE id = p_payment_id AND gym_id = p_gym_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Payment not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_payment.entry_type <> 'payment' THEN
+    RAISE EXCEPTION 'Only payments can be refunded';
+  END IF;
+
+  IF v_payment.status = 'voided' THEN
+    RAISE EXCEPTION 'Payment has been voided';
+  END IF;
+
+  SELECT v_payment.amount_paid + COALESCE(SUM(amount_paid), 0) INTO v_refundable
+  FROM payments
+  WHERE reversal_of = p_payment_id;
+
+  v_amount := COALESCE(p_amount, v_refundable);
+
+  IF v_amount <= 0 OR v_amount > v_refundable THEN
+    RAISE EXCEPTION 'Refund amount must be between 0 and %', v_refundable;
+  END IF;
+
+  INSERT INTO payments (
+    member_id, gym_id, amount_paid, payment_date, payment_method,
+    notes, entry_type, reversal_of, reason, created_by
+  )
+  VALUES (
+    v_payment.member_id, p_gym_id, -v_amount, CURRENT_DATE,
+    COALESCE(p_payment_method, v_payment.payment_method),
+    'Refund', 'refund', p_payment_id, p_reason, p_user_id
+  )
+  RETURNING * INTO v_refund;
+
+  RETURN v_refund;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Void a payment by reversing whatever has not been refunded yet
+CREATE OR REPLACE FUNCTION void_payment(
+  p_payment_id UUID,
+  p_gym_id UUID,
+  p_reason TEXT,
+  p_user_id UUID
+)
+RETURNS payments AS $$
+DECLARE
+  v_payment payments%ROWTYPE;
+  v_remaining NUMERIC;
+  v_void payments%ROWTYPE;
+BEGIN
+  SELECT * INTO v_payment
+  FROM payments
+  WHERE id = p_payment_id AND gym_id = p_gym_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Payment not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_payment.entry_type <> 'payment' THEN
+    RAISE EXCEPTION 'Only payments can be voided';
+  END IF;
+
+  IF v_payment.status = 'voided' THEN
+    RAISE EXCEPTION 'Payment has already been voided';
+  END IF;
+
+  SELECT v_payment.amount_paid + COALESCE(SUM(amount_paid), 0) INTO v_remaining
+  FROM payments
+  WHERE reversal_of = p_payment_id;
+
+  INSERT INTO payments (
+    member_id, gym_id, amount_paid, payment_date, payment_method,
+    notes, entry_type, reversal_of, reason, created_by
+  )
+  VALUES (
+    v_payment.member_id, p_gym_id, -v_remaining, CURRENT_DATE, v_payment.payment_method,
+    'Void', 'void', p_payment_id, p_reason, p_user_id
+  )
+  RETURNING * INTO v_void;
+
+  UPDATE payments
+  SET status = 'voided',
+      voided_by = p_user_id,
+      voided_at = now(),
+      updated_at = now()
+  WHERE id = p_payment_id;
+
+  RETURN v_void;
+END;
+$$ LANGUAGE plpgsql;
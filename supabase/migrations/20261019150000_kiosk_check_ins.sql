@@ -0,0 +1,130 @@
+/*
+  # Kiosk self check-in
+
+  1. Tables
+     - `kiosk_devices` - Check-in kiosks registered by a gym. Only a SHA-256
+       hash of the device key is stored; the key itself is shown once when the
+       device is registered
+     - `check_ins` - Timestamped member check-ins, one row per visit
+
+  2. Changes
+     - Add `check_in_code` to `members`, unique per gym and generated for
+       existing and new members
+     - Add `duplicate_window_minutes` to `kiosk_devices`, the time during which a
+       second check-in by the same member is refused
+
+  3. Functions
+     - `generate_check_in_code` - Random 8 character code, unique within a gym
+*/
+
+CREATE TABLE IF NOT EXISTS kiosk_devices (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  gym_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  duplicate_window_minutes INTEGER NOT NULL DEFAULT 30 CHECK (duplicate_window_minutes >= 0),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  last_used_at TIMESTAMPTZ,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_kiosk_devices_gym
+  ON kiosk_devices (gym_id);
+
+ALTER TABLE kiosk_devices ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can manage kiosk devices"
+  ON kiosk_devices
+  FOR ALL
+  TO authenticated
+  USING (EXISTS (
+    SELECT 1 FROM users WHERE id = auth.uid() AND role = 'admin'
+  ));
+
+CREATE TABLE IF NOT EXISTS check_ins (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  gym_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  member_id UUID NOT NULL REFERENCES members(id) ON DELETE CASCADE,
+  device_id UUID REFERENCES kiosk_devices(id) ON DELETE SET NULL,
+  checked_in_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  source TEXT NOT NULL DEFAULT 'kiosk' CHECK (source IN ('kiosk', 'staff')),
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_check_ins_member
+  ON check_ins (gym_id, member_id, checked_in_at DESC);
+
+ALTER TABLE check_ins ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can view check-ins"
+  ON check_ins
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Admin, staff, and trainers can manage check-ins"
+  ON check_ins
+  FOR ALL
+  TO authenticated
+  USING (EXISTS (
+    SELECT 1 FROM users WHERE id = auth.uid() AND role IN ('admin', 'staff', 'trainer')
+  ));
+
+-- Member check-in codes
+ALTER TABLE members
+ADD COLUMN IF NOT EXISTS check_in_code TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_members_gym_check_in_code
+  ON members (gym_id, check_in_code)
+  WHERE check_in_code IS NOT NULL;
+
+CREATE OR REPLACE FUNCTION generate_check_in_code(p_gym_id UUID)
+RETURNS TEXT AS $$
+DECLARE
+  v_code TEXT;
+BEGIN
+  LOOP
+    v_code := upper(substr(md5(random()::TEXT || clock_timestamp()::TEXT), 1, 8));
+    EXIT WHEN NOT EXISTS (
+      SELECT 1 FROM members WHERE gym_id = p_gym_id AND check_in_code = v_code
+    );
+  END LOOP;
+
+  RETURN v_code;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION set_member_check_in_code()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.check_in_code IS NULL THEN
+    NEW.check_in_code := generate_check_in_code(NEW.gym_id);
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS members_check_in_code ON members;
+CREATE TRIGGER members_check_in_code
+  BEFORE INSERT ON members
+  FOR EACH ROW
+  EXECUTE FUNCTION set_member_check_in_code();
+
+-- Backfill existing members
+DO $$
+DECLARE
+  v_member RECORD;
+BEGIN
+  FOR v_member IN
+    SELECT id, gym_id FROM members WHERE check_in_code IS NULL
+  LOOP
+    UPDATE members
+    SET check_in_code = generate_check_in_code(v_member.gym_id)
+    WHERE id = v_member.id;
+  END LOOP;
+END;
+$$;
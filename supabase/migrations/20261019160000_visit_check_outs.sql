@@ -0,0 +1,117 @@
+/*
+  # Visit check-out times
+
+  1. Changes
+     - `check_ins.checked_out_at` - When the visit ended; NULL while the member
+       is still on the floor
+     - `check_ins.check_out_source` - `kiosk`, `staff` or `auto` (closed by the
+       scheduler because it was left open)
+     - `check_ins.duration_minutes` - Length of the visit once it is closed
+     - `attendance.check_in_at`, `check_out_at`, `visit_minutes` - First check-in,
+       last check-out and total time on the floor for the day, kept in sync with
+       `check_ins`
+
+  2. Functions
+     - `sync_attendance_from_check_ins` - Trigger keeping attendance in sync
+     - `auto_close_stale_visits` - Closes visits open longer than the given
+       number of hours, checking them out at the cutoff
+*/
+
+ALTER TABLE check_ins
+ADD COLUMN IF NOT EXISTS checked_out_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS check_out_source TEXT CHECK (check_out_source IN ('kiosk', 'staff', 'auto')),
+ADD COLUMN IF NOT EXISTS duration_minutes INTEGER
+  GENERATED ALWAYS AS ((EXTRACT(EPOCH FROM (checked_out_at - checked_in_at)) / 60)::INTEGER) STORED;
+
+ALTER TABLE check_ins DROP CONSTRAINT IF EXISTS check_ins_check_out_after_check_in;
+ALTER TABLE check_ins
+ADD CONSTRAINT check_ins_check_out_after_check_in
+  CHECK (checked_out_at IS NULL OR checked_out_at >= checked_in_at);
+
+CREATE INDEX IF NOT EXISTS idx_check_ins_open
+  ON check_ins (gym_id, checked_in_at)
+  WHERE checked_out_at IS NULL;
+
+ALTER TABLE attendance
+ADD COLUMN IF NOT EXISTS check_in_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS check_out_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS visit_minutes INTEGER;
+
+-- Keep the day's attendance row in line with the member's visits
+CREATE OR REPLACE FUNCTION sync_attendance_from_check_ins()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_row check_ins%ROWTYPE;
+  v_date DATE;
+BEGIN
+  v_row := CASE WHEN TG_OP = 'DELETE' THEN OLD ELSE NEW END;
+  v_date := v_row.checked_in_at::DATE;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM check_ins
+    WHERE member_id = v_row.member_id AND checked_in_at::DATE = v_date
+  ) THEN
+    UPDATE attendance
+    SET check_in_at = NULL,
+        check_out_at = NULL,
+        visit_minutes = NULL,
+        updated_at = now()
+    WHERE member_id = v_row.member_id AND date = v_date;
+
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO attendance (member_id, gym_id, date, status, check_in_at, check_out_at, visit_minutes)
+  SELECT
+    v_row.member_id,
+    v_row.gym_id,
+    v_date,
+    'present',
+    MIN(checked_in_at),
+    MAX(checked_out_at),
+    SUM(duration_minutes)
+  FROM check_ins
+  WHERE member_id = v_row.member_id AND checked_in_at::DATE = v_date
+  ON CONFLICT (member_id, date) DO UPDATE
+  SET status = 'present',
+      check_in_at = EXCLUDED.check_in_at,
+      check_out_at = EXCLUDED.check_out_at,
+      visit_minutes = EXCLUDED.visit_minutes,
+      updated_at = now();
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS check_ins_sync_attendance ON check_ins;
+CREATE TRIGGER check_ins_sync_attendance
+  AFTER INSERT OR UPDATE OR DELETE ON check_ins
+  FOR EACH ROW
+  EXECUTE FUNCTION sync_attendance_from_check_ins();
+
+-- Close visits left open, e.g. members who never checked out
+CREATE OR REPLACE FUNCTION auto_close_stale_visits(p_max_hours INTEGER)
+RETURNS INTEGER AS $$
+DECLARE
+  v_closed INTEGER;
+BEGIN
+  UPDATE check_ins
+  SET checked_out_at = checked_in_at + make_interval(hours => p_max_hours),
+      check_out_source = 'auto'
+  WHERE checked_out_at IS NULL
+    AND checked_in_at < now() - make_interval(hours => p_max_hours);
+
+  GET DIAGNOSTICS v_closed = ROW_COUNT;
+  RETURN v_closed;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Backfill attendance times for check-ins recorded so far
+UPDATE attendance a
+SET check_in_at = c.first_check_in
+FROM (
+  SELECT member_id, checked_in_at::DATE AS visit_date, MIN(checked_in_at) AS first_check_in
+  FROM check_ins
+  GROUP BY member_id, checked_in_at::DATE
+) c
+WHERE a.member_id = c.member_id AND a.date = c.visit_date;
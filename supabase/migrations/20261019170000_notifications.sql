@@ -0,0 +1,111 @@
+/*
+  # Reminder notifications
+
+  1. Tables
+     - `gym_settings` - Per-gym automation settings, already read by the
+       scheduler; created here if missing, with the reminder opt-ins
+     - `notification_templates` - Per-gym message templates by event and
+       channel. Gyms without a template use the built-in default
+     - `notifications` - Log of every message sent or attempted
+
+  2. Reminder settings
+     - `reminders_enabled` - Master opt-in for automated reminders
+     - `reminder_channels` - Channels to send on (`email`, `whatsapp`, `sms`)
+     - `expiry_reminder_days` - Days before plan expiry to send a reminder
+     - `expiry_day_reminder`, `dues_reminder`, `birthday_reminder` - Per event opt-ins
+     - `dues_reminder_interval_days` - Minimum days between dues reminders
+
+  3. Indexes
+     - A message is only logged as `sent` once per gym, channel and
+       `dedupe_key`, so reruns of the scheduler don't send it twice
+*/
+
+CREATE TABLE IF NOT EXISTS gym_settings (
+  gym_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  auto_inactive_members BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+ALTER TABLE gym_settings
+ADD COLUMN IF NOT EXISTS reminders_enabled BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN IF NOT EXISTS reminder_channels TEXT[] NOT NULL DEFAULT ARRAY['email'],
+ADD COLUMN IF NOT EXISTS expiry_reminder_days INTEGER[] NOT NULL DEFAULT ARRAY[7, 3],
+ADD COLUMN IF NOT EXISTS expiry_day_reminder BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN IF NOT EXISTS dues_reminder BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN IF NOT EXISTS dues_reminder_interval_days INTEGER NOT NULL DEFAULT 7 CHECK (dues_reminder_interval_days > 0),
+ADD COLUMN IF NOT EXISTS birthday_reminder BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE gym_settings ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins can manage their gym settings" ON gym_settings;
+CREATE POLICY "Admins can manage their gym settings"
+  ON gym_settings
+  FOR ALL
+  TO authenticated
+  USING (gym_id = auth.uid());
+
+CREATE TABLE IF NOT EXISTS notification_templates (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  gym_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  event_type TEXT NOT NULL CHECK (event_type IN ('expiry_reminder', 'expiry_day', 'dues_reminder', 'birthday')),
+  channel TEXT NOT NULL CHECK (channel IN ('email', 'whatsapp', 'sms')),
+  subject TEXT,
+  body TEXT NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE (gym_id, event_type, channel)
+);
+
+ALTER TABLE notification_templates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can view notification templates"
+  ON notification_templates
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Admins can manage notification templates"
+  ON notification_templates
+  FOR ALL
+  TO authenticated
+  USING (EXISTS (
+    SELECT 1 FROM users WHERE id = auth.uid() AND role = 'admin'
+  ));
+
+CREATE TABLE IF NOT EXISTS notifications (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  gym_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  member_id UUID REFERENCES members(id) ON DELETE SET NULL,
+  event_type TEXT NOT NULL,
+  channel TEXT NOT NULL,
+  recipient TEXT NOT NULL,
+  template_id UUID REFERENCES notification_templates(id) ON DELETE SET NULL,
+  subject TEXT,
+  body TEXT NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('sent', 'failed')),
+  error TEXT,
+  provider_message_id TEXT,
+  dedupe_key TEXT,
+  sent_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_gym_created
+  ON notifications (gym_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_member
+  ON notifications (member_id, created_at DESC);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notifications_dedupe
+  ON notifications (gym_id, channel, dedupe_key)
+  WHERE status = 'sent' AND dedupe_key IS NOT NULL;
+
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can view notifications"
+  ON notifications
+  FOR SELECT
+  TO authenticated
+  USING (true);
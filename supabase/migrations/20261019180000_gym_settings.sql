@@ -0,0 +1,27 @@
+/*
+  # Gym settings
+
+  1. Changes
+     - `gym_settings.currency` - ISO 4217 code amounts are shown in
+     - `gym_settings.timezone` - IANA timezone the gym operates in
+     - `gym_settings.grace_period_days` - Days after plan expiry before a member
+       with unpaid dues is set inactive
+     - `gym_settings.default_payment_method` - Used when a payment method is not given
+     - `gym_settings.receipt_prefix` - Prefix of receipt numbers
+     - `gym_settings.reminder_hour` - Hour of the day reminders are sent at
+
+  2. Data
+     - Every gym gets a settings row with the defaults
+*/
+
+ALTER TABLE gym_settings
+ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'INR' CHECK (currency ~ '^[A-Z]{3}$'),
+ADD COLUMN IF NOT EXISTS timezone TEXT NOT NULL DEFAULT 'UTC',
+ADD COLUMN IF NOT EXISTS grace_period_days INTEGER NOT NULL DEFAULT 0 CHECK (grace_period_days >= 0),
+ADD COLUMN IF NOT EXISTS default_payment_method TEXT NOT NULL DEFAULT 'cash' CHECK (default_payment_method IN ('cash', 'card', 'upi')),
+ADD COLUMN IF NOT EXISTS receipt_prefix TEXT NOT NULL DEFAULT 'RCP-',
+ADD COLUMN IF NOT EXISTS reminder_hour INTEGER NOT NULL DEFAULT 9 CHECK (reminder_hour BETWEEN 0 AND 23);
+
+INSERT INTO gym_settings (gym_id)
+SELECT id FROM users WHERE role = 'admin'
+ON CONFLICT (gym_id) DO NOTHING;
@@ -0,0 +1,262 @@
+/*
+  # Gym timezones in the database
+
+  1. Functions
+     - `gym_timezone` - The gym's timezone from `gym_settings`, UTC if unset
+     - `gym_today` - Today's date in the gym's timezone
+
+  2. Changes
+     - Renewals, refunds and voids are dated with the gym's local date instead
+       of the database server's date
+     - Check-ins are counted towards the gym's local day on the attendance record
+*/
+
+CREATE OR REPLACE FUNCTION gym_timezone(p_gym_id UUID)
+RETURNS TEXT AS $$
+  SELECT COALESCE(
+    (SELECT timezone FROM gym_settings WHERE gym_id = p_gym_id),
+    'UTC'
+  );
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION gym_today(p_gym_id UUID)
+RETURNS DATE AS $$
+  SELECT (now() AT TIME ZONE gym_timezone(p_gym_id))::DATE;
+$$ LANGUAGE sql STABLE;
+
+-- Renewals bill and record the payment on the gym's local date
+CREATE OR REPLACE FUNCTION renew_membership(
+  p_gym_id UUID,
+  p_member_id UUID,
+  p_plan_id UUID,
+  p_start_mode TEXT,
+  p_start_date TIMESTAMPTZ,
+  p_end_date TIMESTAMPTZ,
+  p_plan_price NUMERIC,
+  p_discount_value NUMERIC,
+  p_amount_paid NUMERIC,
+  p_payment_method TEXT,
+  p_notes TEXT,
+  p_renewed_by UUID
+)
+RETURNS membership_renewals AS $$
+DECLARE
+  v_member members%ROWTYPE;
+  v_total NUMERIC;
+  v_due NUMERIC;
+  v_charge_id UUID;
+  v_payment_id UUID;
+  v_renewal membership_renewals%ROWTYPE;
+BEGIN
+  SELECT * INTO v_member
+  FROM members
+  WHERE id = p_member_id AND gym_id = p_gym_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Member not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  v_total := GREATEST(p_plan_price - COALESCE(p_discount_value, 0), 0);
+  v_due := GREATEST(v_total - p_amount_paid, 0);
+
+  INSERT INTO charges (
+    gym_id, member_id, charge_type, source, description, amount, charge_date, plan_id, created_by
+  )
+  VALUES (
+    p_gym_id, p_member_id, 'plan', 'renewal', 'Plan Renewal', v_total, gym_today(p_gym_id), p_plan_id, p_renewed_by
+  )
+  RETURNING id INTO v_charge_id;
+
+  INSERT INTO payments (
+    member_id, amount_paid, payment_date, payment_method, notes, gym_id, charge_id
+  )
+  VALUES (
+    p_member_id, p_amount_paid, gym_today(p_gym_id), COALESCE(p_payment_method, 'cash'),
+    COALESCE(p_notes, 'Plan Renewal'), p_gym_id, v_charge_id
+  )
+  RETURNING id INTO v_payment_id;
+
+  UPDATE members
+  SET plan_id = p_plan_id,
+      plan_end_date = p_end_date,
+      status = 'active',
+      updated_at = now()
+  WHERE id = p_member_id;
+
+  INSERT INTO membership_renewals (
+    gym_id, member_id, previous_plan_id, plan_id, start_mode,
+    previous_end_date, start_date, end_date, plan_price, discount_value,
+    total_amount, amount_paid, due_amount, payment_id, renewed_by
+  )
+  VALUES (
+    p_gym_id, p_member_id, v_member.plan_id, p_plan_id, p_start_mode,
+    v_member.plan_end_date, p_start_date, p_end_date, p_plan_price, COALESCE(p_discount_value, 0),
+    v_total, p_amount_paid, v_due, v_payment_id, p_renewed_by
+  )
+  RETURNING * INTO v_renewal;
+
+  RETURN v_renewal;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Refund part or all of a payment
+CREATE OR REPLACE FUNCTION refund_payment(
+  p_payment_id UUID,
+  p_gym_id UUID,
+  p_amount NUMERIC,
+  p_payment_method TEXT,
+  p_reason TEXT,
+  p_user_id UUID
+)
+RETURNS payments AS $$
+DECLARE
+  v_payment payments%ROWTYPE;
+  v_refundable NUMERIC;
+  v_amount NUMERIC;
+  v_refund payments%ROWTYPE;
+BEGIN
+  SELECT * INTO v_payment
+  FROM payments
+  WHERE id = p_payment_id AND gym_id = p_gym_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Payment not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_payment.entry_type <> 'payment' THEN
+    RAISE EXCEPTION 'Only payments can be refunded';
+  END IF;
+
+  IF v_payment.status = 'voided' THEN
+    RAISE EXCEPTION 'Payment has been voided';
+  END IF;
+
+  SELECT v_payment.amount_paid + COALESCE(SUM(amount_paid), 0) INTO v_refundable
+  FROM payments
+  WHERE reversal_of = p_payment_id;
+
+  v_amount := COALESCE(p_amount, v_refundable);
+
+  IF v_amount <= 0 OR v_amount > v_refundable THEN
+    RAISE EXCEPTION 'Refund amount must be between 0 and %', v_refundable;
+  END IF;
+
+  INSERT INTO payments (
+    member_id, gym_id, amount_paid, payment_date, payment_method,
+    notes, entry_type, reversal_of, reason, created_by
+  )
+  VALUES (
+    v_payment.member_id, p_gym_id, -v_amount, gym_today(p_gym_id),
+    COALESCE(p_payment_method, v_payment.payment_method),
+    'Refund', 'refund', p_payment_id, p_reason, p_user_id
+  )
+  RETURNING * INTO v_refund;
+
+  RETURN v_refund;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Void a payment by reversing whatever has not been refunded yet
+CREATE OR REPLACE FUNCTION void_payment(
+  p_payment_id UUID,
+  p_gym_id UUID,
+  p_reason TEXT,
+  p_user_id UUID
+)
+RETURNS payments AS $$
+DECLARE
+  v_payment payments%ROWTYPE;
+  v_remaining NUMERIC;
+  v_void payments%ROWTYPE;
+BEGIN
+  SELECT * INTO v_payment
+  FROM payments
+  WHERE id = p_payment_id AND gym_id = p_gym_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Payment not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_payment.entry_type <> 'payment' THEN
+    RAISE EXCEPTION 'Only payments can be voided';
+  END IF;
+
+  IF v_payment.status = 'voided' THEN
+    RAISE EXCEPTION 'Payment has already been voided';
+  END IF;
+
+  SELECT v_payment.amount_paid + COALESCE(SUM(amount_paid), 0) INTO v_remaining
+  FROM payments
+  WHERE reversal_of = p_payment_id;
+
+  INSERT INTO payments (
+    member_id, gym_id, amount_paid, payment_date, payment_method,
+    notes, entry_type, reversal_of, reason, created_by
+  )
+  VALUES (
+    v_payment.member_id, p_gym_id, -v_remaining, gym_today(p_gym_id), v_payment.payment_method,
+    'Void', 'void', p_payment_id, p_reason, p_user_id
+  )
+  RETURNING * INTO v_void;
+
+  UPDATE payments
+  SET status = 'voided',
+      voided_by = p_user_id,
+      voided_at = now(),
+      updated_at = now()
+  WHERE id = p_payment_id;
+
+  RETURN v_void;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Visits count towards the attendance of the gym's local day
+CREATE OR REPLACE FUNCTION sync_attendance_from_check_ins()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_row check_ins%ROWTYPE;
+  v_date DATE;
+  v_timezone TEXT;
+BEGIN
+  v_row := CASE WHEN TG_OP = 'DELETE' THEN OLD ELSE NEW END;
+  v_timezone := gym_timezone(v_row.gym_id);
+  v_date := (v_row.checked_in_at AT TIME ZONE v_timezone)::DATE;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM check_ins
+    WHERE member_id = v_row.member_id AND (checked_in_at AT TIME ZONE v_timezone)::DATE = v_date
+  ) THEN
+    UPDATE attendance
+    SET check_in_at = NULL,
+        check_out_at = NULL,
+        visit_minutes = NULL,
+        updated_at = now()
+    WHERE member_id = v_row.member_id AND date = v_date;
+
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO attendance (member_id, gym_id, date, status, check_in_at, check_out_at, visit_minutes)
+  SELECT
+    v_row.member_id,
+    v_row.gym_id,
+    v_date,
+    'present',
+    MIN(checked_in_at),
+    MAX(checked_out_at),
+    SUM(duration_minutes)
+  FROM check_ins
+  WHERE member_id = v_row.member_id AND (checked_in_at AT TIME ZONE v_timezone)::DATE = v_date
+  ON CONFLICT (member_id, date) DO UPDATE
+  SET status = 'present',
+      check_in_at = EXCLUDED.check_in_at,
+      check_out_at = EXCLUDED.check_out_at,
+      visit_minutes = EXCLUDED.visit_minutes,
+      updated_at = now();
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
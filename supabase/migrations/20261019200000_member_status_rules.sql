@@ -0,0 +1,17 @@
+/*
+  # Member status rules
+
+  1. Changes
+     - `gym_settings.auto_renew_paid_plans` - Extend an expired plan by its
+       duration when the member has paid. Off by default; renewals are
+       otherwise recorded through the renew endpoint
+     - `gym_settings.paid_rule` - What counts as paid: `latest_payment` (the
+       latest plan payment has no due left) or `balance` (the member's ledger
+       balance is cleared)
+     - `gym_settings.paid_tolerance` - Due amount still treated as paid
+*/
+
+ALTER TABLE gym_settings
+ADD COLUMN IF NOT EXISTS auto_renew_paid_plans BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN IF NOT EXISTS paid_rule TEXT NOT NULL DEFAULT 'latest_payment' CHECK (paid_rule IN ('latest_payment', 'balance')),
+ADD COLUMN IF NOT EXISTS paid_tolerance NUMERIC(10,2) NOT NULL DEFAULT 0 CHECK (paid_tolerance >= 0);
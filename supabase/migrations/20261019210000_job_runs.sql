@@ -0,0 +1,39 @@
+/*
+  # Job runs
+
+  1. Tables
+     - `job_runs` - One row per background job run for a gym: when it started
+       and finished, what started it, members checked and updated, and the
+       error if it failed. `details` holds the changes the run made
+
+  2. Security
+     - Enable RLS on `job_runs`
+     - Admins can view their own gym's job runs
+*/
+
+CREATE TABLE IF NOT EXISTS job_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  gym_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  job_name TEXT NOT NULL,
+  trigger TEXT NOT NULL DEFAULT 'scheduled' CHECK (trigger IN ('scheduled', 'manual')),
+  triggered_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'succeeded', 'partial', 'failed')),
+  started_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  finished_at TIMESTAMPTZ,
+  members_checked INTEGER,
+  members_updated INTEGER,
+  error TEXT,
+  details JSONB,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_runs_gym_started
+  ON job_runs (gym_id, job_name, started_at DESC);
+
+ALTER TABLE job_runs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can view their gym's job runs"
+  ON job_runs
+  FOR SELECT
+  TO authenticated
+  USING (gym_id = auth.uid());
@@ -0,0 +1,79 @@
+/*
+  # Background job framework
+
+  1. Changes
+     - `job_runs.gym_id` - Now optional; jobs that cover every gym at once
+       (closing stale visits) are recorded without a gym
+     - `job_runs.trigger` - Adds `external` (an external scheduler hitting the
+       cron endpoint) and `retry`
+     - `job_runs.attempt`, `job_runs.max_attempts` - Which attempt this run was
+     - `job_runs.retry_at` - When a failed run is due to be retried; cleared
+       once the retry is picked up
+     - `job_runs.retry_of` - The failed run this run retries
+
+  2. Tables
+     - `job_locks` - One row per job and gym while a run is in progress, so two
+       server instances never run the same job for the same gym at once.
+       Locks expire on their own if an instance dies mid-run
+
+  3. Functions
+     - `acquire_job_lock` - Take a lock if it is free or expired
+     - `release_job_lock` - Release a lock held by the caller
+*/
+
+ALTER TABLE job_runs
+ALTER COLUMN gym_id DROP NOT NULL,
+ADD COLUMN IF NOT EXISTS attempt INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN IF NOT EXISTS max_attempts INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN IF NOT EXISTS retry_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS retry_of UUID REFERENCES job_runs(id) ON DELETE SET NULL;
+
+ALTER TABLE job_runs DROP CONSTRAINT IF EXISTS job_runs_trigger_check;
+ALTER TABLE job_runs
+ADD CONSTRAINT job_runs_trigger_check CHECK (trigger IN ('scheduled', 'external', 'manual', 'retry'));
+
+CREATE INDEX IF NOT EXISTS idx_job_runs_retry_at
+  ON job_runs (retry_at)
+  WHERE retry_at IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS job_locks (
+  lock_key TEXT PRIMARY KEY,
+  owner TEXT NOT NULL,
+  locked_until TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+ALTER TABLE job_locks ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION acquire_job_lock(
+  p_lock_key TEXT,
+  p_owner TEXT,
+  p_ttl_seconds INTEGER
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+  v_owner TEXT;
+BEGIN
+  INSERT INTO job_locks (lock_key, owner, locked_until)
+  VALUES (p_lock_key, p_owner, now() + make_interval(secs => p_ttl_seconds))
+  ON CONFLICT (lock_key) DO UPDATE
+    SET owner = EXCLUDED.owner,
+        locked_until = EXCLUDED.locked_until,
+        created_at = now()
+    WHERE job_locks.locked_until < now()
+  RETURNING owner INTO v_owner;
+
+  RETURN COALESCE(v_owner = p_owner, false);
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION release_job_lock(
+  p_lock_key TEXT,
+  p_owner TEXT
+)
+RETURNS VOID AS $$
+BEGIN
+  DELETE FROM job_locks
+  WHERE lock_key = p_lock_key AND owner = p_owner;
+END;
+$$ LANGUAGE plpgsql;
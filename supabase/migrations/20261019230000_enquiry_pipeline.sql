@@ -0,0 +1,136 @@
+/*
+  # Enquiry lead pipeline
+
+  1. Changes
+     - `enquiries.stage` - Where the lead is in the sales process: `new`,
+       `contacted`, `trial_booked`, `trial_done`, `negotiating`, `won`, `lost`
+     - `enquiries.lost_reason` - Why a lost lead was lost
+     - `enquiries.assigned_to` - Staff member working the lead
+     - `enquiries.stage_changed_at` - When the lead last moved stage
+     - `enquiries.status` - Now follows the stage: `closed` once won or lost,
+       `open` otherwise
+     - `enquiries.message` - No longer required
+
+  2. Tables
+     - `enquiry_follow_ups` - Follow-up tasks on a lead with a due time,
+       pending until done or cancelled
+     - `enquiry_activities` - Timeline of everything that happened on a lead:
+       stage changes, assignment, follow-ups, calls and notes
+
+  3. Data
+     - Open enquiries start as `new`; closed ones are marked `lost`, as
+       whether they joined was not recorded
+
+  4. Security
+     - Enable RLS on the new tables, readable by authenticated users and
+       writable by admin and staff
+*/
+
+ALTER TABLE enquiries
+ADD COLUMN IF NOT EXISTS stage TEXT NOT NULL DEFAULT 'new'
+  CHECK (stage IN ('new', 'contacted', 'trial_booked', 'trial_done', 'negotiating', 'won', 'lost')),
+ADD COLUMN IF NOT EXISTS lost_reason TEXT,
+ADD COLUMN IF NOT EXISTS assigned_to UUID REFERENCES users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS stage_changed_at TIMESTAMPTZ DEFAULT now();
+
+ALTER TABLE enquiries ALTER COLUMN message DROP NOT NULL;
+
+UPDATE enquiries
+SET stage = 'lost'
+WHERE status = 'closed' AND stage = 'new';
+
+CREATE INDEX IF NOT EXISTS idx_enquiries_gym_stage
+  ON enquiries (gym_id, stage);
+
+CREATE INDEX IF NOT EXISTS idx_enquiries_assigned_to
+  ON enquiries (assigned_to);
+
+-- Keep the open/closed status in line with the stage
+CREATE OR REPLACE FUNCTION sync_enquiry_status()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.status := CASE WHEN NEW.stage IN ('won', 'lost') THEN 'closed' ELSE 'open' END;
+
+  IF TG_OP = 'UPDATE' AND NEW.stage IS DISTINCT FROM OLD.stage THEN
+    NEW.stage_changed_at := now();
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS enquiries_sync_status ON enquiries;
+CREATE TRIGGER enquiries_sync_status
+BEFORE INSERT OR UPDATE ON enquiries
+FOR EACH ROW
+EXECUTE FUNCTION sync_enquiry_status();
+
+CREATE TABLE IF NOT EXISTS enquiry_follow_ups (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  gym_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  enquiry_id UUID NOT NULL REFERENCES enquiries(id) ON DELETE CASCADE,
+  assigned_to UUID REFERENCES users(id) ON DELETE SET NULL,
+  due_at TIMESTAMPTZ NOT NULL,
+  note TEXT,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'done', 'cancelled')),
+  outcome TEXT,
+  completed_at TIMESTAMPTZ,
+  completed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_enquiry_follow_ups_pending
+  ON enquiry_follow_ups (gym_id, due_at)
+  WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_enquiry_follow_ups_enquiry
+  ON enquiry_follow_ups (enquiry_id, due_at);
+
+CREATE TABLE IF NOT EXISTS enquiry_activities (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  gym_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  enquiry_id UUID NOT NULL REFERENCES enquiries(id) ON DELETE CASCADE,
+  activity_type TEXT NOT NULL,
+  from_stage TEXT,
+  to_stage TEXT,
+  note TEXT,
+  details JSONB,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_enquiry_activities_enquiry
+  ON enquiry_activities (enquiry_id, created_at DESC);
+
+ALTER TABLE enquiry_follow_ups ENABLE ROW LEVEL SECURITY;
+ALTER TABLE enquiry_activities ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can view enquiry follow-ups"
+  ON enquiry_follow_ups
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Admin and staff can manage enquiry follow-ups"
+  ON enquiry_follow_ups
+  FOR ALL
+  TO authenticated
+  USING (EXISTS (
+    SELECT 1 FROM users WHERE id = auth.uid() AND role IN ('admin', 'staff')
+  ));
+
+CREATE POLICY "Authenticated users can view enquiry activities"
+  ON enquiry_activities
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Admin and staff can add enquiry activities"
+  ON enquiry_activities
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (EXISTS (
+    SELECT 1 FROM users WHERE id = auth.uid() AND role IN ('admin', 'staff')
+  ));
@@ -0,0 +1,18 @@
+/*
+  # Enquiry conversion
+
+  1. Changes
+     - `enquiries.member_id` - Member the enquiry was converted into
+     - `enquiries.converted_at` - When the enquiry was converted
+
+  2. Indexes
+     - An enquiry converts into at most one member
+*/
+
+ALTER TABLE enquiries
+ADD COLUMN IF NOT EXISTS member_id UUID REFERENCES members(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS converted_at TIMESTAMPTZ;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_enquiries_member
+  ON enquiries (member_id)
+  WHERE member_id IS NOT NULL;
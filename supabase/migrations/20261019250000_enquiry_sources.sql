@@ -0,0 +1,17 @@
+/*
+  # Enquiry sources
+
+  1. Changes
+     - `enquiries.source` - Where the lead came from: `walk_in`, `phone`,
+       `website`, `instagram`, `facebook`, `google`, `flyer`, `referral`,
+       `other`. Enquiries made before this are left without a source
+     - `enquiries.campaign` - Optional campaign name, e.g. "Diwali flyers 2026"
+*/
+
+ALTER TABLE enquiries
+ADD COLUMN IF NOT EXISTS source TEXT
+  CHECK (source IN ('walk_in', 'phone', 'website', 'instagram', 'facebook', 'google', 'flyer', 'referral', 'other')),
+ADD COLUMN IF NOT EXISTS campaign TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_enquiries_gym_source
+  ON enquiries (gym_id, source, created_at);
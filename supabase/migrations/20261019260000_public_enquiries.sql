@@ -0,0 +1,73 @@
+/*
+  # Public enquiry form
+
+  1. Changes
+     - `gym_settings.public_enquiries_enabled` - Accept enquiries from the
+       gym's website form. Off by default
+     - `gym_settings.public_enquiry_slug` - Readable gym identifier the form
+       can post to, e.g. `iron-paradise`
+     - `gym_settings.public_enquiry_key` - Generated identifier the form can
+       post to instead of the slug. Not a secret; it is embedded in the website
+     - `gym_settings.enquiry_duplicate_window_hours` - A form sent again with
+       the same phone number within this window is added to the open enquiry
+       instead of creating another
+     - `gym_settings.enquiry_auto_ack` - Email people who leave an email address
+       that their enquiry was received
+     - `gym_settings.enquiry_ack_message` - Wording of that email; a built-in
+       message is used when empty
+
+  2. New Tables
+     - `rate_limit_hits` - Requests per key (route and hashed client IP) in
+       the current fixed window
+
+  3. Functions
+     - `hit_rate_limit` - Count a request and say whether it is within the limit
+*/
+
+ALTER TABLE gym_settings
+ADD COLUMN IF NOT EXISTS public_enquiries_enabled BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN IF NOT EXISTS public_enquiry_slug TEXT UNIQUE
+  CHECK (public_enquiry_slug ~ '^[a-z0-9]+(-[a-z0-9]+)*$'),
+ADD COLUMN IF NOT EXISTS public_enquiry_key TEXT UNIQUE,
+ADD COLUMN IF NOT EXISTS enquiry_duplicate_window_hours INTEGER NOT NULL DEFAULT 24
+  CHECK (enquiry_duplicate_window_hours >= 0),
+ADD COLUMN IF NOT EXISTS enquiry_auto_ack BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN IF NOT EXISTS enquiry_ack_message TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_enquiries_gym_phone
+  ON enquiries (gym_id, phone, created_at);
+
+CREATE TABLE IF NOT EXISTS rate_limit_hits (
+  key TEXT NOT NULL,
+  window_start TIMESTAMPTZ NOT NULL,
+  hits INTEGER NOT NULL DEFAULT 1,
+  PRIMARY KEY (key, window_start)
+);
+
+ALTER TABLE rate_limit_hits ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION hit_rate_limit(
+  p_key TEXT,
+  p_limit INTEGER,
+  p_window_seconds INTEGER
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+  v_window_start TIMESTAMPTZ;
+  v_hits INTEGER;
+BEGIN
+  v_window_start := to_timestamp(floor(extract(epoch FROM now()) / p_window_seconds) * p_window_seconds);
+
+  INSERT INTO rate_limit_hits (key, window_start)
+  VALUES (p_key, v_window_start)
+  ON CONFLICT (key, window_start) DO UPDATE
+    SET hits = rate_limit_hits.hits + 1
+  RETURNING hits INTO v_hits;
+
+  -- Earlier windows are no longer needed
+  DELETE FROM rate_limit_hits
+  WHERE key = p_key AND window_start < v_window_start;
+
+  RETURN v_hits <= p_limit;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,130 @@
+/*
+  # Trial passes
+
+  1. Tables
+     - `trial_passes` - Free trials given to a lead: the days it is valid for,
+       an optional number of visits and batch. `active` until it ends
+       (`ended`), the lead joins (`converted`) or it is `cancelled`
+
+  2. Changes
+     - `check_ins.trial_pass_id` - Visit made on a trial pass. A check-in is
+       for either a member or a trial pass
+     - `check_ins.member_id` - No longer required, for trial visits
+
+  3. Functions
+     - `sync_attendance_from_check_ins` - Trial visits have no member and no
+       attendance row
+
+  4. Security
+     - Enable RLS on `trial_passes`, readable by authenticated users and
+       writable by admin and staff
+*/
+
+CREATE TABLE IF NOT EXISTS trial_passes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  gym_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  enquiry_id UUID NOT NULL REFERENCES enquiries(id) ON DELETE CASCADE,
+  batch_id UUID REFERENCES batches(id) ON DELETE SET NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  visit_limit INTEGER CHECK (visit_limit > 0),
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'ended', 'converted', 'cancelled')),
+  end_reason TEXT CHECK (end_reason IN ('expired', 'visits_used')),
+  ended_at TIMESTAMPTZ,
+  notes TEXT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  CHECK (end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_trial_passes_gym_status
+  ON trial_passes (gym_id, status, end_date);
+
+-- A lead has at most one trial running at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_trial_passes_active_enquiry
+  ON trial_passes (enquiry_id)
+  WHERE status = 'active';
+
+ALTER TABLE trial_passes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can view trial passes"
+  ON trial_passes
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Admin and staff can manage trial passes"
+  ON trial_passes
+  FOR ALL
+  TO authenticated
+  USING (EXISTS (
+    SELECT 1 FROM users WHERE id = auth.uid() AND role IN ('admin', 'staff')
+  ));
+
+ALTER TABLE check_ins
+ADD COLUMN IF NOT EXISTS trial_pass_id UUID REFERENCES trial_passes(id) ON DELETE CASCADE;
+
+ALTER TABLE check_ins ALTER COLUMN member_id DROP NOT NULL;
+
+ALTER TABLE check_ins DROP CONSTRAINT IF EXISTS check_ins_member_or_trial;
+ALTER TABLE check_ins
+ADD CONSTRAINT check_ins_member_or_trial
+  CHECK ((member_id IS NULL) <> (trial_pass_id IS NULL));
+
+CREATE INDEX IF NOT EXISTS idx_check_ins_trial_pass
+  ON check_ins (trial_pass_id, checked_in_at DESC)
+  WHERE trial_pass_id IS NOT NULL;
+
+CREATE OR REPLACE FUNCTION sync_attendance_from_check_ins()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_row check_ins%ROWTYPE;
+  v_date DATE;
+  v_timezone TEXT;
+BEGIN
+  v_row := CASE WHEN TG_OP = 'DELETE' THEN OLD ELSE NEW END;
+
+  -- Trial visits are not member attendance
+  IF v_row.member_id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  v_timezone := gym_timezone(v_row.gym_id);
+  v_date := (v_row.checked_in_at AT TIME ZONE v_timezone)::DATE;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM check_ins
+    WHERE member_id = v_row.member_id AND (checked_in_at AT TIME ZONE v_timezone)::DATE = v_date
+  ) THEN
+    UPDATE attendance
+    SET check_in_at = NULL,
+        check_out_at = NULL,
+        visit_minutes = NULL,
+        updated_at = now()
+    WHERE member_id = v_row.member_id AND date = v_date;
+
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO attendance (member_id, gym_id, date, status, check_in_at, check_out_at, visit_minutes)
+  SELECT
+    v_row.member_id,
+    v_row.gym_id,
+    v_date,
+    'present',
+    MIN(checked_in_at),
+    MAX(checked_out_at),
+    SUM(duration_minutes)
+  FROM check_ins
+  WHERE member_id = v_row.member_id AND (checked_in_at AT TIME ZONE v_timezone)::DATE = v_date
+  ON CONFLICT (member_id, date) DO UPDATE
+  SET status = 'present',
+      check_in_at = EXCLUDED.check_in_at,
+      check_out_at = EXCLUDED.check_out_at,
+      visit_minutes = EXCLUDED.visit_minutes,
+      updated_at = now();
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,53 @@
+/*
+  # Report subscriptions
+
+  1. Tables
+     - `report_subscriptions` - Reports a gym has emailed to a list of
+       recipients every day or every week, at an hour of the gym's day.
+       Every email carries a digest of the period; `report_type` picks the
+       report attached to it, or `digest` for the digest alone
+       - `format`, `columns` - Attachment format and the columns to include
+         (all when empty)
+       - `last_period_end` - Last day of the last period sent, so a period
+         is only sent once
+       - `last_error` - Why the last send failed, cleared when one succeeds
+
+  2. Security
+     - Enable RLS on `report_subscriptions`, managed by admins
+*/
+
+CREATE TABLE IF NOT EXISTS report_subscriptions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  gym_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  report_type TEXT NOT NULL CHECK (report_type IN (
+    'digest', 'expiring_memberships', 'payment_status', 'attendance_summary', 'financial_summary'
+  )),
+  recipients TEXT[] NOT NULL CHECK (cardinality(recipients) BETWEEN 1 AND 10),
+  frequency TEXT NOT NULL CHECK (frequency IN ('daily', 'weekly')),
+  weekday INTEGER CHECK (weekday BETWEEN 0 AND 6),
+  send_hour INTEGER NOT NULL DEFAULT 8 CHECK (send_hour BETWEEN 0 AND 23),
+  format TEXT NOT NULL DEFAULT 'pdf' CHECK (format IN ('csv', 'xlsx', 'pdf', 'json')),
+  columns TEXT[] NOT NULL DEFAULT '{}',
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  last_sent_at TIMESTAMPTZ,
+  last_period_end DATE,
+  last_error TEXT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  CHECK (frequency = 'daily' OR weekday IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_subscriptions_active
+  ON report_subscriptions (gym_id)
+  WHERE is_active;
+
+ALTER TABLE report_subscriptions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can manage report subscriptions"
+  ON report_subscriptions
+  FOR ALL
+  TO authenticated
+  USING (EXISTS (
+    SELECT 1 FROM users WHERE id = auth.uid() AND role = 'admin'
+  ));
@@ -0,0 +1,103 @@
+/*
+  # Gym dashboard
+
+  1. Functions
+     - `gym_monthly_trends` - Per month, for the last months up to the gym's
+       current month: members who joined, members whose plan ended in the
+       month and who are now inactive, money collected (net of refunds and
+       voids), expenses and visits. Months with nothing in them are returned
+       with zeros, so the series always has one row per month
+
+  2. Indexes
+     - Gym and date indexes on the tables the trends read, so the dashboard
+       doesn't scan every gym's rows
+*/
+
+CREATE INDEX IF NOT EXISTS idx_members_gym_join_date
+  ON members (gym_id, join_date);
+
+CREATE INDEX IF NOT EXISTS idx_members_gym_status_plan_end
+  ON members (gym_id, status, plan_end_date);
+
+CREATE INDEX IF NOT EXISTS idx_payments_gym_date
+  ON payments (gym_id, payment_date);
+
+CREATE INDEX IF NOT EXISTS idx_expenses_gym_date
+  ON expenses (gym_id, date);
+
+CREATE INDEX IF NOT EXISTS idx_check_ins_gym_time
+  ON check_ins (gym_id, checked_in_at);
+
+CREATE OR REPLACE FUNCTION gym_monthly_trends(
+  p_gym_id UUID,
+  p_months INTEGER
+)
+RETURNS TABLE (
+  month DATE,
+  new_members INTEGER,
+  churned_members INTEGER,
+  collections NUMERIC,
+  expenses NUMERIC,
+  visits INTEGER
+) AS $$
+  WITH bounds AS (
+    SELECT
+      (date_trunc('month', gym_today(p_gym_id)) - make_interval(months => p_months - 1))::DATE AS first_month,
+      date_trunc('month', gym_today(p_gym_id))::DATE AS last_month,
+      gym_timezone(p_gym_id) AS timezone
+  ),
+  months AS (
+    SELECT generate_series(first_month, last_month, INTERVAL '1 month')::DATE AS month
+    FROM bounds
+  ),
+  joins AS (
+    SELECT date_trunc('month', m.join_date)::DATE AS month, COUNT(*)::INTEGER AS total
+    FROM members m, bounds b
+    WHERE m.gym_id = p_gym_id
+      AND m.join_date >= b.first_month
+    GROUP BY 1
+  ),
+  churn AS (
+    SELECT date_trunc('month', m.plan_end_date::DATE)::DATE AS month, COUNT(*)::INTEGER AS total
+    FROM members m, bounds b
+    WHERE m.gym_id = p_gym_id
+      AND m.status = 'inactive'
+      AND m.plan_end_date >= b.first_month
+    GROUP BY 1
+  ),
+  collected AS (
+    SELECT date_trunc('month', p.payment_date)::DATE AS month, SUM(p.amount_paid) AS total
+    FROM payments p, bounds b
+    WHERE p.gym_id = p_gym_id
+      AND p.payment_date >= b.first_month
+    GROUP BY 1
+  ),
+  spent AS (
+    SELECT date_trunc('month', e.date)::DATE AS month, SUM(e.amount) AS total
+    FROM expenses e, bounds b
+    WHERE e.gym_id = p_gym_id
+      AND e.date >= b.first_month
+    GROUP BY 1
+  ),
+  visited AS (
+    SELECT date_trunc('month', c.checked_in_at AT TIME ZONE b.timezone)::DATE AS month, COUNT(*)::INTEGER AS total
+    FROM check_ins c, bounds b
+    WHERE c.gym_id = p_gym_id
+      AND c.checked_in_at >= b.first_month::TIMESTAMP AT TIME ZONE b.timezone
+    GROUP BY 1
+  )
+  SELECT
+    months.month,
+    COALESCE(joins.total, 0),
+    COALESCE(churn.total, 0),
+    COALESCE(collected.total, 0),
+    COALESCE(spent.total, 0),
+    COALESCE(visited.total, 0)
+  FROM months
+  LEFT JOIN joins ON joins.month = months.month
+  LEFT JOIN churn ON churn.month = months.month
+  LEFT JOIN collected ON collected.month = months.month
+  LEFT JOIN spent ON spent.month = months.month
+  LEFT JOIN visited ON visited.month = months.month
+  ORDER BY months.month;
+$$ LANGUAGE sql STABLE;
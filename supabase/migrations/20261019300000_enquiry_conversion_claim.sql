@@ -0,0 +1,13 @@
+/*
+  # Enquiry conversion claim
+
+  1. Changes
+     - `enquiries.converting_at` - When a conversion of the enquiry started.
+       A conversion claims the enquiry by setting it while `member_id` is
+       still empty, so concurrent or retried conversions can't both create
+       a member. It is cleared once the member is linked, or when the
+       conversion fails; a claim left behind by a crash expires.
+*/
+
+ALTER TABLE enquiries
+ADD COLUMN IF NOT EXISTS converting_at TIMESTAMPTZ;
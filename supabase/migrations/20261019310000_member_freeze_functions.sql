@@ -0,0 +1,124 @@
+/*
+  # Member freeze functions
+
+  1. Functions
+     - `freeze_membership` - Record a freeze, push the member's plan end date
+       out by the frozen days and mark them frozen if the freeze has started,
+       in one transaction. Freezes overlapping an active one are refused
+     - `cancel_membership_freeze` - Cancel a freeze that hasn't ended, take
+       back the days not yet used and make a frozen member active again, in
+       one transaction
+*/
+
+CREATE OR REPLACE FUNCTION freeze_membership(
+  p_gym_id UUID,
+  p_member_id UUID,
+  p_start_date DATE,
+  p_end_date DATE,
+  p_reason TEXT,
+  p_approved_by UUID
+)
+RETURNS member_freezes AS $$
+DECLARE
+  v_member members%ROWTYPE;
+  v_today DATE := gym_today(p_gym_id);
+  v_frozen_days INTEGER := p_end_date - p_start_date + 1;
+  v_freeze member_freezes%ROWTYPE;
+BEGIN
+  SELECT * INTO v_member
+  FROM members
+  WHERE id = p_member_id AND gym_id = p_gym_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Member not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF EXISTS (
+    SELECT 1
+    FROM member_freezes
+    WHERE member_id = p_member_id
+      AND gym_id = p_gym_id
+      AND status = 'active'
+      AND start_date <= p_end_date
+      AND end_date >= p_start_date
+  ) THEN
+    RAISE EXCEPTION 'Freeze period overlaps an existing freeze';
+  END IF;
+
+  INSERT INTO member_freezes (
+    gym_id, member_id, start_date, end_date, frozen_days, reason, approved_by
+  )
+  VALUES (
+    p_gym_id, p_member_id, p_start_date, p_end_date, v_frozen_days, p_reason, p_approved_by
+  )
+  RETURNING * INTO v_freeze;
+
+  UPDATE members
+  SET plan_end_date = plan_end_date + make_interval(days => v_frozen_days),
+      status = CASE
+        WHEN p_start_date <= v_today AND p_end_date >= v_today THEN 'frozen'
+        ELSE status
+      END,
+      updated_at = now()
+  WHERE id = p_member_id;
+
+  RETURN v_freeze;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION cancel_membership_freeze(
+  p_gym_id UUID,
+  p_member_id UUID,
+  p_freeze_id UUID
+)
+RETURNS member_freezes AS $$
+DECLARE
+  v_freeze member_freezes%ROWTYPE;
+  v_today DATE := gym_today(p_gym_id);
+  v_used_days INTEGER;
+  v_unused_days INTEGER;
+BEGIN
+  PERFORM 1
+  FROM members
+  WHERE id = p_member_id AND gym_id = p_gym_id
+  FOR UPDATE;
+
+  SELECT * INTO v_freeze
+  FROM member_freezes
+  WHERE id = p_freeze_id AND member_id = p_member_id AND gym_id = p_gym_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Freeze not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_freeze.status <> 'active' THEN
+    RAISE EXCEPTION 'Freeze is already cancelled';
+  END IF;
+
+  IF v_freeze.end_date < v_today THEN
+    RAISE EXCEPTION 'Cannot cancel a freeze that has already ended';
+  END IF;
+
+  -- Days already spent frozen stay on the plan; the rest are taken back
+  v_used_days := GREATEST(v_today - v_freeze.start_date, 0);
+  v_unused_days := v_freeze.frozen_days - v_used_days;
+
+  UPDATE member_freezes
+  SET status = 'cancelled',
+      frozen_days = v_used_days,
+      cancelled_at = now(),
+      updated_at = now()
+  WHERE id = p_freeze_id
+  RETURNING * INTO v_freeze;
+
+  UPDATE members
+  SET plan_end_date = plan_end_date - make_interval(days => v_unused_days),
+      status = CASE WHEN status = 'frozen' THEN 'active' ELSE status END,
+      updated_at = now()
+  WHERE id = p_member_id;
+
+  RETURN v_freeze;
+END;
+$$ LANGUAGE plpgsql;
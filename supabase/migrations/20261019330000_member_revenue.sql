@@ -0,0 +1,18 @@
+/*
+  # Member revenue
+
+  1. Functions
+     - `gym_member_revenue` - Money received from each of a gym's members,
+       net of refunds and voids, so reports don't read every payment
+*/
+
+CREATE OR REPLACE FUNCTION gym_member_revenue(p_gym_id UUID)
+RETURNS TABLE (
+  member_id UUID,
+  revenue NUMERIC
+) AS $$
+  SELECT p.member_id, SUM(p.amount_paid)
+  FROM payments p
+  WHERE p.gym_id = p_gym_id
+  GROUP BY p.member_id;
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,23 @@
+/*
+  # Job lock renewal
+
+  1. Functions
+     - `renew_job_lock` - Push out the expiry of a lock the caller still
+       holds, so a run that takes longer than the lock's time to live keeps
+       it. Returns false if the lock was lost
+*/
+
+CREATE OR REPLACE FUNCTION renew_job_lock(
+  p_lock_key TEXT,
+  p_owner TEXT,
+  p_ttl_seconds INTEGER
+)
+RETURNS BOOLEAN AS $$
+BEGIN
+  UPDATE job_locks
+  SET locked_until = now() + make_interval(secs => p_ttl_seconds)
+  WHERE lock_key = p_lock_key AND owner = p_owner;
+
+  RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql;
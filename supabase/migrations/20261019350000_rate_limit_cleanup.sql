@@ -0,0 +1,42 @@
+/*
+  # Rate limit cleanup
+
+  1. Functions
+     - `hit_rate_limit` - Clears every finished window of the limited route,
+       not only the caller's, so clients that never come back don't leave
+       rows behind. Keys are `<route>:<client>`, and each route has one
+       window length, so only windows of the same route are compared
+
+  2. Indexes
+     - `rate_limit_hits.window_start`, for the cleanup
+*/
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_hits_window_start
+  ON rate_limit_hits (window_start);
+
+CREATE OR REPLACE FUNCTION hit_rate_limit(
+  p_key TEXT,
+  p_limit INTEGER,
+  p_window_seconds INTEGER
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+  v_window_start TIMESTAMPTZ;
+  v_hits INTEGER;
+BEGIN
+  v_window_start := to_timestamp(floor(extract(epoch FROM now()) / p_window_seconds) * p_window_seconds);
+
+  INSERT INTO rate_limit_hits (key, window_start)
+  VALUES (p_key, v_window_start)
+  ON CONFLICT (key, window_start) DO UPDATE
+    SET hits = rate_limit_hits.hits + 1
+  RETURNING hits INTO v_hits;
+
+  -- Windows of this route that have ended are no longer needed
+  DELETE FROM rate_limit_hits
+  WHERE window_start < now() - make_interval(secs => p_window_seconds)
+    AND split_part(key, ':', 1) = split_part(p_key, ':', 1);
+
+  RETURN v_hits <= p_limit;
+END;
+$$ LANGUAGE plpgsql;
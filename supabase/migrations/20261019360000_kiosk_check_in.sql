@@ -0,0 +1,51 @@
+/*
+  # Kiosk check-in function
+
+  1. Functions
+     - `kiosk_check_in` - Record a kiosk check-in unless the member already
+       checked in inside the device's duplicate window. The member row is
+       locked so two scans at the same moment can't both get in; the refusal
+       is raised as a unique violation with the earlier check-in time as its
+       detail
+*/
+
+CREATE OR REPLACE FUNCTION kiosk_check_in(
+  p_gym_id UUID,
+  p_member_id UUID,
+  p_device_id UUID,
+  p_window_minutes INTEGER
+)
+RETURNS check_ins AS $$
+DECLARE
+  v_last_check_in TIMESTAMPTZ;
+  v_check_in check_ins%ROWTYPE;
+BEGIN
+  PERFORM 1
+  FROM members
+  WHERE id = p_member_id AND gym_id = p_gym_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Member not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT max(checked_in_at) INTO v_last_check_in
+  FROM check_ins
+  WHERE gym_id = p_gym_id
+    AND member_id = p_member_id
+    AND checked_in_at > now() - make_interval(mins => p_window_minutes);
+
+  IF v_last_check_in IS NOT NULL THEN
+    RAISE EXCEPTION 'Already checked in'
+      USING ERRCODE = 'unique_violation', DETAIL = to_char(
+        v_last_check_in AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"'
+      );
+  END IF;
+
+  INSERT INTO check_ins (gym_id, member_id, device_id, checked_in_at, source)
+  VALUES (p_gym_id, p_member_id, p_device_id, now(), 'kiosk')
+  RETURNING * INTO v_check_in;
+
+  RETURN v_check_in;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,66 @@
+/*
+  # Refuse voiding fully refunded payments
+
+  1. Functions
+     - `void_payment` - Recreated to refuse payments that have been refunded in
+       full instead of recording a zero-amount void
+*/
+
+-- Void a payment by reversing whatever has not been refunded yet
+CREATE OR REPLACE FUNCTION void_payment(
+  p_payment_id UUID,
+  p_gym_id UUID,
+  p_reason TEXT,
+  p_user_id UUID
+)
+RETURNS payments AS $$
+DECLARE
+  v_payment payments%ROWTYPE;
+  v_remaining NUMERIC;
+  v_void payments%ROWTYPE;
+BEGIN
+  SELECT * INTO v_payment
+  FROM payments
+  WHERE id = p_payment_id AND gym_id = p_gym_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Payment not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_payment.entry_type <> 'payment' THEN
+    RAISE EXCEPTION 'Only payments can be voided';
+  END IF;
+
+  IF v_payment.status = 'voided' THEN
+    RAISE EXCEPTION 'Payment has already been voided';
+  END IF;
+
+  SELECT v_payment.amount_paid + COALESCE(SUM(amount_paid), 0) INTO v_remaining
+  FROM payments
+  WHERE reversal_of = p_payment_id;
+
+  IF v_remaining <= 0 THEN
+    RAISE EXCEPTION 'Payment has been fully refunded and cannot be voided';
+  END IF;
+
+  INSERT INTO payments (
+    member_id, gym_id, amount_paid, payment_date, payment_method,
+    notes, entry_type, reversal_of, reason, created_by
+  )
+  VALUES (
+    v_payment.member_id, p_gym_id, -v_remaining, gym_today(p_gym_id), v_payment.payment_method,
+    'Void', 'void', p_payment_id, p_reason, p_user_id
+  )
+  RETURNING * INTO v_void;
+
+  UPDATE payments
+  SET status = 'voided',
+      voided_by = p_user_id,
+      voided_at = now(),
+      updated_at = now()
+  WHERE id = p_payment_id;
+
+  RETURN v_void;
+END;
+$$ LANGUAGE plpgsql;
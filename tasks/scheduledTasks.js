@@ -1,52 +1,36 @@
 const cron = require('node-cron');
-const axios = require('axios');
-const { supabaseClient } = require('../config/supabase');
+const { getJobs } = require('../services/jobs');
+const { runJob, runDueRetries } = require('../services/jobs/runner');
 
-// Run member status check every day at midnight
-cron.schedule('0 0 * * *', async () => {
-  try {
-    console.log('Running scheduled member status check...');
-    
-    // Get all gyms
-    const { data: gyms, error: gymsError } = await supabaseClient
-      .from('gyms')
-      .select('id');
-
-    if (gymsError) {
-      throw gymsError;
-    }
-
-    // For each gym, check member status
-    for (const gym of gyms) {
+// When deployed without a long-running process (e.g. on Vercel), jobs are
+// driven by an external scheduler calling /api/jobs/cron/:name instead
+if (process.env.JOB_SCHEDULER !== 'external') {
+  // Run each registered job on its own schedule
+  getJobs().forEach(job => {
+    cron.schedule(job.schedule, async () => {
       try {
-        // Get gym's automation settings
-        const { data: settings, error: settingsError } = await supabaseClient
-          .from('gym_settings')
-          .select('auto_inactive_members')
-          .eq('gym_id', gym.id)
-          .single();
+        console.log(`Running scheduled job ${job.name}...`);
 
-        if (settingsError) {
-          console.error(`Error getting settings for gym ${gym.id}:`, settingsError);
-          continue;
-        }
+        const runs = await runJob(job.name);
+        const failed = runs.filter(run => run.status === 'failed').length;
 
-        // Only proceed if automation is enabled
-        if (settings?.auto_inactive_members) {
-          // Call the member status check endpoint
-          await axios.post(`${process.env.API_URL}/members/check-status`, {}, {
-            headers: {
-              'Authorization': `Bearer ${process.env.ADMIN_TOKEN}`
-            }
-          });
-        }
+        console.log(`Scheduled job ${job.name} completed: ${runs.length} runs, ${failed} failed`);
       } catch (error) {
-        console.error(`Error processing gym ${gym.id}:`, error);
+        console.error(`Error in scheduled job ${job.name}:`, error);
       }
-    }
+    });
+  });
 
-    console.log('Scheduled member status check completed');
-  } catch (error) {
-    console.error('Error in scheduled member status check:', error);
-  }
-}); 
\ No newline at end of file
+  // Retry failed job runs once their backoff is over
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      const retries = await runDueRetries();
+
+      if (retries.length > 0) {
+        console.log(`Retried ${retries.length} failed job runs`);
+      }
+    } catch (error) {
+      console.error('Error retrying failed job runs:', error);
+    }
+  });
+}
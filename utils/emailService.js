@@ -37,7 +37,23 @@ const sendOTPEmail = async (email, otp) => {
   }
 };
 
+// Send an email, throwing if the transport rejects it. Attachments are
+// { filename, content, contentType }.
+const sendEmail = async ({ to, subject, html, text, attachments }) => {
+  const info = await transporter.sendMail({
+    from: process.env.SMTP_FROM_EMAIL,
+    to,
+    subject,
+    html,
+    text,
+    attachments,
+  });
+
+  return info.messageId;
+};
+
 module.exports = {
   generateOTP,
   sendOTPEmail,
+  sendEmail,
 }; 
\ No newline at end of file
@@ -21,15 +21,180 @@ const calculateExpiryDate = (startDate, durationMonths) => {
   return date;
 };
 
+/**
+ * Add a number of days to a date
+ * @param {Date} date - Start date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Date} New date
+ */
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+/**
+ * Count the days in a date range, including both the start and end date
+ * @param {Date|string} startDate - Start date
+ * @param {Date|string} endDate - End date
+ * @returns {number} Number of days
+ */
+const countDaysInclusive = (startDate, endDate) => {
+  const start = new Date(formatDate(startDate));
+  const end = new Date(formatDate(endDate));
+  return Math.round((end - start) / (1000 * 60 * 60 * 24)) + 1;
+};
+
 /**
  * Format date to YYYY-MM-DD
  * @param {Date} date - Date to format
+ * @param {string} [timezone] - IANA timezone to take the calendar date in; UTC if omitted
  * @returns {string} Formatted date
  */
-const formatDate = (date) => {
+const formatDate = (date, timezone) => {
+  if (timezone) {
+    return getZonedParts(date, timezone).date;
+  }
   return new Date(date).toISOString().split('T')[0];
 };
 
+/**
+ * Get the calendar date, hour and weekday of an instant in a timezone
+ * @param {Date|string} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} { date: 'YYYY-MM-DD', hour: 0-23, weekday: 0-6 (Sunday first) }
+ */
+const getZonedParts = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: 'numeric',
+    hourCycle: 'h23',
+    weekday: 'short'
+  }).formatToParts(new Date(date)).reduce((acc, part) => {
+    acc[part.type] = part.value;
+    return acc;
+  }, {});
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: Number(parts.hour),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+  };
+};
+
+/**
+ * Get today's date in a timezone
+ * @param {string} timezone - IANA timezone
+ * @returns {string} Date as YYYY-MM-DD
+ */
+const getToday = (timezone) => {
+  return formatDate(new Date(), timezone);
+};
+
+/**
+ * Get the instant a calendar day starts in a timezone
+ * @param {string} date - Date as YYYY-MM-DD
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} Local midnight as an instant
+ */
+const getZonedDayStart = (date, timezone) => {
+  const utcMidnight = new Date(`${date}T00:00:00.000Z`);
+
+  // Shift by the zone's offset, then again in case the offset changed (DST)
+  const offsetAt = (instant) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: 'numeric',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(instant).reduce((acc, part) => {
+      acc[part.type] = Number(part.value);
+      return acc;
+    }, {});
+    const zonedAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return zonedAsUtc - instant.getTime();
+  };
+
+  const guess = new Date(utcMidnight.getTime() - offsetAt(utcMidnight));
+  return new Date(utcMidnight.getTime() - offsetAt(guess));
+};
+
+/**
+ * Get the instants bounding a range of calendar days in a timezone
+ * @param {string} startDate - First day as YYYY-MM-DD
+ * @param {string} endDate - Last day as YYYY-MM-DD
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} { start, end } ISO timestamps, end exclusive
+ */
+const getZonedRange = (startDate, endDate, timezone) => {
+  return {
+    start: getZonedDayStart(startDate, timezone).toISOString(),
+    end: getZonedDayStart(formatDate(addDays(new Date(`${endDate}T00:00:00.000Z`), 1)), timezone).toISOString()
+  };
+};
+
+/**
+ * Format an amount of money in a currency
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO 4217 currency code
+ * @param {string} [display] - 'symbol' (₹1,500.00) or 'code' (INR 1,500.00)
+ * @returns {string} Formatted amount
+ */
+const formatMoney = (amount, currency, display = 'symbol') => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: currency || 'INR',
+    currencyDisplay: display
+  }).format(Number(amount) || 0).replace(/\u00a0/g, ' ');
+};
+
+/**
+ * Escape text for use in an email body
+ * @param {string} text - Text
+ * @returns {string} HTML-safe text
+ */
+const escapeHtml = (text) => {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Build the QR payload for a member's check-in code
+ * @param {string} gymId - Gym ID
+ * @param {string} code - Member check-in code
+ * @returns {string} QR payload
+ */
+const buildCheckInPayload = (gymId, code) => {
+  return `GYMCHECKIN:${gymId}:${code}`;
+};
+
+/**
+ * Read a scanned QR payload or a typed member code
+ * @param {string} input - QR payload or check-in code
+ * @returns {Object} Gym ID (null for a typed code) and normalised code
+ */
+const parseCheckInPayload = (input) => {
+  const value = String(input).trim();
+  const match = value.match(/^GYMCHECKIN:([^:]+):(.+)$/i);
+
+  if (match) {
+    return { gymId: match[1], code: match[2].toUpperCase() };
+  }
+
+  return { gymId: null, code: value.toUpperCase() };
+};
+
 /**
  * Calculate due amount
  * @param {number} totalAmount - Total amount
@@ -61,7 +226,17 @@ const calculateAge = (dob) => {
 module.exports = {
   getWhatsAppLink,
   calculateExpiryDate,
+  addDays,
+  countDaysInclusive,
   formatDate,
+  getZonedParts,
+  getToday,
+  getZonedDayStart,
+  getZonedRange,
+  formatMoney,
+  escapeHtml,
+  buildCheckInPayload,
+  parseCheckInPayload,
   calculateDueAmount,
   calculateAge
 };
\ No newline at end of file
@@ -0,0 +1,233 @@
+const PDFDocument = require('pdfkit');
+const { formatDate, formatMoney } = require('./helpers');
+
+/**
+ * Render a PDF document into a buffer
+ * @param {Function} render - Receives the PDFKit document and draws on it
+ * @param {Object} [options] - PDFKit document options, e.g. { layout: 'landscape' }
+ * @returns {Promise<Buffer>} PDF contents
+ */
+const renderPdf = (render, options = {}) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, ...options });
+    const chunks = [];
+
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      render(doc);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
+/**
+ * Format an amount in the gym's currency. The currency code is used rather
+ * than its symbol, which the standard PDF fonts may not be able to draw.
+ * @param {number} amount - Amount to format
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {string} Formatted amount
+ */
+const formatAmount = (amount, currency) => {
+  return formatMoney(amount, currency, 'code');
+};
+
+/**
+ * Draw the gym header shared by receipts and invoices
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {Object} gym - Gym profile (gym_name, country, email, phone)
+ * @param {string} title - Document title
+ */
+const drawHeader = (doc, gym, title) => {
+  doc.fontSize(20).text(gym.gym_name || 'Gym', { align: 'center' });
+  doc.fontSize(10).text([gym.country, gym.phone, gym.email].filter(Boolean).join(' | '), { align: 'center' });
+  doc.moveDown();
+  doc.fontSize(16).text(title, { align: 'center' });
+  doc.moveDown();
+};
+
+/**
+ * Draw label/value rows
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {Array<Array<string>>} rows - [label, value] pairs
+ */
+const drawRows = (doc, rows) => {
+  doc.fontSize(11);
+  rows.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font('Helvetica-Bold').text(label, 50, y, { width: 180 });
+    doc.font('Helvetica').text(value === undefined || value === null ? '-' : String(value), 230, y, { width: 315 });
+    doc.moveDown(0.3);
+  });
+};
+
+/**
+ * Generate a payment receipt PDF
+ * @param {Object} receipt - Receipt data
+ * @param {Object} receipt.gym - Gym profile
+ * @param {Object} receipt.payment - Payment row including receipt_number
+ * @param {Object} receipt.member - Member row
+ * @param {Object} [receipt.plan] - Member's plan
+ * @param {string} receipt.currency - Gym currency
+ * @param {string} receipt.timezone - Gym timezone
+ * @returns {Promise<Buffer>} PDF contents
+ */
+const generateReceiptPdf = ({ gym, payment, member, plan, currency, timezone }) => {
+  return renderPdf((doc) => {
+    drawHeader(doc, gym, 'Payment Receipt');
+
+    drawRows(doc, [
+      ['Receipt No.', payment.receipt_number],
+      ['Receipt Date', payment.receipt_issued_at ? formatDate(payment.receipt_issued_at, timezone) : formatDate(payment.payment_date)],
+      ['Payment Date', formatDate(payment.payment_date)],
+      ['Member', member.name],
+      ['Phone', member.phone],
+      ['Plan', plan?.name],
+      ['Payment Method', payment.payment_method],
+      ['Notes', payment.notes]
+    ]);
+
+    doc.moveDown();
+    drawRows(doc, [
+      ['Total Amount', formatAmount(payment.total_amount, currency)],
+      ['Amount Paid', formatAmount(payment.amount_paid, currency)],
+      ['Amount Due', formatAmount(payment.due_amount, currency)]
+    ]);
+
+    doc.moveDown(2);
+    doc.fontSize(9).text('This is a computer generated receipt.', 50, doc.y, { align: 'center' });
+  });
+};
+
+/**
+ * Generate an outstanding dues invoice PDF
+ * @param {Object} invoice - Invoice data
+ * @param {Object} invoice.gym - Gym profile
+ * @param {Object} invoice.member - Member row
+ * @param {Object} [invoice.plan] - Member's plan
+ * @param {string} invoice.invoice_number - Invoice reference
+ * @param {Array} invoice.items - Line items ({ date, description, total_amount, amount_paid, due_amount })
+ * @param {number} invoice.total_due - Outstanding amount
+ * @param {string} invoice.currency - Gym currency
+ * @param {string} invoice.timezone - Gym timezone
+ * @returns {Promise<Buffer>} PDF contents
+ */
+const generateInvoicePdf = ({ gym, member, plan, invoice_number, items, total_due, currency, timezone }) => {
+  return renderPdf((doc) => {
+    drawHeader(doc, gym, 'Invoice');
+
+    drawRows(doc, [
+      ['Invoice No.', invoice_number],
+      ['Invoice Date', formatDate(new Date(), timezone)],
+      ['Member', member.name],
+      ['Phone', member.phone],
+      ['Plan', plan?.name],
+      ['Plan End Date', member.plan_end_date ? formatDate(member.plan_end_date) : null]
+    ]);
+
+    doc.moveDown();
+
+    // Line items table
+    const columns = [
+      { header: 'Date', key: 'date', x: 50, width: 80 },
+      { header: 'Description', key: 'description', x: 130, width: 175 },
+      { header: 'Total', key: 'total_amount', x: 305, width: 80 },
+      { header: 'Paid', key: 'amount_paid', x: 385, width: 80 },
+      { header: 'Due', key: 'due_amount', x: 465, width: 80 }
+    ];
+
+    let y = doc.y;
+    doc.font('Helvetica-Bold').fontSize(10);
+    columns.forEach((column) => doc.text(column.header, column.x, y, { width: column.width }));
+    doc.font('Helvetica');
+
+    items.forEach((item) => {
+      y = doc.y + 4;
+      columns.forEach((column) => {
+        const value = column.key === 'date'
+          ? formatDate(item.date)
+          : column.key === 'description'
+            ? item.description || '-'
+            : formatAmount(item[column.key], currency);
+        doc.text(value, column.x, y, { width: column.width });
+      });
+    });
+
+    doc.moveDown(2);
+    drawRows(doc, [['Total Due', formatAmount(total_due, currency)]]);
+  });
+};
+
+/**
+ * Generate a report PDF: the gym header, the report title and a table that
+ * continues over as many pages as it needs, repeating its header row. Wide
+ * tables are laid out in landscape.
+ * @param {Object} report - Report data
+ * @param {Object} report.gym - Gym profile
+ * @param {string} report.title - Report title
+ * @param {string} [report.subtitle] - Line under the title, e.g. the period
+ * @param {Array<Object>} report.columns - Columns ({ header, width }); width is relative
+ * @param {Array<Array<string>>} report.rows - Cell text, one array per row
+ * @returns {Promise<Buffer>} PDF contents
+ */
+const generateTablePdf = ({ gym, title, subtitle, columns, rows }) => {
+  const landscape = columns.length > 6;
+
+  return renderPdf((doc) => {
+    drawHeader(doc, gym, title);
+
+    if (subtitle) {
+      doc.fontSize(10).text(subtitle, { align: 'center' });
+      doc.moveDown();
+    }
+
+    const left = doc.page.margins.left;
+    const tableWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const totalWidth = columns.reduce((sum, column) => sum + (column.width || 1), 0);
+    const cells = columns.reduce((acc, column) => {
+      const x = acc.length > 0 ? acc[acc.length - 1].x + acc[acc.length - 1].width : left;
+      acc.push({ x, width: (tableWidth * (column.width || 1)) / totalWidth });
+      return acc;
+    }, []);
+    const bottom = doc.page.height - doc.page.margins.bottom;
+
+    const drawRow = (values, font) => {
+      doc.font(font).fontSize(landscape ? 8 : 9);
+      const height = Math.max(...values.map((value, index) =>
+        doc.heightOfString(value, { width: cells[index].width - 4 })
+      ));
+
+      if (doc.y + height > bottom) {
+        doc.addPage();
+        if (font !== 'Helvetica-Bold') {
+          drawRow(columns.map(column => column.header), 'Helvetica-Bold');
+          doc.font(font).fontSize(landscape ? 8 : 9);
+        }
+      }
+
+      const y = doc.y;
+      values.forEach((value, index) => {
+        doc.text(value, cells[index].x, y, { width: cells[index].width - 4 });
+      });
+      doc.y = y + height + 4;
+    };
+
+    drawRow(columns.map(column => column.header), 'Helvetica-Bold');
+    rows.forEach(row => drawRow(row, 'Helvetica'));
+
+    if (rows.length === 0) {
+      doc.font('Helvetica').fontSize(10).text('No records', left, doc.y, { align: 'center', width: tableWidth });
+    }
+  }, landscape ? { layout: 'landscape' } : {});
+};
+
+module.exports = {
+  renderPdf,
+  generateReceiptPdf,
+  generateInvoicePdf,
+  generateTablePdf
+};
@@ -1,4 +1,9 @@
 const { z } = require('zod');
+const { RESOURCES } = require('../middleware/permissionCheck');
+const { EVENT_TYPES, PLACEHOLDERS, getPlaceholders } = require('../services/notificationTemplates');
+const { ENQUIRY_STAGES, ENQUIRY_SOURCES, MANUAL_ACTIVITY_TYPES } = require('../services/enquiryService');
+const { EXPORT_FORMATS } = require('../services/exportService');
+const { SUBSCRIPTION_REPORT_TYPES, FREQUENCIES } = require('../services/reportSubscriptionService');
 
 // Custom error handler for Zod validation
 const handleZodError = (error) => {
@@ -66,6 +71,30 @@ const memberValidation = z.object({
   }),
 });
 
+// Membership renewal validation schema
+const renewalValidation = z.object({
+  body: z.object({
+    plan_id: z.string().uuid('Invalid plan ID').optional(),
+    start_mode: z.enum(['today', 'plan_end']).optional(),
+    discount_value: z.number().min(0, 'Discount cannot be negative').optional(),
+    amount_paid: z.number().min(0, 'Amount paid cannot be negative'),
+    payment_method: z.enum(['cash', 'card', 'upi']).optional(),
+    notes: z.string().optional(),
+  }),
+});
+
+// Membership freeze validation schema
+const freezeValidation = z.object({
+  body: z.object({
+    start_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Start date must be YYYY-MM-DD'),
+    end_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'End date must be YYYY-MM-DD'),
+    reason: z.string().optional(),
+  }).refine((body) => body.end_date >= body.start_date, {
+    message: 'End date must be on or after start date',
+    path: ['end_date'],
+  }),
+});
+
 // Batch validation schemas
 const batchValidation = z.object({
   body: z.object({
@@ -82,13 +111,137 @@ const paymentValidation = z.object({
   body: z.object({
     member_id: z.string().uuid('Invalid member ID'),
     amount_paid: z.number().positive('Amount paid must be positive'),
-    total_amount: z.number().positive('Total amount must be positive'),
+    // What is owed comes from charges, so a payment can't set it
+    total_amount: z.undefined({
+      invalid_type_error: 'Total amount is not accepted on payments; add a charge and pay against it with charge_id',
+    }),
+    charge_id: z.string().uuid('Invalid charge ID').optional(),
     payment_date: z.string(),
-    payment_method: z.enum(['cash', 'card', 'upi']),
+    payment_method: z.enum(['cash', 'card', 'upi']).optional(),
     notes: z.string().optional(),
   }),
 });
 
+// Refund validation schema
+const refundValidation = z.object({
+  body: z.object({
+    amount: z.number().positive('Refund amount must be positive').optional(),
+    payment_method: z.enum(['cash', 'card', 'upi']).optional(),
+    reason: z.string().min(1, 'Reason is required'),
+  }),
+});
+
+// Void validation schema
+const voidValidation = z.object({
+  body: z.object({
+    reason: z.string().min(1, 'Reason cannot be empty').optional(),
+  }),
+});
+
+// Charge validation schema
+const chargeValidation = z.object({
+  body: z.object({
+    member_id: z.string().uuid('Invalid member ID'),
+    charge_type: z.enum(['admission', 'plan', 'service', 'other']),
+    description: z.string().optional(),
+    amount: z.number().min(0, 'Amount cannot be negative').optional(),
+    charge_date: z.string().optional(),
+    service_id: z.string().uuid('Invalid service ID').optional(),
+    plan_id: z.string().uuid('Invalid plan ID').optional(),
+  }),
+});
+
+// Visit check-out validation schema
+const checkOutValidation = z.object({
+  body: z.object({
+    checked_out_at: z.string().datetime({ offset: true, message: 'Invalid check-out time' }).optional(),
+  }),
+});
+
+// Gym settings validation schema
+const settingsValidation = z.object({
+  body: z.object({
+    auto_inactive_members: z.boolean(),
+    reminders_enabled: z.boolean(),
+    reminder_channels: z.array(z.enum(['email', 'whatsapp', 'sms'])),
+    expiry_reminder_days: z.array(z.number().int().min(1).max(60)).max(5, 'At most 5 expiry reminders'),
+    expiry_day_reminder: z.boolean(),
+    dues_reminder: z.boolean(),
+    dues_reminder_interval_days: z.number().int().min(1).max(90),
+    birthday_reminder: z.boolean(),
+    reminder_hour: z.number().int().min(0).max(23),
+    currency: z.string().regex(/^[A-Z]{3}$/, 'Currency must be a 3 letter ISO code, e.g. INR'),
+    timezone: z.string().refine((timezone) => {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+      } catch (error) {
+        return false;
+      }
+    }, 'Invalid timezone'),
+    grace_period_days: z.number().int().min(0).max(90),
+    auto_renew_paid_plans: z.boolean(),
+    paid_rule: z.enum(['latest_payment', 'balance']),
+    paid_tolerance: z.number().min(0, 'Paid tolerance cannot be negative'),
+    default_payment_method: z.enum(['cash', 'card', 'upi']),
+    receipt_prefix: z.string().max(10).regex(/^[A-Za-z0-9\-\/]*$/, 'Receipt prefix may only contain letters, numbers, - and /'),
+    public_enquiries_enabled: z.boolean(),
+    public_enquiry_slug: z
+      .string()
+      .min(3, 'Slug must be at least 3 characters')
+      .max(50, 'Slug must be at most 50 characters')
+      .regex(/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and single hyphens')
+      .nullable(),
+    enquiry_duplicate_window_hours: z.number().int().min(0).max(720),
+    enquiry_auto_ack: z.boolean(),
+    enquiry_ack_message: z.string().max(2000, 'Message must be at most 2000 characters').nullable(),
+  }).partial().strict(),
+});
+
+// Notification template validation schema
+const notificationTemplateValidation = z.object({
+  body: z.object({
+    event_type: z.enum(Object.values(EVENT_TYPES)),
+    channel: z.enum(['email', 'whatsapp', 'sms']),
+    subject: z.string().optional(),
+    body: z.string().min(1, 'Template body is required'),
+    is_active: z.boolean().optional(),
+  }).superRefine((template, ctx) => {
+    if (template.channel === 'email' && !template.subject) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: 'Subject is required for email templates',
+        path: ['subject'],
+      });
+    }
+
+    ['subject', 'body'].forEach((field) => {
+      const unknown = getPlaceholders(template[field]).filter((name) => !PLACEHOLDERS.includes(name));
+      if (unknown.length > 0) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: `Unknown placeholders: ${unknown.map((name) => `{{${name}}}`).join(', ')}`,
+          path: [field],
+        });
+      }
+    });
+  }),
+});
+
+// Kiosk validation schemas
+const kioskDeviceValidation = z.object({
+  body: z.object({
+    name: z.string().min(1, 'Device name is required'),
+    duplicate_window_minutes: z.number().int().min(0).max(1440, 'Window cannot exceed 24 hours').optional(),
+  }),
+});
+
+const kioskCheckInValidation = z.object({
+  body: z.object({
+    code: z.string().min(1, 'Check-in code is required'),
+  }),
+});
+
 // Attendance validation schemas
 const attendanceValidation = z.object({
   body: z.object({
@@ -99,6 +252,183 @@ const attendanceValidation = z.object({
   }),
 });
 
+// Enquiry validation schemas
+const enquiryValidation = z.object({
+  body: z.object({
+    name: z.string().min(2, 'Name must be at least 2 characters'),
+    phone: z.string().min(10, 'Phone number must be at least 10 digits'),
+    email: z
+      .string()
+      .email('Invalid email format')
+      .or(z.literal('').transform(() => undefined))
+      .or(z.null())
+      .optional(),
+    message: z.string().optional(),
+    source: z.enum(ENQUIRY_SOURCES).optional(),
+    campaign: z.string().max(100, 'Campaign must be at most 100 characters').nullable().optional(),
+    assigned_to: z.string().uuid('Invalid assignee ID').nullable().optional(),
+    // Status follows the stage, which has its own route
+    status: z.undefined({
+      invalid_type_error: 'Status can no longer be set here; move the enquiry with PATCH /api/enquiries/:id/stage',
+    }),
+  }),
+});
+
+// Enquiry from a gym's website form. `website_url` is a honeypot: the form
+// hides it, so only bots fill it in.
+const publicEnquiryValidation = z.object({
+  params: z.object({
+    gym: z.string().regex(/^[A-Za-z0-9_-]{3,80}$/, 'Invalid gym'),
+  }),
+  body: z.object({
+    name: z.string().trim().min(2, 'Name must be at least 2 characters').max(100, 'Name must be at most 100 characters'),
+    phone: z
+      .string()
+      .regex(/^\+?[0-9\s\-().]+$/, 'Invalid phone number')
+      .refine((phone) => phone.replace(/\D/g, '').length >= 10, 'Phone number must be at least 10 digits'),
+    email: z
+      .string()
+      .email('Invalid email format')
+      .or(z.literal('').transform(() => undefined))
+      .optional(),
+    message: z.string().max(2000, 'Message must be at most 2000 characters').optional(),
+    source: z.enum(ENQUIRY_SOURCES).optional(),
+    campaign: z.string().max(100, 'Campaign must be at most 100 characters').optional(),
+    website_url: z.any().optional(),
+  }),
+});
+
+const enquiryStageValidation = z.object({
+  body: z.object({
+    stage: z.enum(ENQUIRY_STAGES),
+    lost_reason: z.string().min(1, 'Lost reason cannot be empty').optional(),
+    note: z.string().optional(),
+  }).refine((body) => body.stage !== 'lost' || body.lost_reason, {
+    message: 'A reason is required when a lead is lost',
+    path: ['lost_reason'],
+  }),
+});
+
+const enquiryAssignValidation = z.object({
+  body: z.object({
+    assigned_to: z.string().uuid('Invalid assignee ID').nullable(),
+  }),
+});
+
+const followUpValidation = z.object({
+  body: z.object({
+    due_at: z.string().datetime({ offset: true, message: 'Invalid due time' }),
+    note: z.string().optional(),
+    assigned_to: z.string().uuid('Invalid assignee ID').optional(),
+  }),
+});
+
+const followUpUpdateValidation = z.object({
+  body: z.object({
+    status: z.enum(['pending', 'done', 'cancelled']).optional(),
+    due_at: z.string().datetime({ offset: true, message: 'Invalid due time' }).optional(),
+    note: z.string().optional(),
+    outcome: z.string().optional(),
+    assigned_to: z.string().uuid('Invalid assignee ID').nullable().optional(),
+  }),
+});
+
+const enquiryConversionValidation = z.object({
+  body: z.object({
+    plan_id: z.string().uuid('Invalid plan ID'),
+    batch_id: z.string().uuid('Invalid batch ID').optional(),
+    joinDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Join date must be YYYY-MM-DD'),
+    email: z
+      .string()
+      .email('Invalid email format')
+      .or(z.literal('').transform(() => undefined))
+      .or(z.null())
+      .optional(),
+    dob: z.string().optional(),
+    gender: z.enum(['male', 'female', 'other']).optional(),
+    admission_fees: z.number().min(0, 'Admission fees cannot be negative').optional(),
+    discount_value: z.number().min(0, 'Discount cannot be negative').optional(),
+    amount_paid: z.number().min(0, 'Amount paid cannot be negative').optional(),
+    payment_method: z.enum(['cash', 'card', 'upi']).optional(),
+  }),
+});
+
+const enquiryActivityValidation = z.object({
+  body: z.object({
+    activity_type: z.enum(MANUAL_ACTIVITY_TYPES),
+    note: z.string().min(1, 'Note is required'),
+  }),
+});
+
+// Trial pass validation schemas. A trial runs for a number of days or until
+// an end date, optionally limited to a number of visits.
+const trialPassValidation = z.object({
+  body: z.object({
+    start_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Start date must be YYYY-MM-DD').optional(),
+    end_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'End date must be YYYY-MM-DD').optional(),
+    days: z.number().int().min(1, 'A trial lasts at least 1 day').max(90, 'A trial lasts at most 90 days').optional(),
+    visit_limit: z.number().int().min(1, 'A trial allows at least 1 visit').nullable().optional(),
+    batch_id: z.string().uuid('Invalid batch ID').nullable().optional(),
+    notes: z.string().optional(),
+  }).refine((body) => Boolean(body.end_date) !== Boolean(body.days), {
+    message: 'Give either an end date or a number of days',
+    path: ['end_date'],
+  }).refine((body) => !body.start_date || !body.end_date || body.end_date >= body.start_date, {
+    message: 'End date must be on or after start date',
+    path: ['end_date'],
+  }),
+});
+
+const trialPassUpdateValidation = z.object({
+  body: z.object({
+    status: z.literal('cancelled').optional(),
+    end_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'End date must be YYYY-MM-DD').optional(),
+    visit_limit: z.number().int().min(1, 'A trial allows at least 1 visit').nullable().optional(),
+    batch_id: z.string().uuid('Invalid batch ID').nullable().optional(),
+    notes: z.string().optional(),
+  }),
+});
+
+const trialCheckInValidation = z.object({
+  body: z.object({
+    trial_pass_id: z.string().uuid('Invalid trial pass ID'),
+    checked_in_at: z.string().datetime({ offset: true, message: 'Invalid check-in time' }).optional(),
+  }),
+});
+
+// Report subscription validation schemas. Weekly reports go out on a
+// weekday (0 is Sunday).
+const reportSubscriptionFields = {
+  report_type: z.enum(SUBSCRIPTION_REPORT_TYPES),
+  recipients: z
+    .array(z.string().email('Invalid recipient email'))
+    .min(1, 'At least one recipient is required')
+    .max(10, 'At most 10 recipients'),
+  frequency: z.enum(FREQUENCIES),
+  weekday: z.number().int().min(0).max(6).nullable(),
+  send_hour: z.number().int().min(0).max(23),
+  format: z.enum(EXPORT_FORMATS),
+  columns: z.array(z.string().min(1)),
+  is_active: z.boolean(),
+};
+
+const reportSubscriptionValidation = z.object({
+  body: z.object(reportSubscriptionFields).partial({
+    weekday: true,
+    send_hour: true,
+    format: true,
+    columns: true,
+    is_active: true,
+  }).strict().refine((body) => body.frequency !== 'weekly' || Number.isInteger(body.weekday), {
+    message: 'Weekday is required for weekly reports',
+    path: ['weekday'],
+  }),
+});
+
+const reportSubscriptionUpdateValidation = z.object({
+  body: z.object(reportSubscriptionFields).partial().strict(),
+});
+
 // OTP verification validation schema
 const otpVerificationValidation = z.object({
   body: z.object({
@@ -117,14 +447,54 @@ const planValidation = z.object({
   }),
 });
 
+// Staff permissions validation schema
+const permissionActionsSchema = z.object({
+  add: z.boolean().optional(),
+  edit: z.boolean().optional(),
+  delete: z.boolean().optional(),
+}).strict();
+
+const staffPermissionsValidation = z.object({
+  body: z.object({
+    permissions: z.union([
+      z.record(z.enum(Object.values(RESOURCES)), permissionActionsSchema),
+      permissionActionsSchema,
+    ]),
+  }),
+});
+
 module.exports = {
   validate,
   userValidation,
   loginValidation,
   memberValidation,
+  renewalValidation,
+  freezeValidation,
   batchValidation,
   paymentValidation,
+  refundValidation,
+  voidValidation,
+  chargeValidation,
   attendanceValidation,
+  checkOutValidation,
+  enquiryValidation,
+  publicEnquiryValidation,
+  enquiryStageValidation,
+  enquiryAssignValidation,
+  followUpValidation,
+  followUpUpdateValidation,
+  enquiryConversionValidation,
+  enquiryActivityValidation,
+  trialPassValidation,
+  trialPassUpdateValidation,
+  trialCheckInValidation,
+  reportSubscriptionValidation,
+  reportSubscriptionUpdateValidation,
+  settingsValidation,
+  notificationTemplateValidation,
+  kioskDeviceValidation,
+  kioskCheckInValidation,
   otpVerificationValidation,
   planValidation,
+  staffPermissionsValidation,
 };
\ No newline at end of file